@@ -2,46 +2,98 @@
 
 import { program } from 'commander';
 import { initCommand } from '../src/commands/init.js';
-import { analyzeCommand } from '../src/commands/analyze.js';
+import { analyzeCommand, redirectLogs } from '../src/commands/analyze.js';
 import { configCommand } from '../src/commands/config.js';
 import { historyCommand } from '../src/commands/history.js';
 import { statsCommand } from '../src/commands/stats.js';
 import { developerCommand } from '../src/commands/developer.js';
 import { reportCommand } from '../src/commands/report.js';
+import { queueCommand } from '../src/commands/queue.js';
+import { hookCommand } from '../src/commands/hook.js';
+import { publishCommand } from '../src/commands/publish.js';
+import { doctorCommand } from '../src/commands/doctor.js';
+import { completionCommand } from '../src/commands/completion.js';
+import { useProfile, unlockSecrets } from '../src/utils/config-store.js';
+import logger from '../src/utils/logger.js';
+
+// 可重复选项收集 (如 --include a --include b)
+function collect(value, previous) {
+  return previous.concat([value]);
+}
 
 program
   .name('goodiffer')
   .description('AI-powered git diff analyzer with Codex deep code review')
-  .version('1.2.1');
+  .version('1.2.1')
+  // 根命令的选项只在子命令之前生效，避免与子命令的同名选项 (--since、--force、--fail-on 等) 冲突
+  .enablePositionalOptions();
 
 // 默认命令 - Codex 深度分析
 program
+  .argument('[pathspec...]', '只分析匹配的路径 (git pathspec，放在 -- 之后)')
   .option('-s, --staged', '分析暂存区的更改')
+  .option('-w, --worktree', '分析工作区相对 HEAD 的更改 (含未暂存和未跟踪文件)')
   .option('-c, --commit <sha>', '分析指定的 commit')
   .option('--from <sha>', '起始 commit (与 --to 配合使用)')
   .option('--to <sha>', '结束 commit (与 --from 配合使用)')
-  .option('-n <number>', '分析最近 n 条 commit (n <= 10), 或与 -m 配合表示起始位置')
-  .option('-m <number>', '与 -n 配合使用，表示结束位置 (m-n <= 10)')
-  .option('--reasoning <level>', '推理强度: low, medium, high, none (默认 high)', 'high')
+  .option('-b, --branch <base>', '审查当前分支相对 base 分支的累计变更 (从 merge-base 开始，PR 模式)')
+  .option('-n <number>', '分析最近 n 条 commit, 或与 -m 配合表示起始位置')
+  .option('-m <number>', '与 -n 配合使用，表示结束位置')
+  .option('--author <pattern>', '批量审查指定作者的 commit (匹配姓名或邮箱，git log --author)')
+  .option('--since <date>', '批量审查该日期之后的 commit (如 2026-09-01、"1 week ago")')
+  .option('--until <date>', '批量审查该日期之前的 commit')
+  .option('--grep <pattern>', '批量审查 message 匹配的 commit (git log --grep)')
+  .option('--path <dir>', '批量审查修改了该路径的 commit (相对当前目录，可重复)', collect, [])
+  .option('--parallel <number>', '批量审查时同时审查的 commit 数 (默认 2)')
+  .option('--reasoning <level>', '推理强度: low, medium, high, none (默认 high)')
   .option('--no-save', '不保存到数据库')
-  .action(async (options) => {
-    await analyzeCommand(options);
+  .option('-f, --force', '忽略审查缓存，重新审查未变化的 commit')
+  .option('--fail-on <rules>', '审查门禁，命中时以退出码 2 退出: p0-p3 (该优先级及以上的问题), incorrect (整体结论不正确)，逗号分隔')
+  .option('--max-p0 <number>', '审查门禁: P0 问题数上限')
+  .option('--max-p1 <number>', '审查门禁: P1 问题数上限')
+  .option('--min-score <number>', '审查门禁: 每个维度评分的下限 (0-100)')
+  .option('--ci', 'CI 模式: 无颜色和 spinner，日志输出到 stderr，审查结果默认以 JSON 输出；未指定门禁时默认 --fail-on p0,incorrect')
+  .option('--format <format>', '输出格式: terminal (默认), markdown, json (--ci 默认), sarif (SARIF 2.1.0，可上传到 code scanning)')
+  .option('-o, --output <file>', '将 markdown / json / sarif 结果写入文件 (默认 stdout)')
+  .option('--no-context', '禁用代码上下文工具 (LSP / 读取文件)，仅基于 diff 审查')
+  .option('--chunk-tokens <number>', '单块 diff 的 token 上限，超出时分块审查 (默认 50000)')
+  .option('--concurrency <number>', '分块审查的并发数 (默认 2)')
+  .option('--merges <strategy>', 'merge commit 的处理方式: skip, first-parent, combined (默认 combined)')
+  .option('--no-stream', '禁用流式输出 (代理不支持 SSE 时使用)')
+  .option('--include <glob>', '只包含匹配的文件 (相对仓库根目录，可重复)', collect, [])
+  .option('--exclude <glob>', '排除匹配的文件 (相对仓库根目录，可重复)', collect, [])
+  .action(async (pathspecs, options) => {
+    await analyzeCommand({ ...options, pathspecs });
   });
 
 // init 命令
 program
   .command('init')
-  .description('初始化配置')
-  .action(async () => {
-    await initCommand();
+  .description('初始化配置 (指定以下任一参数时不进入交互向导)')
+  .option('--provider <provider>', 'API 类型: claude (anthropic), openai, custom')
+  .option('--host <url>', 'API Host (claude / openai 默认使用官方地址)')
+  .option('--model <model>', '模型名称')
+  .option('--key-env <name>', '运行时从该环境变量读取 API Key (不保存 key)')
+  .action(async (options) => {
+    await initCommand(options);
+  });
+
+// doctor 命令
+program
+  .command('doctor')
+  .description('检查配置、API 连通性和运行环境 (git、SQLite、LSP)')
+  .option('--offline', '跳过 API 连通性检查')
+  .action(async (options) => {
+    await doctorCommand(options);
   });
 
 // config 命令
 program
   .command('config <action> [key] [value]')
-  .description('配置管理 (list, get, set, clear)')
-  .action((action, key, value) => {
-    configCommand(action, key, value);
+  .description('配置管理 (list, get, set, clear, profile, secure, models)')
+  .option('--names', 'config models: 只输出模型名称 (供 tab 补全使用)')
+  .action(async (action, key, value, options) => {
+    await configCommand(action, key, value, options);
   });
 
 // history 命令
@@ -50,20 +102,57 @@ program
   .description('查看 Code Review 历史记录')
   .option('-p, --project [name]', '按项目筛选 (默认当前项目)')
   .option('-d, --developer <name>', '按开发者筛选')
+  .option('-t, --type <type>', '按审查类型筛选 (commit, staged, worktree, range, branch)')
   .option('--since <date>', '开始日期 (YYYY-MM-DD)')
   .option('--until <date>', '结束日期 (YYYY-MM-DD)')
   .option('-n, --limit <number>', '显示数量', '20')
   .option('--json', '输出 JSON 格式')
+  .option('--export <id>', '导出指定 review 的 findings')
+  .option('--format <format>', '导出格式 (sarif, markdown, json)', 'sarif')
+  .option('-o, --output <file>', '导出到文件 (默认 stdout)')
   .action(async (options) => {
     await historyCommand(options);
   });
 
+// queue 命令
+program
+  .command('queue <action> [id]')
+  .description('批量审查队列管理 (status, resume, cancel)')
+  .action(async (action, id) => {
+    await queueCommand(action, id);
+  });
+
+// hook 命令
+program
+  .command('hook <action> [hooks...]')
+  .description('Git hooks 管理 (install, uninstall, status)')
+  .option('--fail-on <rules>', '阻止提交 / 推送的门禁规则 (默认 p0,incorrect)')
+  .option('-f, --force', '覆盖已有的非 goodiffer hook (原文件会备份)')
+  .action(async (action, hooks, options) => {
+    await hookCommand(action, hooks, options);
+  });
+
+// publish 命令
+program
+  .command('publish <reviewId>')
+  .description('将审查结果发布为 PR / MR 评论 (总结评论 + 行内评论，重复发布时更新)')
+  .option('--forge <forge>', '平台: github, gitlab, gitea (默认按 origin remote 推断)')
+  .option('--repo <repo>', '仓库 owner/name (默认按 origin remote 推断)')
+  .option('--pr <number>', 'PR / MR 编号 (CI 中默认读取 GITHUB_REF / CI_MERGE_REQUEST_IID)')
+  .option('--api-url <url>', 'API 地址 (如 https://gitea.example.com/api/v1)')
+  .option('--remote <name>', '用于推断平台和仓库的 remote', 'origin')
+  .option('--no-inline', '只发布总结评论')
+  .action(async (reviewId, options) => {
+    await publishCommand(reviewId, options);
+  });
+
 // stats 命令
 program
   .command('stats')
   .description('显示统计信息')
   .option('-p, --project', '项目统计 (默认)')
   .option('-d, --developer', '开发者统计')
+  .option('--cost', '按项目/开发者/模型统计 token 用量与费用')
   .option('--since <date>', '开始日期 (YYYY-MM-DD)')
   .option('--until <date>', '结束日期 (YYYY-MM-DD)')
   .action(async (options) => {
@@ -94,4 +183,31 @@ program
     await reportCommand(options);
   });
 
-program.parse();
+// completion 命令
+program
+  .command('completion [shell]')
+  .description('输出 shell tab 补全脚本 (bash, zsh)，config set model 可补全端点的可用模型')
+  .action((shell) => {
+    completionCommand(shell, program.commands.map(command => command.name()));
+  });
+
+// 所有命令都支持 --profile 选择命名配置
+[program, ...program.commands].forEach(command => {
+  command.option('--profile <name>', '使用指定的命名配置 (goodiffer config profile list 查看)');
+});
+
+program.hook('preAction', async (thisCommand, actionCommand) => {
+  const { profile } = actionCommand.opts();
+  // 默认命令: 读取配置前先把日志改写到 stderr，保证 --ci / --format json 的 stdout 只有审查结果
+  if (actionCommand === program) redirectLogs(actionCommand.opts());
+  try {
+    if (profile) useProfile(profile);
+    // 当前使用的 API Key 保存在加密文件中时询问口令
+    await unlockSecrets({ quiet: actionCommand.name() === 'config' });
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+});
+
+program.parseAsync();
@@ -1,12 +1,32 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
 import ora from 'ora';
-import { getConfig, isConfigured } from '../utils/config-store.js';
-import { GitService } from '../services/git.js';
-import { AIClient } from '../services/ai-client.js';
-import { buildCodexReviewPrompt } from '../prompts/codex-review-prompt.js';
-import { generateCodexReport } from '../services/codex-reporter.js';
+import chalk from 'chalk';
+import { getConfig, isConfigured, applyRepoSettings } from '../utils/config-store.js';
+import { GitService, summarizeManifest, MERGE_STRATEGIES, describeDiffStrategy } from '../services/git.js';
+import { FallbackAIClient, buildProviderChain } from '../services/fallback-client.js';
+import { supportsToolUseModel } from '../services/ai-client.js';
+import { buildCodexReviewPrompt, PROMPT_VERSION } from '../prompts/codex-review-prompt.js';
+import { OUTPUT_FORMATS, getOutputFormat, printTerminalReport, renderReviews } from '../services/report-renderers.js';
 import { getDatabase } from '../services/database.js';
+import { CodeContextService, getCodeContextService } from '../services/code-context.js';
+import { chunkDiff, estimateTokens } from '../services/diff-splitter.js';
+import { mergeReviewResults } from '../services/review-merger.js';
+import { reviewSchema } from '../services/review-validator.js';
+import { formatStreamProgress } from '../services/ai-stream.js';
+import { parseGatePolicy, evaluateGate, describeGatePolicy, GATE_EXIT_CODE, CI_DEFAULT_POLICY } from '../services/review-gate.js';
+import { loadReviewPolicy, applyPolicyThresholds, applyPolicyToResult } from '../services/review-policy.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
 import logger from '../utils/logger.js';
 
+// 单块 diff 的默认 token 上限，超出时分块审查
+const DEFAULT_CHUNK_TOKENS = 50000;
+// 分块审查的默认并发数
+const DEFAULT_CHUNK_CONCURRENCY = 2;
+// merge commit 的默认 diff 策略
+const DEFAULT_MERGE_STRATEGY = 'combined';
+
 /**
  * 提取统计数据
  */
@@ -21,7 +41,7 @@ function extractStats(result) {
 
   if (result.findings) {
     result.findings.forEach(f => {
-      const priority = f.priority || 3;
+      const priority = f.priority ?? 3;
       stats[`p${priority}`]++;
     });
   }
@@ -33,7 +53,318 @@ function extractStats(result) {
   return stats;
 }
 
+/**
+ * 启动代码上下文服务 (--no-context 或所有模型都不支持 Tool Use 时跳过)
+ * 审查的 commit 与工作区不一致时，工具从 git 读取该 commit 的文件 (不启动 LSP)
+ * @param {GitService} git
+ * @param {string|null} revision - 审查的 commit，null 表示审查工作区 / 暂存区
+ * @returns {Promise<CodeContextService|null>}
+ */
+async function startContextService(options, aiClient, git, revision = null) {
+  if (options.context === false || !aiClient.supportsToolUse()) {
+    return null;
+  }
+
+  // 工具的路径相对仓库根目录
+  const repoRoot = await git.getRepoRoot();
+  if (revision && !(await git.isWorktreeAt(revision))) {
+    return new CodeContextService(repoRoot, { revision: await git.resolveRef(revision) });
+  }
+
+  const contextService = getCodeContextService(repoRoot);
+  try {
+    await contextService.initialize(false, true);
+    return contextService;
+  } catch (error) {
+    logger.warning(`代码上下文服务启动失败，使用 diff-only 审查: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 构建 Tool Use 相关的 analyzeWithCodex 选项，并记录本次 review 调用过的工具
+ * @param {CodeContextService|null} contextService
+ * @param {Array} toolCalls - 工具调用日志 (会被追加)
+ * @param {Function} onToolCall - 每次工具调用时的回调 (可选)
+ */
+function buildToolOptions(contextService, toolCalls, onToolCall) {
+  if (!contextService) {
+    return {};
+  }
+
+  return {
+    tools: contextService.getAvailableToolDefinitions(),
+    toolExecutor: async (name, input) => {
+      if (onToolCall) onToolCall(name, input);
+      const output = await contextService.executeTool(name, input);
+      toolCalls.push({
+        name,
+        input,
+        success: !(output && output.error),
+        error: output && output.error ? output.error : undefined
+      });
+      return output;
+    }
+  };
+}
+
+/**
+ * 关闭代码上下文服务 (停止 LSP 子进程)
+ */
+async function closeContextService(contextService) {
+  if (!contextService) return;
+  try {
+    await contextService.close();
+  } catch {
+    // 忽略关闭错误
+  }
+}
+
+/**
+ * 工具调用的简短描述 (用于 spinner)
+ */
+function describeToolCall(name, input = {}) {
+  const target = input.file_path || input.symbol || input.pattern || input.directory || '';
+  const line = input.line ? `:${input.line}` : '';
+  return target ? `${name} ${target}${line}` : name;
+}
+
+/**
+ * 执行 Codex 审查
+ * diff 超出 token 预算时按文件/目录分块，有限并发地逐块审查后合并为单个结果
+ * @param {FallbackAIClient} aiClient
+ * @param {string} commitMessage
+ * @param {string} diff
+ * @param {object} repoInfo - buildCodexReviewPrompt 的仓库信息
+ * @param {object} codexOptions - analyzeWithCodex 选项
+ * @param {object} options - 命令行选项 (chunkTokens, concurrency)
+ */
+async function reviewDiff(aiClient, commitMessage, diff, repoInfo, codexOptions, options) {
+  const maxChunkTokens = parseInt(options.chunkTokens, 10) || DEFAULT_CHUNK_TOKENS;
+  const chunks = estimateTokens(diff) > maxChunkTokens
+    ? chunkDiff(diff, { maxTokens: maxChunkTokens })
+    : [];
+
+  if (chunks.length <= 1) {
+    const prompt = buildCodexReviewPrompt(commitMessage, diff, repoInfo);
+    return aiClient.analyzeWithCodex(prompt, codexOptions);
+  }
+
+  const { onProgress } = codexOptions;
+  const concurrency = parseInt(options.concurrency, 10) || DEFAULT_CHUNK_CONCURRENCY;
+  const allFiles = Array.from(new Set(chunks.flatMap(c => c.files)));
+  let completed = 0;
+
+  if (onProgress) onProgress({
+    type: 'info',
+    message: `diff 较大，拆分为 ${chunks.length} 块审查 (并发 ${concurrency})`
+  });
+
+  const results = await mapWithConcurrency(chunks, concurrency, async (chunk, index) => {
+    const label = `[块 ${index + 1}/${chunks.length}]`;
+    const prompt = buildCodexReviewPrompt(commitMessage, chunk.diff, {
+      ...repoInfo,
+      changedFiles: chunk.files,
+      files: repoInfo.files && repoInfo.files.filter(file => chunk.files.includes(file.path)),
+      chunkInfo: {
+        index: index + 1,
+        total: chunks.length,
+        files: chunk.files,
+        otherFiles: allFiles.filter(f => !chunk.files.includes(f))
+      }
+    });
+
+    return aiClient.analyzeWithCodex(prompt, {
+      ...codexOptions,
+      onProgress: (progress) => {
+        if (!onProgress) return;
+        if (progress.type === 'complete') {
+          completed++;
+          onProgress({ type: 'info', message: `分块审查进度 ${completed}/${chunks.length}` });
+        } else if (progress.type === 'info' || progress.type === 'analyzing' || progress.type === 'retry') {
+          onProgress({ type: 'info', message: `${label} ${progress.message}` });
+        } else if (progress.type === 'stream') {
+          onProgress({ type: 'info', message: `${label} ${formatStreamProgress(progress)}` });
+        }
+        // error 由调用方统一处理
+      }
+    });
+  });
+
+  const merged = mergeReviewResults(results, chunks.map(c => c.tokens));
+  merged.review_chunks = chunks.map(c => ({ files: c.files, tokens: c.tokens }));
+
+  if (onProgress) onProgress({ type: 'complete', message: '分析完成' });
+
+  return merged;
+}
+
+// diff 内容哈希 (审查缓存的键之一)
+function hashDiff(diff) {
+  return crypto.createHash('sha256').update(diff).digest('hex');
+}
+
+/**
+ * 查找可复用的审查结果：commit SHA、diff 哈希、prompt 版本、上下文模式和实际使用的模型都相同
+ * 按 provider 链的顺序查找，备用模型完成的审查在同一条链中也可复用
+ * @param {boolean} withContext - 是否请求了代码上下文 (与保存审查结果时使用同一个值)
+ * @returns {object|null} 带 cached 标记的审查结果
+ */
+function findCachedResult(commitSha, diff, config, policy, withContext) {
+  const db = getDatabase();
+  const diffHash = hashDiff(diff);
+
+  for (const { model } of buildProviderChain(config)) {
+    const review = db.findCachedReview({
+      commitSha,
+      diffHash,
+      promptVersion: reviewPromptVersion(policy, contextMode(withContext, model)),
+      model
+    });
+    if (!review) continue;
+
+    try {
+      return { ...JSON.parse(review.ai_response), cached: { reviewId: review.id, createdAt: review.created_at } };
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+// 审查是否使用代码上下文工具 (不支持 Tool Use 的模型只做 diff-only 审查)
+// withContext 取自命令行意图 (--no-context)，不取决于上下文服务是否启动成功，保证缓存查找和保存的键一致
+function contextMode(withContext, model) {
+  return withContext && supportsToolUseModel(model) ? 'context' : 'diff-only';
+}
+
+// 审查缓存使用的 prompt 版本 (审查策略或上下文模式变化后不复用旧结果)
+function reviewPromptVersion(policy, mode) {
+  const version = policy ? `${PROMPT_VERSION}+${policy.hash}` : PROMPT_VERSION;
+  return `${version}+${mode}`;
+}
+
+/**
+ * 读取仓库审查策略 (.goodiffer.yml)，ignore 路径并入 --exclude
+ * @returns {Promise<object|null>}
+ */
+async function loadPolicy(git, options) {
+  let policy;
+  try {
+    policy = loadReviewPolicy(await git.getRepoRoot());
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+
+  if (policy && policy.ignore.length > 0) {
+    git.setPathFilter({
+      pathspecs: options.pathspecs || [],
+      include: options.include || [],
+      exclude: [...(options.exclude || []), ...policy.ignore]
+    });
+  }
+  return policy;
+}
+
+// 超出审查策略 maxDiffLines 时的提示 (未超出时返回 null)
+function checkDiffLimit(policy, diffStats) {
+  if (!policy || !policy.maxDiffLines) return null;
+  const lines = diffStats.insertions + diffStats.deletions;
+  if (lines <= policy.maxDiffLines) return null;
+  return `变更 ${lines} 行，超出审查策略 ${policy.path} 的上限 ${policy.maxDiffLines} 行`;
+}
+
+// 创建 spinner (CI 模式下不显示动画，只把开始 / 结果行输出到 stderr)
+function createSpinner(options, text) {
+  return ora({ text, isEnabled: options.ci ? false : undefined });
+}
+
+// 是否在终端输出审查报告 (其他格式输出到 stdout 时不输出；CI 模式只在显式 --format terminal 时输出)
+function printsTerminalReport(options) {
+  return getOutputFormat(options) === 'terminal' || (Boolean(options.output) && !options.ci);
+}
+
+/**
+ * 写出渲染后的审查结果 (stdout 或 -o 指定的文件)
+ */
+function writeOutput(content, output) {
+  if (!output) {
+    process.stdout.write(content + '\n');
+    return;
+  }
+  fs.writeFileSync(output, content + '\n');
+  logger.success(`审查结果已写入 ${output}`);
+}
+
+/**
+ * 审查结束后的处理：按 --format 输出 markdown / json / sarif 文档，并按门禁策略检查，未通过时以 GATE_EXIT_CODE 退出
+ * (git hooks 据此阻止提交 / 推送，CI 据此阻止合并)
+ * @param {Array} reviews - [{ commit, reviewType, reviewId, status, error, diffStrategy, result }]，result 为空表示未审查
+ * @param {object|null} policy - parseGatePolicy 的结果
+ * @param {object} options - 命令行选项
+ * @param {string} repoRoot - 仓库根目录 (SARIF 路径以此为基准)
+ */
+function finishReviews(reviews, policy, options, repoRoot) {
+  const gates = reviews.map(review => (policy && review.result ? evaluateGate(review.result, policy) : null));
+  const violations = reviews.flatMap((review, index) => {
+    const gate = gates[index];
+    if (!gate || gate.passed) return [];
+    const prefix = reviews.length > 1 ? `${review.commit.sha.substring(0, 7)}: ` : '';
+    return gate.reasons.map(reason => prefix + reason);
+  });
+
+  const format = getOutputFormat(options);
+  if (format !== 'terminal') {
+    writeOutput(renderReviews(format, reviews, { repoRoot, policy, gates, violations }), options.output);
+  }
+
+  if (!policy) return;
+
+  if (violations.length === 0) {
+    logger.success(`审查门禁通过 (${describeGatePolicy(policy)})`);
+    return;
+  }
+
+  logger.error(`审查门禁未通过 (${describeGatePolicy(policy)}):`);
+  violations.forEach(reason => logger.error(`  ${reason}`));
+  process.exit(GATE_EXIT_CODE);
+}
+
+/**
+ * 构建分支审查的提交说明：概要 + 各 commit 的完整 message (从旧到新)
+ * @param {string} baseRef - base 分支
+ * @param {string} headRef - 当前分支
+ * @param {Array} commits - getCommitsBetween 的结果
+ */
+function buildBranchMessage(baseRef, headRef, commits) {
+  const lines = [`分支 ${headRef} 相对 ${baseRef} 的 ${commits.length} 个 commit`, ''];
+  commits.forEach((commit, index) => {
+    const [subject, ...body] = commit.message.split('\n');
+    lines.push(`${index + 1}. ${commit.sha.substring(0, 7)} ${subject}`);
+    body.filter(line => line.trim()).forEach(line => lines.push(`   ${line}`));
+  });
+  return lines.join('\n');
+}
+
+/**
+ * CI 模式或审查结果输出到 stdout 时，把日志改写到 stderr
+ * 需在读取配置之前调用 (配置和仓库配置的警告也通过 logger 输出)
+ */
+export function redirectLogs(options) {
+  if (options.ci) {
+    // CI 模式: 无颜色、无 spinner 动画；所有日志改写到 stderr，stdout 只输出审查结果
+    chalk.level = 0;
+    console.log = console.error;
+  } else if (getOutputFormat(options) !== 'terminal' && !options.output) {
+    // stdout 只输出渲染后的审查结果
+    console.log = console.error;
+  }
+}
+
 export async function analyzeCommand(options) {
+  redirectLogs(options);
+
   // 检查配置
   if (!isConfigured()) {
     logger.error('请先运行 goodiffer init 进行配置');
@@ -41,7 +372,28 @@ export async function analyzeCommand(options) {
   }
 
   const config = getConfig();
-  const git = new GitService();
+  // 仓库配置 (.goodiffer.json / .goodifferrc) 的 review 设置，命令行选项优先
+  options = applyRepoSettings(options);
+  const mergeStrategy = options.merges || DEFAULT_MERGE_STRATEGY;
+  if (!MERGE_STRATEGIES.includes(mergeStrategy)) {
+    logger.error(`--merges 必须是以下之一: ${MERGE_STRATEGIES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const format = getOutputFormat(options);
+  if (!OUTPUT_FORMATS.includes(format)) {
+    logger.error(`--format 必须是以下之一: ${OUTPUT_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  // 仓库配置可能指定 format
+  redirectLogs(options);
+
+  const git = new GitService(process.cwd(), {
+    pathspecs: options.pathspecs || [],
+    include: options.include || [],
+    exclude: options.exclude || []
+  });
 
   // 检查是否在 git 仓库中
   const isRepo = await git.isGitRepo();
@@ -50,13 +402,29 @@ export async function analyzeCommand(options) {
     process.exit(1);
   }
 
-  // 处理 -n 和 -m 参数的多 commit 模式
-  if (options.n || options.m) {
-    await analyzeMultipleCommits(options, config, git);
+  // 仓库审查策略 (.goodiffer.yml)，其阈值在命令行和 .goodiffer.json 未指定时作为门禁
+  const policy = await loadPolicy(git, options);
+  options = applyPolicyThresholds(options, policy);
+
+  let gatePolicy;
+  try {
+    gatePolicy = parseGatePolicy(options, options.ci ? CI_DEFAULT_POLICY : null);
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+
+  // 处理 -n / -m 和 commit 筛选参数的多 commit 模式
+  if (options.n || options.m || hasCommitFilters(options)) {
+    await analyzeMultipleCommits(options, config, git, mergeStrategy, gatePolicy, policy);
     return;
   }
 
-  let spinner = ora('获取 Git 信息...').start();
+  let spinner = createSpinner(options, '获取 Git 信息...').start();
+  let contextService = null;
+  const withContext = options.context !== false;
+  // 审查完成后交给 finishReviews 的记录
+  let reviewed = null;
 
   try {
     // 获取 commit 信息和 diff
@@ -64,7 +432,15 @@ export async function analyzeCommand(options) {
     let diff;
     let reviewType = 'commit';
     let author;
-    let diffStats;
+    let files;
+    // 审查范围 (range / branch 模式记录 base/head SHA)
+    let fromSha = options.from || null;
+    let toSha = options.to || null;
+    let baseRef = null;
+    // 单个 commit 的变更 (含 root / merge commit 的 diff 策略)
+    let change = null;
+    // 审查的版本 (代码上下文工具读取该版本的文件)，null 表示工作区 / 暂存区
+    let revision = null;
 
     if (options.staged) {
       // 分析暂存区
@@ -72,75 +448,164 @@ export async function analyzeCommand(options) {
       diff = await git.getStagedDiff();
       reviewType = 'staged';
       author = await git.getCommitAuthor('staged');
-      diffStats = await git.getStagedDiffStats();
+      files = await git.getStagedFileManifest();
+    } else if (options.worktree) {
+      // 分析工作区 (相对 HEAD，含未暂存和未跟踪文件)
+      commitInfo = { message: '(工作区更改)', sha: 'worktree' };
+      diff = await git.getWorktreeDiff();
+      reviewType = 'worktree';
+      author = await git.getCommitAuthor('worktree');
+      files = await git.getWorktreeFileManifest();
+    } else if (options.branch) {
+      // 分析当前分支相对 base 分支的累计变更 (PR 模式)
+      baseRef = options.branch;
+      toSha = await git.resolveRef('HEAD');
+      fromSha = await git.getMergeBase(await git.resolveRef(baseRef), toSha);
+      const commits = await git.getCommitsBetween(fromSha, toSha);
+      if (commits.length === 0) {
+        spinner.fail(`当前分支相对 ${baseRef} 没有新的 commit`);
+        process.exit(1);
+      }
+
+      commitInfo = {
+        sha: toSha,
+        message: buildBranchMessage(baseRef, await git.getCurrentBranch(), commits)
+      };
+      diff = await git.getRangeDiff(fromSha, toSha);
+      revision = toSha;
+      reviewType = 'branch';
+      author = await git.getLastCommitAuthor();
+      files = await git.getFileManifest([fromSha, toSha]);
     } else if (options.commit) {
       // 分析指定 commit
       commitInfo = await git.getCommitInfo(options.commit);
-      diff = await git.getCommitDiff(options.commit);
+      change = await git.getCommitChange(options.commit, mergeStrategy);
+      revision = commitInfo.sha;
       author = await git.getCommitAuthor(options.commit);
-      diffStats = await git.getDiffStats(`${options.commit}~1`, options.commit);
     } else if (options.from && options.to) {
       // 分析 commit 范围
       commitInfo = { message: `${options.from}..${options.to}`, sha: 'range' };
       diff = await git.getRangeDiff(options.from, options.to);
+      revision = options.to;
       reviewType = 'range';
       author = await git.getLastCommitAuthor();
-      diffStats = await git.getDiffStats(options.from, options.to);
+      files = await git.getFileManifest([options.from, options.to]);
     } else {
       // 默认: 分析最近一次 commit
       commitInfo = await git.getLastCommitInfo();
-      diff = await git.getLastCommitDiff();
+      change = await git.getCommitChange('HEAD', mergeStrategy);
+      revision = commitInfo.sha;
       author = await git.getLastCommitAuthor();
-      diffStats = await git.getDiffStats('HEAD~1', 'HEAD');
+    }
+
+    if (change) {
+      const shortSha = commitInfo.sha.substring(0, 7);
+      if (change.strategy === 'skip') {
+        spinner.info(`${shortSha} 是 merge commit，按 --merges=skip 跳过`);
+        return;
+      }
+      if (change.strategy === 'combined' && !change.diff.trim()) {
+        spinner.info(`${shortSha} 是没有冲突解决的 merge commit，组合 diff 为空 (可用 --merges=first-parent 审查合入的全部变更)`);
+        return;
+      }
+      diff = change.diff;
+      files = change.files;
+      commitInfo.diffStrategy = change.strategy;
     }
 
     if (!diff || diff.trim() === '') {
-      spinner.fail('没有找到代码变更');
+      spinner.fail(git.hasPathFilter() ? '没有找到匹配路径过滤的代码变更' : '没有找到代码变更');
       process.exit(1);
     }
 
     // 获取项目信息
     const projectName = await git.getProjectName();
     const branch = await git.getCurrentBranch();
-    const changedFiles = await git.getChangedFiles(
-      options.commit || (options.from ? `${options.from}..${options.to}` : 'HEAD~1')
-    );
+    const diffStats = summarizeManifest(files);
+    const changedFiles = files.map(file => file.path);
+
+    const diffLimit = checkDiffLimit(policy, diffStats);
+    if (diffLimit) {
+      spinner.fail(`${diffLimit}，请拆分后再审查`);
+      process.exit(1);
+    }
 
     spinner.succeed('获取 Git 信息完成');
 
-    // 构建 Codex review 提示词
-    const prompt = buildCodexReviewPrompt(commitInfo.message, diff, {
-      repository: projectName,
-      baseSha: options.from || 'HEAD~1',
-      headSha: options.to || commitInfo.sha,
-      changedFiles
+    // 复用未变化 commit 的审查结果 (--force 时重新审查)
+    if (reviewType === 'commit' && !options.force) {
+      const cached = findCachedResult(commitInfo.sha, diff, config, policy, withContext);
+      if (cached) {
+        const review = {
+          commit: { sha: commitInfo.sha, message: commitInfo.message },
+          reviewType,
+          reviewId: cached.cached.reviewId,
+          status: 'cached',
+          diffStrategy: commitInfo.diffStrategy,
+          result: cached
+        };
+        if (printsTerminalReport(options)) printTerminalReport(review);
+        logger.info(`commit 未变化，复用 review #${cached.cached.reviewId} 的结果 (使用 --force 重新审查)`);
+        finishReviews([review], gatePolicy, options, await git.getRepoRoot());
+        return;
+      }
+    }
+
+    const aiClient = new FallbackAIClient(config);
+
+    // 启动代码上下文服务 (LSP / 文件读取工具)
+    contextService = await startContextService(options, aiClient, git, revision);
+    const toolCalls = [];
+    const toolOptions = buildToolOptions(contextService, toolCalls, (name, input) => {
+      spinner.text = `🔧 ${describeToolCall(name, input)}`;
     });
 
+    // Codex review 提示词的仓库信息
+    const repoInfo = {
+      repository: projectName,
+      baseSha: fromSha || change?.base || 'HEAD',
+      headSha: toSha || commitInfo.sha,
+      diffStrategy: change?.strategy || null,
+      baseRef,
+      headRef: baseRef ? branch : null,
+      changedFiles,
+      files,
+      contextTools: toolOptions.tools ? toolOptions.tools.map(t => t.name) : [],
+      policy
+    };
+
     // 调用 AI 分析
-    spinner = ora('Codex 深度分析中...').start();
+    spinner = createSpinner(options, 'Codex 深度分析中...').start();
 
-    const aiClient = new AIClient(config);
     let result = null;
 
     try {
       // 使用 Codex 深度分析
       const reasoningEffort = options.reasoning || 'high';
 
-      result = await aiClient.analyzeWithCodex(prompt, {
+      result = await reviewDiff(aiClient, commitInfo.message, diff, repoInfo, {
         reasoningEffort: reasoningEffort,
+        schema: reviewSchema,
+        stream: options.stream !== false,
+        ...toolOptions,
         onProgress: (progress) => {
-          if (progress.type === 'info') {
+          if (progress.type === 'info' || progress.type === 'retry') {
             spinner.text = progress.message;
           } else if (progress.type === 'analyzing') {
             spinner.text = '🧠 Codex 深度分析中...';
+          } else if (progress.type === 'iteration') {
+            spinner.text = `🧠 Codex 深度分析中 (第 ${progress.iteration} 轮)...`;
+          } else if (progress.type === 'stream') {
+            spinner.text = `🧠 Codex 深度分析中... ${formatStreamProgress(progress)}`;
           } else if (progress.type === 'complete') {
             spinner.succeed('✅ 分析完成');
           } else if (progress.type === 'error') {
             spinner.fail(`❌ ${progress.message}`);
           }
         }
-      });
+      }, options);
     } catch (error) {
+      await closeContextService(contextService);
       spinner.fail('分析失败');
       if (error.message.includes('401')) {
         logger.error('API Key 无效或已过期');
@@ -155,15 +620,30 @@ export async function analyzeCommand(options) {
         console.log(`    apiHost: ${config.apiHost}`);
         console.log(`    model: ${config.model}`);
       } else if (error.message.includes('429')) {
-        logger.error('请求过于频繁，请稍后重试');
+        logger.error('请求过于频繁，自动重试后仍失败，请稍后重试');
+        logger.info('可通过 goodiffer config set fallbacks <model,...> 配置备用模型');
       } else {
         logger.error(`API 错误: ${error.message}`);
       }
       process.exit(1);
     }
 
-    // 生成 Codex 格式报告
-    generateCodexReport(result, commitInfo);
+    if (contextService) {
+      result.tool_calls = toolCalls;
+    }
+    // 按审查策略去掉被禁用的维度和低于报告阈值的 finding
+    result = applyPolicyToResult(result, policy);
+
+    reviewed = {
+      commit: { sha: commitInfo.sha, message: commitInfo.message },
+      reviewType,
+      reviewId: null,
+      status: 'done',
+      diffStrategy: commitInfo.diffStrategy,
+      result
+    };
+    // 生成 Codex 格式报告 (其他格式输出到 stdout 时不显示)
+    if (printsTerminalReport(options)) printTerminalReport(reviewed);
 
     // 保存到数据库 (除非指定 --no-save)
     if (options.save !== false) {
@@ -188,8 +668,9 @@ export async function analyzeCommand(options) {
           commitDate: author.date,
           branch,
           reviewType,
-          fromSha: options.from || null,
-          toSha: options.to || null,
+          fromSha,
+          toSha,
+          baseRef,
           filesChanged: diffStats.filesChanged,
           insertions: diffStats.insertions,
           deletions: diffStats.deletions,
@@ -202,13 +683,20 @@ export async function analyzeCommand(options) {
           warningCount: stats.p2,
           infoCount: stats.p3,
           riskCount: stats.risks,
-          modelUsed: config.model,
+          modelUsed: result.provider_used?.model || config.model,
           issues: result.findings || [],
           associationRisks: result.associationRisks || [],
           dimensions: result.dimensions || [],
-          overallAssessment: result.overall_assessment || {}
+          overallAssessment: result.overall_assessment || {},
+          usage: result.usage || null,
+          schemaRepaired: result.schema_repair?.needed || false,
+          diffStrategy: change?.strategy || null,
+          diffHash: hashDiff(diff),
+          promptVersion: reviewPromptVersion(policy, contextMode(withContext, result.provider_used?.model || config.model)),
+          files
         });
 
+        reviewed.reviewId = reviewId;
         logger.success(`Review #${reviewId} 已保存到数据库`);
       } catch (dbError) {
         logger.warning(`保存到数据库失败: ${dbError.message}`);
@@ -216,16 +704,46 @@ export async function analyzeCommand(options) {
     }
 
   } catch (error) {
+    await closeContextService(contextService);
     spinner.fail('分析失败');
     logger.error(error.message);
     process.exit(1);
   }
+
+  await closeContextService(contextService);
+  if (reviewed) finishReviews([reviewed], gatePolicy, options, await git.getRepoRoot());
 }
 
 export default analyzeCommand;
 
-// 分析多个 commits
-async function analyzeMultipleCommits(options, config, git) {
+// 批量审查时默认同时审查的 commit 数
+const DEFAULT_COMMIT_PARALLEL = 2;
+// 列出待审查 commits 时最多显示的条数
+const MAX_LISTED_COMMITS = 20;
+// 持久化到队列、resume 时沿用的命令行选项
+const JOB_OPTION_KEYS = [
+  'reasoning', 'merges', 'context', 'stream', 'chunkTokens', 'concurrency', 'parallel',
+  'pathspecs', 'include', 'exclude'
+];
+
+// commit 筛选条件 (--author / --since / --until / --grep / --path)
+function getCommitFilters(options) {
+  return {
+    author: options.author,
+    since: options.since,
+    until: options.until,
+    grep: options.grep,
+    paths: options.path || []
+  };
+}
+
+function hasCommitFilters(options) {
+  const filters = getCommitFilters(options);
+  return Boolean(filters.author || filters.since || filters.until || filters.grep || filters.paths.length > 0);
+}
+
+// 分析多个 commits (-n / -m / commit 筛选条件)
+async function analyzeMultipleCommits(options, config, git, mergeStrategy, gatePolicy, policy) {
   const n = options.n ? parseInt(options.n, 10) : null;
   const m = options.m ? parseInt(options.m, 10) : null;
 
@@ -235,174 +753,467 @@ async function analyzeMultipleCommits(options, config, git) {
     process.exit(1);
   }
 
-  if (n !== null && m === null) {
-    if (n <= 0 || n > 10) {
-      logger.error('n 必须在 1-10 之间');
-      process.exit(1);
-    }
+  if (n !== null && n <= 0) {
+    logger.error('n 必须大于 0');
+    process.exit(1);
   }
 
-  if (n !== null && m !== null) {
-    if (n <= 0 || m <= 0) {
-      logger.error('n 和 m 必须大于 0');
-      process.exit(1);
-    }
-    if (m < n) {
-      logger.error('m 必须大于等于 n');
-      process.exit(1);
-    }
-    if (m - n > 10) {
-      logger.error('m - n 不能超过 10');
-      process.exit(1);
-    }
+  if (m !== null && m < n) {
+    logger.error('m 必须大于等于 n');
+    process.exit(1);
   }
 
-  let spinner = ora('获取 Git 信息...').start();
+  const spinner = createSpinner(options, '获取 Git 信息...').start();
 
+  let commits;
   try {
-    // 获取 commits
-    let commits;
+    const filters = getCommitFilters(options);
     if (m !== null) {
-      commits = await git.getCommitRange(n, m);
+      commits = await git.getCommitRange(n, m, filters);
     } else {
-      commits = await git.getRecentCommits(n);
+      commits = await git.getRecentCommits(n, filters);
     }
+  } catch (error) {
+    spinner.fail('获取 commits 失败');
+    logger.error(error.message);
+    process.exit(1);
+  }
 
-    if (commits.length === 0) {
-      spinner.fail('没有找到 commits');
-      process.exit(1);
-    }
+  if (commits.length === 0) {
+    spinner.fail(hasCommitFilters(options) ? '没有找到符合筛选条件的 commits' : '没有找到 commits');
+    process.exit(1);
+  }
 
-    const projectName = await git.getProjectName();
-    const branch = await git.getCurrentBranch();
+  spinner.succeed(`找到 ${commits.length} 个 commit`);
 
-    spinner.succeed(`找到 ${commits.length} 个 commit`);
+  // 显示要分析的 commits
+  logger.info('\n要分析的 commits:');
+  commits.slice(0, MAX_LISTED_COMMITS).forEach((commit, index) => {
+    const shortSha = commit.sha.substring(0, 7);
+    const shortMsg = commit.message.split('\n')[0].substring(0, 50);
+    console.log(`  ${index + 1}. ${shortSha} - ${shortMsg}`);
+  });
+  if (commits.length > MAX_LISTED_COMMITS) {
+    console.log(`  ... 另有 ${commits.length - MAX_LISTED_COMMITS} 个 commit`);
+  }
+  console.log('');
 
-    // 显示要分析的 commits
-    logger.info('\n要分析的 commits:');
-    commits.forEach((commit, index) => {
-      const shortSha = commit.sha.substring(0, 7);
-      const shortMsg = commit.message.split('\n')[0].substring(0, 50);
-      console.log(`  ${index + 1}. ${shortSha} - ${shortMsg}`);
-    });
-    console.log('');
+  const items = commits.map((commit, index) => ({ ...commit, position: index + 1 }));
 
-    // 逐个分析
-    const aiClient = new AIClient(config);
-    const results = [];
+  // --no-save 时不写数据库，只在内存中执行
+  if (options.save === false) {
+    await runCommitBatch({ options, config, git, mergeStrategy, gatePolicy, policy, items, total: items.length });
+    return;
+  }
 
-    for (let i = 0; i < commits.length; i++) {
-      const commit = commits[i];
-      const shortSha = commit.sha.substring(0, 7);
+  const db = getDatabase();
+  const project = db.getOrCreateProject(await git.getProjectName(), process.cwd());
+  const jobOptions = Object.fromEntries(
+    JOB_OPTION_KEYS.filter(key => options[key] !== undefined).map(key => [key, options[key]])
+  );
+  jobOptions.merges = mergeStrategy;
 
-      spinner = ora(`[${i + 1}/${commits.length}] Codex 分析 commit ${shortSha}...`).start();
+  const jobId = db.createReviewJob({
+    projectId: project.id,
+    repoPath: process.cwd(),
+    model: config.model,
+    description: describeSelection(options),
+    options: jobOptions,
+    commits
+  });
+  logger.info(`已创建审查队列 #${jobId}，中断后可运行 goodiffer queue resume ${jobId} 继续\n`);
 
-      try {
-        const diff = await git.getCommitDiff(commit.sha);
-        if (!diff || diff.trim() === '') {
-          spinner.warn(`[${i + 1}/${commits.length}] commit ${shortSha} 没有代码变更，跳过`);
-          continue;
-        }
+  await runCommitBatch({
+    options, config, git, mergeStrategy, gatePolicy, policy, db, project, jobId,
+    items: db.getReviewJobItems(jobId).map(toBatchItem),
+    total: commits.length
+  });
+}
 
-        const diffStats = await git.getDiffStats(`${commit.sha}~1`, commit.sha);
-        const changedFiles = await git.getChangedFiles(commit.sha);
+/**
+ * 继续执行批量审查队列 (中断、失败或已取消的 commit 重新排队)
+ * @param {number} jobId
+ */
+export async function resumeReviewJob(jobId) {
+  if (!isConfigured()) {
+    logger.error('请先运行 goodiffer init 进行配置');
+    process.exit(1);
+  }
 
-        // 构建 Codex prompt
-        const prompt = buildCodexReviewPrompt(commit.message, diff, {
-          repository: projectName,
-          baseSha: `${commit.sha}~1`,
-          headSha: commit.sha,
-          changedFiles
-        });
+  const db = getDatabase();
+  const job = db.getReviewJob(jobId);
+  if (!job) {
+    logger.error(`审查队列 #${jobId} 不存在`);
+    process.exit(1);
+  }
 
-        let result = null;
+  if (path.resolve(job.repo_path) !== path.resolve(process.cwd())) {
+    logger.error(`审查队列 #${jobId} 属于 ${job.repo_path}，请在该目录下运行`);
+    process.exit(1);
+  }
 
-        try {
-          result = await aiClient.analyzeWithCodex(prompt, {
-            reasoningEffort: options.reasoning || 'high',
-            onProgress: (progress) => {
-              if (progress.type === 'info') {
-                spinner.text = `[${i + 1}/${commits.length}] ${progress.message}`;
-              }
-            }
-          });
-        } catch (error) {
-          spinner.fail(`[${i + 1}/${commits.length}] commit ${shortSha} 分析失败: ${error.message}`);
-          continue;
-        }
+  const reset = db.resetReviewJobItems(jobId, ['running', 'failed', 'cancelled']);
+  const items = db.getReviewJobItems(jobId, ['pending']).map(toBatchItem);
+  if (items.length === 0) {
+    db.updateReviewJobStatus(jobId, 'completed');
+    logger.success(`审查队列 #${jobId} 已全部完成`);
+    return;
+  }
 
-        spinner.succeed(`[${i + 1}/${commits.length}] commit ${shortSha} 分析完成`);
-
-        // 生成报告
-        generateCodexReport(result, { sha: commit.sha, message: commit.message });
-
-        // 保存到数据库
-        if (options.save !== false) {
-          try {
-            const db = getDatabase();
-            const project = db.getOrCreateProject(projectName, process.cwd());
-            const developer = db.getOrCreateDeveloper(commit.author.email, commit.author.name);
-            const stats = extractStats(result);
-
-            const reviewId = db.saveReview({
-              projectId: project.id,
-              developerId: developer.id,
-              commitSha: commit.sha,
-              commitMessage: commit.message,
-              commitDate: commit.author.date,
-              branch,
-              reviewType: 'commit',
-              fromSha: null,
-              toSha: null,
-              filesChanged: diffStats.filesChanged,
-              insertions: diffStats.insertions,
-              deletions: diffStats.deletions,
-              diffContent: null,
-              aiResponse: JSON.stringify(result, null, 2),
-              summary: result.summary || '',
-              commitMatch: result.commitMatch || false,
-              commitMatchReason: result.commitMatchReason || '',
-              errorCount: stats.p0 + stats.p1,
-              warningCount: stats.p2,
-              infoCount: stats.p3,
-              riskCount: stats.risks,
-              modelUsed: config.model,
-              issues: result.findings || [],
-              associationRisks: result.associationRisks || [],
-              dimensions: result.dimensions || [],
-              overallAssessment: result.overall_assessment || {}
-            });
-
-            results.push({ commit, reviewId, success: true });
-          } catch (dbError) {
-            logger.warning(`保存 commit ${shortSha} 到数据库失败: ${dbError.message}`);
-            results.push({ commit, success: false, error: dbError.message });
-          }
-        }
+  const options = job.options;
+  const config = getConfig();
+  if (config.model !== job.model) {
+    logger.warning(`当前模型 ${config.model} 与创建队列时的 ${job.model} 不同，将使用当前模型`);
+  }
 
-        // 在 commits 之间添加分隔线
-        if (i < commits.length - 1) {
-          console.log('\n' + '─'.repeat(60) + '\n');
-        }
+  const git = new GitService(process.cwd(), {
+    pathspecs: options.pathspecs || [],
+    include: options.include || [],
+    exclude: options.exclude || []
+  });
+  const policy = await loadPolicy(git, options);
+
+  logger.info(`继续审查队列 #${jobId}: ${job.description || ''} (剩余 ${items.length}/${job.total}${reset > 0 ? `，其中 ${reset} 个重新排队` : ''})\n`);
+
+  await runCommitBatch({
+    options, config, git, db, jobId, policy,
+    mergeStrategy: options.merges || DEFAULT_MERGE_STRATEGY,
+    project: db.getOrCreateProject(job.project_name, process.cwd()),
+    items,
+    total: job.total
+  });
+}
+
+// 队列 item -> 批量审查的 commit
+function toBatchItem(row) {
+  return {
+    id: row.id,
+    position: row.position,
+    sha: row.commit_sha,
+    message: row.commit_message,
+    author: { name: row.author_name, email: row.author_email, date: row.commit_date }
+  };
+}
+
+// 批量审查的选择条件描述 (用于 queue status)
+function describeSelection(options) {
+  const parts = [];
+  if (options.n) parts.push(`-n ${options.n}`);
+  if (options.m) parts.push(`-m ${options.m}`);
+  if (options.author) parts.push(`--author ${options.author}`);
+  if (options.since) parts.push(`--since ${options.since}`);
+  if (options.until) parts.push(`--until ${options.until}`);
+  if (options.grep) parts.push(`--grep ${options.grep}`);
+  (options.path || []).forEach(p => parts.push(`--path ${p}`));
+  return parts.join(' ');
+}
+
+/**
+ * 批量审查的进度显示：并发审查的多个 commit 共用一个 spinner，
+ * 单个 commit 结束时输出结果行 (和报告) 后继续显示其余进行中的 commit
+ * @param {number} total - commit 总数
+ * @param {number} finished - 已完成的数量 (resume 时不为 0)
+ * @param {object} options - 命令行选项
+ */
+function createBatchProgress(total, finished, options) {
+  const spinner = createSpinner(options);
+  const active = new Map();
+
+  const render = () => {
+    const parts = Array.from(active, ([sha, text]) => (text ? `${sha} ${text}` : sha));
+    spinner.text = `进度 ${finished}/${total} · Codex 分析中: ${parts.join(' | ')}`;
+  };
 
-      } catch (error) {
-        spinner.fail(`[${i + 1}/${commits.length}] commit ${shortSha} 处理失败: ${error.message}`);
-        results.push({ commit, success: false, error: error.message });
+  return {
+    begin(sha) {
+      active.set(sha, '');
+      render();
+      if (!spinner.isSpinning) spinner.start();
+    },
+    update(sha, text) {
+      if (!active.has(sha)) return;
+      active.set(sha, text);
+      render();
+    },
+    /**
+     * @param {string} method - succeed | warn | fail | info
+     * @param {Function} print - 结果行之后的输出 (可选)
+     */
+    end(sha, method, message, print) {
+      active.delete(sha);
+      finished++;
+      spinner[method](message);
+      if (print) print();
+      if (active.size > 0) {
+        render();
+        spinner.start();
       }
+    },
+    stop() {
+      spinner.stop();
     }
+  };
+}
 
-    // 显示汇总
-    console.log('\n' + '═'.repeat(60));
-    logger.success(`\n分析完成！共处理 ${commits.length} 个 commit`);
+/**
+ * 以有限并发执行批量审查，有 jobId 时逐 commit 更新队列状态
+ */
+async function runCommitBatch(batch) {
+  const { options, config, git, db, jobId, gatePolicy, items, total } = batch;
+  const parallel = parseInt(options.parallel, 10) || DEFAULT_COMMIT_PARALLEL;
+  const counts = { done: 0, cached: 0, skipped: 0, failed: 0 };
+  const reviews = [];
+  let contextService = null;
+  let cancelled = false;
 
-    const successCount = results.filter(r => r.success).length;
-    if (successCount > 0) {
-      logger.info(`成功保存 ${successCount} 条记录到数据库`);
+  try {
+    const aiClient = new FallbackAIClient(config);
+
+    // 与工作区一致的 commit 使用基于工作区的代码上下文服务 (LSP)，其他 commit 从 git 读取各自版本的文件
+    const worktreeSha = await git.isWorktreeAt('HEAD') ? await git.resolveRef('HEAD') : null;
+    if (worktreeSha && items.some(item => item.sha === worktreeSha)) {
+      contextService = await startContextService(options, aiClient, git);
     }
 
+    const context = {
+      ...batch,
+      aiClient,
+      contextService,
+      worktreeSha,
+      projectName: await git.getProjectName(),
+      branch: await git.getCurrentBranch(),
+      progress: createBatchProgress(total, total - items.length, options)
+    };
+
+    if (jobId) db.updateReviewJobStatus(jobId, 'running');
+
+    await mapWithConcurrency(items, parallel, async (item) => {
+      // 其他终端执行了 goodiffer queue cancel
+      if (cancelled || (jobId && db.getReviewJob(jobId).status === 'cancelled')) {
+        cancelled = true;
+        return;
+      }
+
+      if (jobId) db.updateReviewJobItem(item.id, { status: 'running' });
+      const outcome = await reviewBatchItem(context, item);
+      if (jobId) db.updateReviewJobItem(item.id, outcome);
+      counts[outcome.status]++;
+      reviews.push({
+        position: item.position,
+        commit: { sha: item.sha, message: item.message },
+        reviewType: 'commit',
+        reviewId: outcome.reviewId,
+        status: outcome.status,
+        error: outcome.error,
+        diffStrategy: outcome.diffStrategy,
+        result: outcome.result
+      });
+    });
+
+    context.progress.stop();
   } catch (error) {
-    spinner.fail('分析失败');
+    await closeContextService(contextService);
+    if (jobId) db.updateReviewJobStatus(jobId, 'failed');
     logger.error(error.message);
     process.exit(1);
   }
+
+  await closeContextService(contextService);
+
+  if (jobId && !cancelled) {
+    db.updateReviewJobStatus(jobId, counts.failed > 0 ? 'failed' : 'completed');
+  }
+
+  // 显示汇总
+  console.log('\n' + '═'.repeat(60));
+  logger.success(`\n分析完成！本次处理 ${counts.done + counts.cached + counts.skipped + counts.failed} 个 commit`);
+  console.log(`  审查 ${counts.done} · 缓存 ${counts.cached} · 跳过 ${counts.skipped} · 失败 ${counts.failed}`);
+
+  if (cancelled) {
+    logger.warning(`审查队列 #${jobId} 已取消，可运行 goodiffer queue resume ${jobId} 继续`);
+  } else if (jobId && counts.failed > 0) {
+    logger.info(`可运行 goodiffer queue resume ${jobId} 重试失败的 commit`);
+  }
+
+  if (options.ci || getOutputFormat(options) !== 'terminal' || gatePolicy) {
+    finishReviews(reviews.sort((a, b) => a.position - b.position), gatePolicy, options, await git.getRepoRoot());
+  }
+  if (options.ci && counts.failed > 0) {
+    process.exit(1);
+  }
+}
+
+/**
+ * 审查批量中的单个 commit
+ * @returns {Promise<{ status: string, reviewId?: number, error?: string, diffStrategy?: string, result?: object }>} status: done | cached | skipped | failed
+ */
+async function reviewBatchItem(context, item) {
+  const { options, config, git, db, project, mergeStrategy, policy, aiClient, progress } = context;
+  const label = `[${item.position}/${context.total}]`;
+  const shortSha = item.sha.substring(0, 7);
+  const withContext = options.context !== false;
+
+  progress.begin(shortSha);
+  let contextService = null;
+
+  try {
+    const change = await git.getCommitChange(item.sha, mergeStrategy);
+    if (change.strategy === 'skip') {
+      progress.end(shortSha, 'warn', `${label} commit ${shortSha} 是 merge commit，按 --merges=skip 跳过`);
+      return { status: 'skipped' };
+    }
+
+    const { diff, files } = change;
+    if (!diff || diff.trim() === '') {
+      progress.end(shortSha, 'warn', `${label} commit ${shortSha} 没有代码变更 (${describeDiffStrategy(change.strategy)})，跳过`);
+      return { status: 'skipped' };
+    }
+
+    const diffStats = summarizeManifest(files);
+    const diffLimit = checkDiffLimit(policy, diffStats);
+    if (diffLimit) {
+      progress.end(shortSha, 'warn', `${label} commit ${shortSha} ${diffLimit}，跳过`);
+      return { status: 'skipped', diffStrategy: change.strategy };
+    }
+
+    // 未变化的 commit 复用已有审查结果 (--force 时重新审查)
+    const cached = options.force ? null : findCachedResult(item.sha, diff, config, policy, withContext);
+    if (cached) {
+      progress.end(shortSha, 'info', `${label} commit ${shortSha} 未变化，复用 review #${cached.cached.reviewId}`, () => {
+        if (!printsTerminalReport(options)) return;
+        printTerminalReport({ commit: { sha: item.sha, message: item.message }, diffStrategy: change.strategy, result: cached });
+        console.log('\n' + '─'.repeat(60) + '\n');
+      });
+      return { status: 'cached', reviewId: cached.cached.reviewId, diffStrategy: change.strategy, result: cached };
+    }
+
+    if (change.strategy !== 'parent') {
+      progress.update(shortSha, `(${describeDiffStrategy(change.strategy)})`);
+    }
+
+    const changedFiles = files.map(file => file.path);
+
+    contextService = item.sha === context.worktreeSha
+      ? context.contextService
+      : await startContextService(options, aiClient, git, item.sha);
+    const toolCalls = [];
+    const toolOptions = buildToolOptions(contextService, toolCalls, (name, input) => {
+      progress.update(shortSha, `🔧 ${describeToolCall(name, input)}`);
+    });
+
+    // Codex prompt 的仓库信息
+    const repoInfo = {
+      repository: context.projectName,
+      baseSha: change.base,
+      headSha: item.sha,
+      diffStrategy: change.strategy,
+      changedFiles,
+      files,
+      contextTools: toolOptions.tools ? toolOptions.tools.map(t => t.name) : [],
+      policy
+    };
+
+    let result;
+    try {
+      result = await reviewDiff(aiClient, item.message, diff, repoInfo, {
+        reasoningEffort: options.reasoning || 'high',
+        schema: reviewSchema,
+        stream: options.stream !== false,
+        ...toolOptions,
+        onProgress: (p) => {
+          if (p.type === 'info' || p.type === 'retry') {
+            progress.update(shortSha, p.message);
+          } else if (p.type === 'stream') {
+            progress.update(shortSha, formatStreamProgress(p));
+          }
+        }
+      }, options);
+    } catch (error) {
+      progress.end(shortSha, 'fail', `${label} commit ${shortSha} 分析失败: ${error.message}`);
+      return { status: 'failed', error: error.message };
+    }
+
+    if (contextService) {
+      result.tool_calls = toolCalls;
+    }
+    result = applyPolicyToResult(result, policy);
+
+    let reviewId = null;
+    progress.end(shortSha, 'succeed', `${label} commit ${shortSha} 分析完成`, () => {
+      if (printsTerminalReport(options)) {
+        printTerminalReport({ commit: { sha: item.sha, message: item.message }, diffStrategy: change.strategy, result });
+      }
+
+      // 保存到数据库
+      if (db) {
+        try {
+          reviewId = saveCommitReview(db, project, {
+            item, result, diff, files, diffStats, config, policy,
+            branch: context.branch,
+            diffStrategy: change.strategy,
+            withContext
+          });
+        } catch (dbError) {
+          logger.warning(`保存 commit ${shortSha} 到数据库失败: ${dbError.message}`);
+        }
+      }
+
+      if (printsTerminalReport(options)) console.log('\n' + '─'.repeat(60) + '\n');
+    });
+
+    // 未能保存的 commit 记为失败，resume 时重新审查
+    if (db && !reviewId) {
+      return { status: 'failed', error: '保存到数据库失败', diffStrategy: change.strategy, result };
+    }
+    return { status: 'done', reviewId, diffStrategy: change.strategy, result };
+  } catch (error) {
+    progress.end(shortSha, 'fail', `${label} commit ${shortSha} 处理失败: ${error.message}`);
+    return { status: 'failed', error: error.message };
+  } finally {
+    // 各 commit 版本的上下文服务在审查完成后关闭，共用的工作区服务由 runCommitBatch 关闭
+    if (contextService !== context.contextService) {
+      await closeContextService(contextService);
+    }
+  }
+}
+
+// 保存批量审查中单个 commit 的 review 记录
+function saveCommitReview(db, project, { item, result, diff, files, diffStats, config, policy, branch, diffStrategy, withContext }) {
+  const developer = db.getOrCreateDeveloper(item.author.email, item.author.name);
+  const stats = extractStats(result);
+
+  return db.saveReview({
+    projectId: project.id,
+    developerId: developer.id,
+    commitSha: item.sha,
+    commitMessage: item.message,
+    commitDate: item.author.date,
+    branch,
+    reviewType: 'commit',
+    fromSha: null,
+    toSha: null,
+    filesChanged: diffStats.filesChanged,
+    insertions: diffStats.insertions,
+    deletions: diffStats.deletions,
+    diffContent: null,
+    aiResponse: JSON.stringify(result, null, 2),
+    summary: result.summary || '',
+    commitMatch: result.commitMatch || false,
+    commitMatchReason: result.commitMatchReason || '',
+    errorCount: stats.p0 + stats.p1,
+    warningCount: stats.p2,
+    infoCount: stats.p3,
+    riskCount: stats.risks,
+    modelUsed: result.provider_used?.model || config.model,
+    issues: result.findings || [],
+    associationRisks: result.associationRisks || [],
+    dimensions: result.dimensions || [],
+    overallAssessment: result.overall_assessment || {},
+    usage: result.usage || null,
+    schemaRepaired: result.schema_repair?.needed || false,
+    diffStrategy,
+    diffHash: hashDiff(diff),
+    promptVersion: reviewPromptVersion(policy, contextMode(withContext, result.provider_used?.model || config.model)),
+    files
+  });
 }
@@ -0,0 +1,52 @@
+import path from 'path';
+import logger from '../utils/logger.js';
+
+/**
+ * Shell tab 补全脚本
+ * 补全子命令、config 的操作和配置项；config set model 补全端点的可用模型 (goodiffer config models --names)
+ */
+
+const SHELLS = ['bash', 'zsh'];
+const CONFIG_ACTIONS = ['list', 'get', 'set', 'clear', 'profile', 'secure', 'models'];
+const CONFIG_KEYS = ['provider', 'apiHost', 'apiKey', 'apiKeyEnv', 'model', 'fallbacks', 'maxRetries', 'structuredOutput'];
+
+function bashScript(commands) {
+  return `_goodiffer_complete() {
+  local cur="\${COMP_WORDS[COMP_CWORD]}"
+  local words=""
+  case "\${COMP_CWORD}" in
+    1) words="${commands.join(' ')}" ;;
+    2) [[ "\${COMP_WORDS[1]}" == "config" ]] && words="${CONFIG_ACTIONS.join(' ')}" ;;
+    3) [[ "\${COMP_WORDS[1]}" == "config" && ( "\${COMP_WORDS[2]}" == "set" || "\${COMP_WORDS[2]}" == "get" ) ]] && words="${CONFIG_KEYS.join(' ')}" ;;
+    4) if [[ "\${COMP_WORDS[1]}" == "config" && "\${COMP_WORDS[2]}" == "set" && "\${COMP_WORDS[3]}" == "model" ]]; then
+         words="$(goodiffer config models --names 2>/dev/null)"
+       fi ;;
+  esac
+  COMPREPLY=( $(compgen -W "\${words}" -- "\${cur}") )
+}
+complete -F _goodiffer_complete goodiffer`;
+}
+
+/**
+ * 输出补全脚本
+ * @param {string} shell - bash | zsh (默认按 $SHELL 判断)
+ * @param {string[]} commands - 子命令名称
+ */
+export function completionCommand(shell, commands) {
+  const target = shell || path.basename(process.env.SHELL || 'bash');
+  if (!SHELLS.includes(target)) {
+    logger.error(`不支持的 shell: ${target} (可用: ${SHELLS.join(', ')})`);
+    process.exit(1);
+  }
+
+  const rc = target === 'zsh' ? '~/.zshrc' : '~/.bashrc';
+  const lines = [`# goodiffer tab 补全 (${target})`, `# 安装: goodiffer completion ${target} >> ${rc}`];
+  if (target === 'zsh') {
+    // zsh 通过 bashcompinit 复用 bash 补全函数
+    lines.push('autoload -U +X compinit && compinit', 'autoload -U +X bashcompinit && bashcompinit');
+  }
+  lines.push(bashScript(commands));
+  console.log(lines.join('\n'));
+}
+
+export default completionCommand;
@@ -1,7 +1,29 @@
-import { getConfig, setConfig, clearConfig } from '../utils/config-store.js';
+import chalk from 'chalk';
+import ora from 'ora';
+import {
+  getConfig,
+  setConfig,
+  clearConfig,
+  listProfiles,
+  addProfile,
+  removeProfile,
+  setActiveProfile,
+  getActiveProfile,
+  getRepoConfig,
+  getApiKeySources,
+  unlockSecrets,
+  secureApiKeys,
+  countPlaintextFallbackKeys,
+  describeSecretStorage,
+  ENV_NAME_PATTERN
+} from '../utils/config-store.js';
+import { discoverModels, getCachedModels, formatModelCapabilities } from '../services/model-catalog.js';
 import logger from '../utils/logger.js';
 
-export function configCommand(action, key, value) {
+// 命名配置的名称 (default 表示顶层配置)
+const PROFILE_NAME_PATTERN = /^[\w.-]+$/;
+
+export async function configCommand(action, key, value, options = {}) {
   switch (action) {
     case 'list':
       listConfig();
@@ -10,25 +32,83 @@ export function configCommand(action, key, value) {
       getConfigValue(key);
       break;
     case 'set':
+      if (key === 'apiKey' || key === 'fallbacks') await unlockSecrets({ forWrite: true });
       setConfigValue(key, value);
       break;
+    case 'secure':
+      await unlockSecrets({ forWrite: true });
+      secureKeys();
+      break;
     case 'clear':
       clearAllConfig();
       break;
+    case 'profile':
+      profileCommand(key, value);
+      break;
+    case 'models':
+      await listModels(key === 'refresh', options);
+      break;
     default:
       logger.error(`未知操作: ${action}`);
-      logger.info('可用操作: list, get, set, clear');
+      logger.info('可用操作: list, get, set, clear, profile, secure, models');
   }
 }
 
 function listConfig() {
   const config = getConfig();
-  logger.title('当前配置');
+  const active = getActiveProfile();
+  logger.title(active ? `当前配置 (${active.name})` : '当前配置');
+
+  if (active) {
+    console.log(chalk.gray(`  配置 "${active.name}" 来自 ${active.source}，未设置的项沿用默认配置`));
+    console.log('');
+  }
 
   console.log(`  apiHost:  ${config.apiHost || '(未设置)'}`);
   console.log(`  provider: ${config.provider || '(未设置)'}`);
   console.log(`  model:    ${config.model || '(未设置)'}`);
   console.log(`  apiKey:   ${config.apiKey ? '*'.repeat(8) + '...' + config.apiKey.slice(-4) : '(未设置)'}`);
+  if (config.apiKeyEnv) {
+    console.log(`  apiKeyEnv: ${config.apiKeyEnv}`);
+  }
+
+  // apiKey 来源 (按优先级，→ 表示当前使用的)
+  console.log('');
+  const sources = getApiKeySources();
+  console.log('  apiKey 来源 (按优先级):');
+  sources.forEach((source, index) => {
+    const status = source.value ? chalk.green('已设置') : source.locked ? chalk.yellow('未解锁') : chalk.gray('未设置');
+    console.log(`  ${source.active ? chalk.green('→') : ' '} ${index + 1}. ${source.source} ${status}`);
+  });
+  if (sources.some(source => source.backend === 'plaintext') || countPlaintextFallbackKeys() > 0) {
+    console.log(chalk.yellow('     apiKey 以明文保存，可运行 goodiffer config secure 迁移到密钥环或加密文件'));
+  }
+  console.log('');
+
+  console.log(`  maxRetries: ${config.maxRetries}`);
+  console.log(`  structuredOutput: ${config.structuredOutput}`);
+
+  // 备用模型链
+  const fallbacks = config.fallbacks || [];
+  if (fallbacks.length > 0) {
+    console.log('');
+    console.log('  备用模型 (按顺序):');
+    fallbacks.forEach((fallback, index) => {
+      const host = fallback.apiHost ? ` @ ${fallback.apiHost}` : '';
+      const key = fallback.apiKey ? ' (独立 apiKey)' : fallback.apiKeyEnv ? ` (apiKeyEnv ${fallback.apiKeyEnv} 未设置)` : '';
+      console.log(`    ${index + 1}. ${fallback.model}${host}${key}`);
+    });
+  }
+
+  // 自定义价格 (USD / 1M tokens)
+  const prices = Object.entries(config.prices || {});
+  if (prices.length > 0) {
+    console.log('');
+    console.log('  自定义价格 (USD / 1M tokens):');
+    prices.forEach(([model, price]) => {
+      console.log(`    ${model}: input ${price.input} / output ${price.output}`);
+    });
+  }
 
   // 显示实际 API 端点
   if (config.apiHost) {
@@ -49,7 +129,13 @@ function getConfigValue(key) {
   }
   const config = getConfig();
   if (key === 'apiKey' && config[key]) {
-    console.log('*'.repeat(8) + '...' + config[key].slice(-4));
+    const source = getApiKeySources().find(item => item.active);
+    console.log('*'.repeat(8) + '...' + config[key].slice(-4), chalk.gray(`(${source.source})`));
+  } else if (key === 'fallbacks') {
+    const fallbacks = (config.fallbacks || []).map(f => ({ ...f, apiKey: f.apiKey ? '********' : undefined }));
+    console.log(JSON.stringify(fallbacks, null, 2));
+  } else if (key === 'maxRetries' || key === 'structuredOutput') {
+    console.log(config[key]);
   } else {
     console.log(config[key] || '(未设置)');
   }
@@ -61,10 +147,43 @@ function setConfigValue(key, value) {
     return;
   }
 
-  const validKeys = ['provider', 'apiHost', 'apiKey', 'model'];
+  // 自定义模型价格: price.<model> <input>,<output>
+  if (key.startsWith('price.')) {
+    setModelPrice(key.slice('price.'.length), value);
+    return;
+  }
+
+  if (key === 'fallbacks') {
+    setFallbacks(value);
+    return;
+  }
+
+  if (key === 'maxRetries') {
+    const retries = parseInt(value, 10);
+    if (Number.isNaN(retries) || retries < 0 || retries > 10) {
+      logger.error('maxRetries 必须是 0-10 之间的整数');
+      return;
+    }
+    setConfig('maxRetries', retries);
+    logger.success(`已设置 maxRetries`);
+    return;
+  }
+
+  // 结构化输出能力: auto (仅官方端点使用原生 schema) | native | prompt
+  if (key === 'structuredOutput') {
+    if (!['auto', 'native', 'prompt'].includes(value)) {
+      logger.error('structuredOutput 必须是 auto、native 或 prompt');
+      return;
+    }
+    setConfig('structuredOutput', value);
+    logger.success('已设置 structuredOutput');
+    return;
+  }
+
+  const validKeys = ['provider', 'apiHost', 'apiKey', 'apiKeyEnv', 'model'];
   if (!validKeys.includes(key)) {
     logger.error(`无效的配置项: ${key}`);
-    logger.info(`可用配置项: ${validKeys.join(', ')}`);
+    logger.info(`可用配置项: ${validKeys.join(', ')}, fallbacks, maxRetries, structuredOutput, price.<model>`);
     return;
   }
 
@@ -73,8 +192,223 @@ function setConfigValue(key, value) {
     return;
   }
 
-  setConfig(key, value);
-  logger.success(`已设置 ${key}`);
+  // 从环境变量读取 API Key，none 清除
+  if (key === 'apiKeyEnv') {
+    if (value === 'none') value = '';
+    if (value && !ENV_NAME_PATTERN.test(value)) {
+      logger.error('apiKeyEnv 必须是环境变量名 (如 MY_LLM_KEY)，none 表示清除');
+      return;
+    }
+  }
+
+  try {
+    setConfig(key, value);
+  } catch (error) {
+    logger.error(`保存 ${key} 失败: ${error.message}`);
+    return;
+  }
+  const active = getActiveProfile();
+  logger.success(active ? `已设置 ${key} (配置 "${active.name}")` : `已设置 ${key}`);
+
+  // 只对照缓存的模型列表，不发送请求
+  if (key === 'model') {
+    const models = getCachedModels(getConfig());
+    if (models && !models.some(model => model.id === value)) {
+      logger.warning(`${value} 不在端点的模型列表中 (goodiffer config models 查看)`);
+    }
+  }
+}
+
+/**
+ * 列出端点的可用模型 (缓存 24 小时，refresh 时重新获取)
+ * --names 只输出模型名称，供 tab 补全调用：优先使用缓存，失败时不输出任何内容
+ */
+async function listModels(refresh, options) {
+  const config = getConfig();
+
+  if (options.names) {
+    let models = refresh ? null : getCachedModels(config);
+    if (!models) {
+      try {
+        models = (await discoverModels(config, { refresh })).models;
+      } catch {
+        return;
+      }
+    }
+    models.forEach(model => console.log(model.id));
+    return;
+  }
+
+  const spinner = ora('获取可用模型...').start();
+  let result;
+  try {
+    result = await discoverModels(config, { refresh });
+  } catch (error) {
+    spinner.fail(`获取模型列表失败: ${error.message}`);
+    return;
+  }
+  spinner.succeed(`${config.apiHost} 的可用模型 (${result.models.length} 个${result.cached ? `，缓存于 ${result.fetchedAt}，config models refresh 重新获取` : ''})`);
+
+  result.models.forEach(model => {
+    const current = model.id === config.model ? chalk.green('*') : ' ';
+    const capabilities = formatModelCapabilities(model);
+    console.log(`${current} ${model.id}${capabilities ? ` ${chalk.gray(`(${capabilities})`)}` : ''}`);
+  });
+}
+
+/**
+ * 设置备用模型链
+ * 支持逗号分隔的模型名 (沿用主配置的 apiHost / apiKey)，
+ * 或 JSON 数组 [{ "model", "apiHost", "apiKey", "apiKeyEnv", "provider" }]；传入 none 清空
+ * apiKey 与主配置的 key 一样保存到系统密钥环或加密文件
+ */
+function setFallbacks(value) {
+  if (value === 'none' || value === '') {
+    setConfig('fallbacks', []);
+    logger.success('已清除备用模型');
+    return;
+  }
+
+  let fallbacks;
+  if (value.trim().startsWith('[')) {
+    try {
+      fallbacks = JSON.parse(value);
+    } catch (error) {
+      logger.error(`fallbacks JSON 解析失败: ${error.message}`);
+      return;
+    }
+    if (!Array.isArray(fallbacks) || fallbacks.some(f => !f || typeof f.model !== 'string' || !f.model)) {
+      logger.error('fallbacks 必须是包含 model 字段的对象数组');
+      return;
+    }
+    const invalidEnv = fallbacks.find(f => f.apiKeyEnv !== undefined && !ENV_NAME_PATTERN.test(f.apiKeyEnv));
+    if (invalidEnv) {
+      logger.error(`备用模型 ${invalidEnv.model} 的 apiKeyEnv 不是有效的环境变量名: ${invalidEnv.apiKeyEnv}`);
+      return;
+    }
+  } else {
+    fallbacks = value.split(',').map(m => m.trim()).filter(Boolean).map(model => ({ model }));
+  }
+
+  try {
+    setConfig('fallbacks', fallbacks);
+  } catch (error) {
+    logger.error(`保存 fallbacks 失败: ${error.message}`);
+    return;
+  }
+  logger.success(`已设置备用模型: ${fallbacks.map(f => f.model).join(' → ')}`);
+}
+
+function setModelPrice(model, value) {
+  const [input, output] = String(value).split(',').map(v => parseFloat(v));
+  if (!model || Number.isNaN(input) || Number.isNaN(output) || input < 0 || output < 0) {
+    logger.error('用法: goodiffer config set price.<model> <input>,<output>');
+    logger.info('价格单位为 USD / 1M tokens，例如: goodiffer config set price.gpt-5-codex 1.25,10');
+    return;
+  }
+
+  const { prices = {} } = getConfig();
+  setConfig('prices', { ...prices, [model]: { input, output } });
+  logger.success(`已设置 ${model} 价格: input ${input} / output ${output} (USD / 1M tokens)`);
+}
+
+/**
+ * 命名配置管理: add / use / list / remove
+ */
+function profileCommand(action, name) {
+  switch (action) {
+    case 'list':
+      listAllProfiles();
+      break;
+
+    case 'add':
+      if (!name || !PROFILE_NAME_PATTERN.test(name) || name === 'default') {
+        logger.error('用法: goodiffer config profile add <name> (字母、数字、-、_、.，不能为 default)');
+        return;
+      }
+      if (listProfiles()[name]) {
+        logger.error(`配置 "${name}" 已存在`);
+        return;
+      }
+      addProfile(name);
+      logger.success(`已创建配置 "${name}"，未设置的项沿用默认配置`);
+      logger.info(`设置: goodiffer config set model <model> --profile ${name} 或 goodiffer init --profile ${name}`);
+      break;
+
+    case 'use':
+      if (!name) {
+        logger.error('用法: goodiffer config profile use <name> (default 表示默认配置)');
+        return;
+      }
+      if (name === 'default') {
+        setActiveProfile(null);
+        logger.success('已切换到默认配置');
+        return;
+      }
+      if (!listProfiles()[name]) {
+        logger.error(`配置 "${name}" 不存在`);
+        return;
+      }
+      setActiveProfile(name);
+      logger.success(`已切换到配置 "${name}"`);
+      break;
+
+    case 'remove':
+      if (!name || !removeProfile(name)) {
+        logger.error(`配置 "${name || ''}" 不存在`);
+        return;
+      }
+      logger.success(`已删除配置 "${name}"`);
+      break;
+
+    default:
+      logger.error(`未知操作: ${action || ''}`);
+      logger.info('可用操作: profile list, profile add <name>, profile use <name>, profile remove <name>');
+  }
+}
+
+function listAllProfiles() {
+  const profiles = listProfiles();
+  const active = getActiveProfile();
+  const repoConfig = getRepoConfig();
+
+  logger.title('命名配置');
+
+  const mark = (name) => ((active ? active.name : 'default') === name ? chalk.green('*') : ' ');
+  console.log(`${mark('default')} default ${chalk.gray('(顶层配置)')}`);
+  Object.entries(profiles).forEach(([name, profile]) => {
+    const keys = Object.keys(profile);
+    const detail = keys.length > 0
+      ? keys.map(key => (key === 'apiKey' ? 'apiKey=****' : `${key}=${typeof profile[key] === 'object' ? JSON.stringify(profile[key]) : profile[key]}`)).join(' ')
+      : '(沿用默认配置)';
+    console.log(`${mark(name)} ${name} ${chalk.gray(detail)}`);
+  });
+
+  if (active) {
+    console.log('');
+    console.log(chalk.gray(`当前使用 "${active.name}" (来自 ${active.source})`));
+  }
+  if (repoConfig.path) {
+    console.log(chalk.gray(`仓库配置: ${repoConfig.path}`));
+  }
+}
+
+/**
+ * 将明文保存的 API Key 迁移到系统密钥环或加密文件
+ */
+function secureKeys() {
+  let migrated;
+  try {
+    migrated = secureApiKeys();
+  } catch (error) {
+    logger.error(`迁移失败: ${error.message}`);
+    return;
+  }
+  if (migrated.length === 0) {
+    logger.info('没有以明文保存的 apiKey');
+    return;
+  }
+  logger.success(`已迁移 ${migrated.join(', ')} 的 apiKey 到${describeSecretStorage()}`);
 }
 
 function clearAllConfig() {
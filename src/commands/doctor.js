@@ -0,0 +1,306 @@
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import chalk from 'chalk';
+import {
+  getConfig,
+  getActiveProfile,
+  getApiKeySources,
+  getRepoConfig,
+  describeSecretStorage,
+  countPlaintextFallbackKeys
+} from '../utils/config-store.js';
+import { AIClient } from '../services/ai-client.js';
+import { buildProviderChain } from '../services/fallback-client.js';
+import { GitService } from '../services/git.js';
+import { getDatabase } from '../services/database.js';
+import { LSPService } from '../services/lsp-service.js';
+import { loadReviewPolicy } from '../services/review-policy.js';
+import logger from '../utils/logger.js';
+
+// 连通性检查的超时
+const PING_TIMEOUT = 30000;
+// 最低 Node.js 版本 (package.json engines)
+const MIN_NODE_MAJOR = 18;
+
+// LSP 服务器的安装方式
+const LSP_INSTALL_HINTS = {
+  'typescript-language-server': 'npm install -g typescript-language-server typescript',
+  'pyright-langserver': 'npm install -g pyright',
+  gopls: 'go install golang.org/x/tools/gopls@latest'
+};
+
+/**
+ * 检查配置、API 连通性和运行环境，输出可操作的诊断信息
+ * 有错误时以退出码 1 退出
+ */
+export async function doctorCommand(options = {}) {
+  const counts = { error: 0, warning: 0 };
+  const report = (level, message, hint) => {
+    if (level in counts) counts[level]++;
+    logger[level](message);
+    if (hint) console.log(chalk.gray(`    → ${hint}`));
+  };
+
+  logger.title('配置');
+  const config = getConfig();
+  checkConfig(config, report);
+
+  logger.title('仓库');
+  await checkRepository(report);
+
+  logger.title('运行环境');
+  await checkEnvironment(report);
+
+  logger.title('API 连通性');
+  if (options.offline) {
+    logger.info('已跳过 (--offline)');
+  } else {
+    await checkConnectivity(config, report);
+  }
+
+  console.log('');
+  if (counts.error > 0) {
+    logger.error(`发现 ${counts.error} 个错误${counts.warning > 0 ? `、${counts.warning} 个警告` : ''}`);
+    process.exit(1);
+  }
+  if (counts.warning > 0) {
+    logger.warning(`检查通过，有 ${counts.warning} 个警告`);
+  } else {
+    logger.success('检查全部通过');
+  }
+}
+
+function isValidUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function checkConfig(config, report) {
+  const active = getActiveProfile();
+  if (active) {
+    logger.info(`使用配置 "${active.name}" (来自 ${active.source})`);
+  }
+
+  if (!['claude', 'openai', 'custom'].includes(config.provider)) {
+    report('error', `provider 无效: ${config.provider}`, 'goodiffer config set provider <claude|openai|custom>');
+  }
+
+  if (!config.apiHost) {
+    report('error', 'apiHost 未设置', 'goodiffer init 或 goodiffer config set apiHost <url>');
+  } else if (!isValidUrl(config.apiHost)) {
+    report('error', `apiHost 不是有效的 http(s) URL: ${config.apiHost}`, 'goodiffer config set apiHost <url>');
+  } else {
+    const { protocol, hostname } = new URL(config.apiHost);
+    if (protocol === 'http:' && !['localhost', '127.0.0.1', '::1'].includes(hostname)) {
+      report('warning', `apiHost 使用 HTTP: ${config.apiHost}`, 'API Key 会以明文传输，建议使用 HTTPS');
+    } else {
+      report('success', `apiHost: ${config.apiHost}`);
+    }
+  }
+
+  if (!config.model) {
+    report('error', 'model 未设置', 'goodiffer config set model <model>');
+  } else {
+    report('success', `model: ${config.model}`);
+  }
+
+  // API Key
+  const sources = getApiKeySources();
+  const key = sources.find(source => source.active);
+  const locked = sources.find(source => source.locked);
+  if (config.apiKeyEnv && !process.env[config.apiKeyEnv]) {
+    report('warning', `apiKeyEnv 指定的环境变量 ${config.apiKeyEnv} 未设置`, `export ${config.apiKeyEnv}=<key>`);
+  }
+  if (key) {
+    report('success', `API Key: 来自${key.source}`);
+  } else if (locked) {
+    report('error', `API Key 保存在${locked.source}，未解锁`, '设置环境变量 GOODIFFER_PASSPHRASE 或在终端中运行');
+  } else {
+    report('error', '没有可用的 API Key', 'goodiffer config set apiKey <key>，或设置环境变量 GOODIFFER_API_KEY');
+  }
+  if (sources.some(source => source.backend === 'plaintext') || countPlaintextFallbackKeys() > 0) {
+    report('warning', 'API Key 以明文保存在配置文件中', 'goodiffer config secure');
+  }
+  logger.info(`新保存的 API Key 将存储到${describeSecretStorage()}`);
+
+  if (!Number.isInteger(config.maxRetries) || config.maxRetries < 0 || config.maxRetries > 10) {
+    report('warning', `maxRetries 无效: ${config.maxRetries}，将使用默认值`, 'goodiffer config set maxRetries <0-10>');
+  }
+  if (!['auto', 'native', 'prompt'].includes(config.structuredOutput)) {
+    report('warning', `structuredOutput 无效: ${config.structuredOutput}`, 'goodiffer config set structuredOutput <auto|native|prompt>');
+  }
+
+  (Array.isArray(config.fallbacks) ? config.fallbacks : []).forEach((fallback, index) => {
+    if (!fallback || typeof fallback.model !== 'string' || !fallback.model) {
+      report('error', `备用模型 #${index + 1} 缺少 model`, 'goodiffer config set fallbacks <model,...>');
+    } else if (fallback.apiHost && !isValidUrl(fallback.apiHost)) {
+      report('error', `备用模型 ${fallback.model} 的 apiHost 无效: ${fallback.apiHost}`);
+    } else if (fallback.apiKeyEnv && !fallback.apiKey) {
+      report('warning', `备用模型 ${fallback.model} 的 apiKeyEnv ${fallback.apiKeyEnv} 未设置，将使用主配置的 API Key`, `export ${fallback.apiKeyEnv}=<key>`);
+    }
+  });
+
+  Object.entries(config.prices || {}).forEach(([model, price]) => {
+    const valid = price && [price.input, price.output].every(value => typeof value === 'number' && value >= 0);
+    if (!valid) {
+      report('warning', `${model} 的价格配置无效，费用估算将忽略`, `goodiffer config set price.${model} <input>,<output>`);
+    }
+  });
+}
+
+async function checkRepository(report) {
+  const git = new GitService();
+  if (!(await git.isGitRepo())) {
+    logger.info('当前目录不是 git 仓库，跳过仓库检查');
+    return;
+  }
+
+  const repoRoot = await git.getRepoRoot();
+  report('success', `git 仓库: ${repoRoot}`);
+
+  const repoConfig = getRepoConfig();
+  if (repoConfig.path) {
+    report('success', `仓库配置: ${repoConfig.path}`);
+  }
+
+  try {
+    const policy = loadReviewPolicy(repoRoot);
+    if (policy) report('success', `审查策略: ${policy.path}`);
+  } catch (error) {
+    report('error', error.message);
+  }
+}
+
+// 在 PATH 中查找可执行文件
+function findExecutable(command) {
+  const extensions = process.platform === 'win32'
+    ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')
+    : [''];
+  for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    for (const extension of extensions) {
+      const candidate = path.join(dir, command + extension);
+      try {
+        fs.accessSync(candidate, fs.constants.X_OK);
+        if (fs.statSync(candidate).isFile()) return candidate;
+      } catch {
+        // 不存在或不可执行
+      }
+    }
+  }
+  return null;
+}
+
+async function checkEnvironment(report) {
+  const nodeMajor = parseInt(process.versions.node, 10);
+  if (nodeMajor < MIN_NODE_MAJOR) {
+    report('error', `Node.js ${process.versions.node} 版本过低`, `需要 Node.js >= ${MIN_NODE_MAJOR}`);
+  } else {
+    report('success', `Node.js ${process.versions.node}`);
+  }
+
+  const gitVersion = spawnSync('git', ['--version'], { encoding: 'utf-8', timeout: 10000 });
+  if (gitVersion.error || gitVersion.status !== 0) {
+    report('error', '未找到 git', '安装 git 并确认其在 PATH 中');
+  } else {
+    report('success', gitVersion.stdout.trim());
+  }
+
+  try {
+    const db = getDatabase();
+    const { count } = db.db.prepare('SELECT COUNT(*) AS count FROM reviews').get();
+    report('success', `SQLite: ${db.dbPath} (${count} 条 review)`);
+  } catch (error) {
+    report('error', `SQLite 数据库不可用: ${error.message}`, '升级 Node.js 后可运行 npm rebuild better-sqlite3 重新编译');
+  }
+
+  // LSP 服务器 (只检查当前项目使用的语言；不在仓库中时检查全部)
+  const git = new GitService();
+  const lsp = new LSPService(process.cwd());
+  const languages = (await git.isGitRepo())
+    ? await lsp.detectLanguages()
+    : ['typescript', 'python', 'go'];
+  const checked = new Set();
+  for (const language of languages) {
+    const command = lsp.getLSPCommand(language);
+    if (!command || checked.has(command.command)) continue;
+    checked.add(command.command);
+
+    const executable = findExecutable(command.command);
+    if (executable) {
+      report('success', `LSP (${language}): ${executable}`);
+    } else if (command.fallback) {
+      report('warning', `LSP (${language}): 未安装 ${command.command}，将通过 npx 临时下载 (首次较慢)`, LSP_INSTALL_HINTS[command.command]);
+    } else {
+      report('warning', `LSP (${language}): 未安装 ${command.command}，只能使用基础的文件读取工具`, LSP_INSTALL_HINTS[command.command]);
+    }
+  }
+  if (checked.size === 0) {
+    logger.info('当前项目没有可用的 LSP 服务器，代码上下文只使用基础工具');
+  }
+}
+
+/**
+ * 用一个极小的请求检查主模型和备用模型
+ */
+async function checkConnectivity(config, report) {
+  if (!config.apiKey || !isValidUrl(config.apiHost || '') || !config.model) {
+    report('warning', '配置不完整，跳过连通性检查');
+    return;
+  }
+
+  for (const profile of buildProviderChain(config)) {
+    const label = `${profile.model} @ ${profile.apiHost}`;
+    // 诊断时不重试，直接报告第一次的结果
+    const client = new AIClient({ ...profile, maxRetries: 0 });
+    const start = Date.now();
+    try {
+      await client.complete('Reply with "ok".', { maxTokens: 16, signal: AbortSignal.timeout(PING_TIMEOUT) });
+      report('success', `${label} (${Date.now() - start}ms)`);
+    } catch (error) {
+      const { level, message, hint } = diagnoseRequestError(error);
+      report(level, `${label}: ${message}`, hint);
+    }
+  }
+}
+
+/**
+ * 请求失败的原因和处理建议
+ */
+function diagnoseRequestError(error) {
+  const detail = error.message.replace(/^\d{3}\s*/, '').substring(0, 200);
+
+  if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+    return { level: 'error', message: `请求超时 (${PING_TIMEOUT / 1000}s)`, hint: '检查 apiHost 和网络是否可达' };
+  }
+  switch (error.status) {
+    case 401:
+      return { level: 'error', message: 'API Key 无效或已过期 (401)', hint: '检查当前使用的 API Key (goodiffer config list 查看来源)' };
+    case 403:
+      return { level: 'error', message: `请求被拒绝 (403) ${detail}`, hint: '确认 API Key 有该模型的访问权限' };
+    case 404:
+      return { level: 'error', message: `端点或模型不存在 (404) ${detail}`, hint: 'apiHost 只填写到域名 (不含 /v1)，并确认模型名称正确' };
+    case 429:
+      return { level: 'warning', message: '请求被限流 (429)，端点和 API Key 可用', hint: '批量审查时可降低 --parallel' };
+    case undefined:
+      break;
+    default:
+      if (error.status >= 500) {
+        return { level: 'error', message: `服务端错误 (${error.status}) ${detail}`, hint: '稍后重试，或配置备用模型: goodiffer config set fallbacks <model,...>' };
+      }
+      return { level: 'error', message: `请求失败 (${error.status}) ${detail}`, hint: '检查模型名称和 provider 是否匹配' };
+  }
+
+  // fetch 的底层网络错误在 cause 中 (ENOTFOUND、ECONNREFUSED 等)
+  const cause = error.cause || error;
+  return {
+    level: 'error',
+    message: `无法连接: ${cause.message}`,
+    hint: '检查 apiHost 是否正确、网络是否可达'
+  };
+}
+
+export default doctorCommand;
@@ -1,13 +1,23 @@
+import fs from 'fs';
 import chalk from 'chalk';
 import dayjs from 'dayjs';
 import { getDatabase } from '../services/database.js';
 import { GitService } from '../services/git.js';
+import { OUTPUT_FORMATS, renderReviews } from '../services/report-renderers.js';
 import logger from '../utils/logger.js';
 
+// history --export 支持的导出格式 (终端报告除外)
+const EXPORT_FORMATS = OUTPUT_FORMATS.filter(format => format !== 'terminal');
+
 export async function historyCommand(options) {
   const db = getDatabase();
   const git = new GitService();
 
+  if (options.export) {
+    exportReview(db, options);
+    return;
+  }
+
   // 构建筛选条件
   const filters = {
     limit: parseInt(options.limit) || 20,
@@ -58,6 +68,11 @@ export async function historyCommand(options) {
     filters.developerId = dev.id;
   }
 
+  // 审查类型筛选 (commit / staged / worktree / range / branch)
+  if (options.type) {
+    filters.reviewType = options.type;
+  }
+
   // 日期筛选
   if (options.since) {
     filters.since = dayjs(options.since).startOf('day').toISOString();
@@ -88,7 +103,10 @@ export async function historyCommand(options) {
 
   for (const review of reviews) {
     const date = dayjs(review.commit_date).format('YYYY-MM-DD HH:mm');
-    const sha = review.commit_sha.substring(0, 7);
+    // 分支审查显示 base..head 区间
+    const sha = review.review_type === 'branch' && review.from_sha && review.to_sha
+      ? `${review.from_sha.substring(0, 7)}..${review.to_sha.substring(0, 7)}`
+      : review.commit_sha.substring(0, 7);
 
     // 状态颜色
     let statusIcon = chalk.green('✓');
@@ -98,11 +116,15 @@ export async function historyCommand(options) {
       statusIcon = chalk.yellow('⚠');
     }
 
+    const title = review.review_type === 'branch'
+      ? chalk.magenta(`[PR] ${review.branch} → ${review.base_ref}`)
+      : chalk.white(review.commit_message.substring(0, 50));
+
     console.log(
       statusIcon,
       chalk.gray(date),
       chalk.cyan(`[${sha}]`),
-      chalk.white(review.commit_message.substring(0, 50))
+      title
     );
     console.log(
       '  ',
@@ -117,4 +139,46 @@ export async function historyCommand(options) {
   }
 }
 
+/**
+ * 导出已保存的 review (sarif / markdown / json)，SARIF 路径相对于审查时的项目目录
+ */
+function exportReview(db, options) {
+  const format = options.format || 'sarif';
+  if (!EXPORT_FORMATS.includes(format)) {
+    logger.error(`--format 必须是以下之一: ${EXPORT_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  const id = parseInt(String(options.export).replace(/^#/, ''), 10);
+  const review = id ? db.getReview(id) : null;
+  if (!review) {
+    logger.error(`Review #${options.export} 不存在`);
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    result = JSON.parse(review.ai_response);
+  } catch {
+    logger.error(`Review #${id} 的审查结果无法解析`);
+    process.exit(1);
+  }
+
+  const content = renderReviews(format, [{
+    commit: { sha: review.commit_sha, message: review.commit_message },
+    reviewType: review.review_type,
+    reviewId: review.id,
+    status: 'done',
+    diffStrategy: review.diff_strategy,
+    result
+  }], { repoRoot: review.project_path, policy: null, gates: [null], violations: [] }) + '\n';
+
+  if (!options.output) {
+    process.stdout.write(content);
+    return;
+  }
+  fs.writeFileSync(options.output, content);
+  logger.success(`Review #${id} 已导出到 ${options.output}`);
+}
+
 export default historyCommand;
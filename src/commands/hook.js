@@ -0,0 +1,234 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import { GitService } from '../services/git.js';
+import { parseFailOn } from '../services/review-gate.js';
+import { analyzeCommand } from './analyze.js';
+import logger from '../utils/logger.js';
+
+// 由 goodiffer 生成的 hook 脚本标记
+const HOOK_MARKER = '# goodiffer-hook';
+// 安装时覆盖已有 hook 的备份后缀
+const BACKUP_SUFFIX = '.goodiffer-backup';
+// 默认门禁: 出现 P0 问题或整体结论为 patch is incorrect 时阻止
+const DEFAULT_FAIL_ON = 'p0,incorrect';
+// 设置为 1 时跳过审查
+const BYPASS_ENV = 'GOODIFFER_SKIP';
+
+const HOOKS = {
+  'pre-commit': '审查暂存区 (--staged)',
+  'pre-push': '审查待推送的 commit 范围'
+};
+
+const CLI_PATH = fileURLToPath(new URL('../../bin/goodiffer.js', import.meta.url));
+
+export async function hookCommand(action, args, options) {
+  const git = new GitService();
+  if (!(await git.isGitRepo())) {
+    logger.error('当前目录不是 git 仓库');
+    process.exit(1);
+  }
+
+  switch (action) {
+    case 'install':
+      await installHooks(git, selectHooks(args), options);
+      break;
+
+    case 'uninstall':
+      await uninstallHooks(git, selectHooks(args));
+      break;
+
+    case 'status':
+      await showStatus(git);
+      break;
+
+    case 'run':
+      // 由 hook 脚本调用: goodiffer hook run pre-push <remote> <url> --fail-on <rules>
+      if (args[0] !== 'pre-push') {
+        logger.error('用法: goodiffer hook run pre-push <remote> [url]');
+        process.exit(1);
+      }
+      await runPrePush(git, args[1], options);
+      break;
+
+    default:
+      logger.error(`未知操作: ${action}`);
+      console.log();
+      console.log('可用操作:');
+      console.log('  install [hook...]   - 安装 pre-commit / pre-push hook (默认两者)');
+      console.log('  uninstall [hook...] - 移除 goodiffer 安装的 hook');
+      console.log('  status              - 查看 hook 安装状态');
+  }
+}
+
+function selectHooks(args) {
+  const names = args.length > 0 ? args : Object.keys(HOOKS);
+  const unknown = names.filter(name => !HOOKS[name]);
+  if (unknown.length > 0) {
+    logger.error(`不支持的 hook: ${unknown.join(', ')} (可用: ${Object.keys(HOOKS).join(', ')})`);
+    process.exit(1);
+  }
+  return names;
+}
+
+function isGoodifferHook(file) {
+  return fs.existsSync(file) && fs.readFileSync(file, 'utf-8').includes(HOOK_MARKER);
+}
+
+/**
+ * 生成 hook 脚本
+ * 依次使用 PATH 中的 goodiffer、项目本地安装 (npx)、安装 hook 时的 node 和脚本路径；都找不到时阻止并提示
+ * 门禁未通过 (退出码 2) 时阻止；其他错误 (未配置、网络故障等) 只提示不阻止
+ */
+function buildHookScript(name, failOn) {
+  const args = name === 'pre-commit'
+    ? `--staged --fail-on "${failOn}"`
+    : `hook run pre-push "$1" "$2" --fail-on "${failOn}"`;
+  const skip = `${BYPASS_ENV}=1 git ${name === 'pre-commit' ? 'commit' : 'push'} ...`;
+
+  return `#!/bin/sh
+${HOOK_MARKER} ${name}
+# 由 goodiffer hook install 生成: ${HOOKS[name]}，门禁 --fail-on ${failOn}
+# 跳过审查: ${skip} 或 --no-verify
+
+if [ "$${BYPASS_ENV}" = "1" ]; then
+  exit 0
+fi
+
+if command -v goodiffer >/dev/null 2>&1; then
+  goodiffer ${args}
+elif [ -x node_modules/.bin/goodiffer ] && command -v npx >/dev/null 2>&1; then
+  npx --no-install goodiffer ${args}
+elif [ -x "${process.execPath}" ] && [ -f "${CLI_PATH}" ]; then
+  "${process.execPath}" "${CLI_PATH}" ${args}
+else
+  echo "goodiffer: 未找到 goodiffer 命令 (PATH、node_modules 和安装 hook 时的路径 ${CLI_PATH} 均不可用)，审查无法执行，已阻止" >&2
+  echo "goodiffer: 请安装 goodiffer (npm install -g goodiffer)，或使用 ${skip} 跳过" >&2
+  exit 1
+fi
+status=$?
+if [ $status -eq 2 ]; then
+  echo "goodiffer: 审查未通过，已阻止 (${BYPASS_ENV}=1 可跳过)" >&2
+  exit 1
+fi
+if [ $status -ne 0 ]; then
+  echo "goodiffer: 审查未完成 (退出码 $status)，已放行" >&2
+fi
+exit 0
+`;
+}
+
+async function installHooks(git, names, options) {
+  const failOn = options.failOn || DEFAULT_FAIL_ON;
+  try {
+    parseFailOn(failOn);
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+
+  const hooksDir = await git.getHooksDir();
+  if (fs.existsSync(hooksDir) && !fs.statSync(hooksDir).isDirectory()) {
+    logger.error(`hooks 目录 ${hooksDir} 不是目录，请检查 core.hooksPath 配置`);
+    process.exit(1);
+  }
+  fs.mkdirSync(hooksDir, { recursive: true });
+
+  for (const name of names) {
+    const file = path.join(hooksDir, name);
+
+    if (fs.existsSync(file) && !isGoodifferHook(file)) {
+      if (!options.force) {
+        logger.warning(`${name} 已存在其他 hook，跳过 (使用 --force 覆盖，原文件将备份为 ${name}${BACKUP_SUFFIX})`);
+        continue;
+      }
+      fs.renameSync(file, file + BACKUP_SUFFIX);
+      logger.info(`已备份原有 ${name} 为 ${name}${BACKUP_SUFFIX}`);
+    }
+
+    fs.writeFileSync(file, buildHookScript(name, failOn), { mode: 0o755 });
+    fs.chmodSync(file, 0o755);
+    logger.success(`已安装 ${name} hook (${HOOKS[name]}，--fail-on ${failOn})`);
+  }
+
+  console.log(chalk.gray(`  跳过审查: ${BYPASS_ENV}=1 git commit ... 或 git commit --no-verify`));
+}
+
+async function uninstallHooks(git, names) {
+  const hooksDir = await git.getHooksDir();
+
+  for (const name of names) {
+    const file = path.join(hooksDir, name);
+
+    if (!isGoodifferHook(file)) {
+      logger.info(`${name}: 未安装 goodiffer hook`);
+      continue;
+    }
+
+    fs.unlinkSync(file);
+    if (fs.existsSync(file + BACKUP_SUFFIX)) {
+      fs.renameSync(file + BACKUP_SUFFIX, file);
+      logger.success(`已移除 ${name} hook，并恢复原有 hook`);
+    } else {
+      logger.success(`已移除 ${name} hook`);
+    }
+  }
+}
+
+async function showStatus(git) {
+  const hooksDir = await git.getHooksDir();
+
+  logger.title('Git Hooks');
+  console.log(chalk.gray('目录:'), hooksDir);
+  console.log();
+
+  for (const name of Object.keys(HOOKS)) {
+    const file = path.join(hooksDir, name);
+    let state;
+
+    if (isGoodifferHook(file)) {
+      const match = fs.readFileSync(file, 'utf-8').match(/--fail-on "([^"]+)"/);
+      state = chalk.green(`已安装 (--fail-on ${match ? match[1] : DEFAULT_FAIL_ON})`);
+    } else if (fs.existsSync(file)) {
+      state = chalk.yellow('存在其他 hook');
+    } else {
+      state = chalk.gray('未安装');
+    }
+
+    console.log(`  ${name.padEnd(11)} ${state}`);
+    console.log(chalk.gray(`  ${' '.repeat(11)} ${HOOKS[name]}`));
+  }
+
+  if (process.env[BYPASS_ENV] === '1') {
+    console.log();
+    logger.warning(`当前已设置 ${BYPASS_ENV}=1，hook 不会执行审查`);
+  }
+}
+
+// 读取 pre-push 的 stdin: "<local ref> <local sha> <remote ref> <remote sha>" 每行一个 ref
+async function readPushRefs() {
+  let input = '';
+  for await (const chunk of process.stdin) {
+    input += chunk;
+  }
+  return input.split('\n').filter(line => line.trim()).map(line => {
+    const [localRef, localSha, remoteRef, remoteSha] = line.trim().split(/\s+/);
+    return { localRef, localSha, remoteRef, remoteSha };
+  });
+}
+
+async function runPrePush(git, remote, options) {
+  const refs = await readPushRefs();
+
+  for (const ref of refs) {
+    const range = await git.getPushRange(ref.localSha, ref.remoteSha, remote);
+    if (!range) continue;
+
+    logger.info(`审查推送 ${ref.localRef} -> ${remote}/${ref.remoteRef.replace(/^refs\/heads\//, '')}`);
+    // 门禁未通过时 analyzeCommand 以退出码 2 退出
+    await analyzeCommand({ from: range.from, to: range.to, failOn: options.failOn || DEFAULT_FAIL_ON });
+  }
+}
+
+export default hookCommand;
@@ -1,5 +1,8 @@
 import inquirer from 'inquirer';
-import { setConfig, getConfig } from '../utils/config-store.js';
+import ora from 'ora';
+import chalk from 'chalk';
+import { setConfig, getConfig, getApiKeySources, unlockSecrets, ENV_NAME_PATTERN } from '../utils/config-store.js';
+import { discoverModels, formatModelCapabilities } from '../services/model-catalog.js';
 import logger from '../utils/logger.js';
 
 const API_HOSTS = {
@@ -8,16 +11,38 @@ const API_HOSTS = {
   packyapi: 'https://www.packyapi.com'
 };
 
+// 无法从端点获取模型列表时的内置列表
 const MODELS = {
-  anthropic: ['claude-sonnet-4-5-20250929', 'claude-3-opus-20240229', 'claude-3-5-sonnet-20241022'],
-  openai: ['gpt-4o', 'gpt-4-turbo', 'gpt-3.5-turbo'],
-  packyapi: ['claude-sonnet-4-5-20250929', 'gpt-4o']
+  anthropic: ['claude-sonnet-4-5-20250929', 'claude-opus-4-1-20250805', 'claude-haiku-4-5-20251001'],
+  openai: ['gpt-5-codex', 'gpt-5', 'gpt-4.1'],
+  packyapi: ['claude-sonnet-4-5-20250929', 'gpt-5-codex'],
+  custom: ['claude-sonnet-4-5-20250929', 'gpt-5-codex']
 };
 
-export async function initCommand() {
+// 各 API Host 的模型列表格式 (自定义端点按 OpenAI 兼容接口获取)
+const HOST_PROVIDERS = { anthropic: 'claude', openai: 'openai', packyapi: 'claude', custom: 'openai' };
+
+// 非交互模式的 --provider (anthropic 为 claude 的别名)
+const PROVIDER_ALIASES = { claude: 'claude', anthropic: 'claude', openai: 'openai', custom: 'custom' };
+
+// 未指定 --host 时各 provider 的默认 API Host
+const DEFAULT_HOSTS = { claude: API_HOSTS.anthropic, openai: API_HOSTS.openai };
+
+export async function initCommand(options = {}) {
+  if (options.provider || options.host || options.model || options.keyEnv) {
+    initFromOptions(options);
+    return;
+  }
+  if (!process.stdin.isTTY) {
+    logger.error('当前不是交互式终端，请使用 --provider、--host、--model、--key-env 参数初始化');
+    process.exit(1);
+  }
+
   logger.title('Goodiffer 配置向导');
 
   const currentConfig = getConfig();
+  // 只以已保存的 key 作为默认值 (不把环境变量中的 key 写入存储)
+  const storedKey = getApiKeySources().find(source => source.backend);
 
   const answers = await inquirer.prompt([
     {
@@ -53,28 +78,33 @@ export async function initCommand() {
       name: 'apiKey',
       message: '输入 API Key:',
       mask: '*',
-      default: currentConfig.apiKey || '',
+      default: (storedKey && storedKey.value) || '',
       validate: (input) => input ? true : '请输入 API Key'
-    },
+    }
+  ]);
+
+  // 确定 API Host
+  let apiHost;
+  if (answers.hostChoice === 'custom') {
+    apiHost = answers.customHost;
+  } else {
+    apiHost = API_HOSTS[answers.hostChoice];
+  }
+
+  // 从端点获取可用模型，失败时使用内置列表
+  const models = await fetchModelChoices(answers.hostChoice, apiHost, answers.apiKey);
+
+  const modelAnswers = await inquirer.prompt([
     {
       type: 'list',
       name: 'modelChoice',
       message: '选择模型:',
-      choices: (ans) => {
-        const host = ans.hostChoice;
-        if (host === 'custom') {
-          return [
-            { name: 'claude-sonnet-4-5-20250929', value: 'claude-sonnet-4-5-20250929' },
-            { name: 'gpt-4o', value: 'gpt-4o' },
-            { name: '自定义模型', value: 'custom' }
-          ];
-        }
-        const models = MODELS[host] || MODELS.anthropic;
-        return [
-          ...models.map(m => ({ name: m, value: m })),
-          { name: '自定义模型', value: 'custom' }
-        ];
-      }
+      pageSize: 15,
+      choices: [
+        ...models,
+        new inquirer.Separator(),
+        { name: '自定义模型', value: 'custom' }
+      ]
     },
     {
       type: 'input',
@@ -85,13 +115,8 @@ export async function initCommand() {
     }
   ]);
 
-  // 确定 API Host
-  let apiHost;
-  if (answers.hostChoice === 'custom') {
-    apiHost = answers.customHost;
-  } else {
-    apiHost = API_HOSTS[answers.hostChoice];
-  }
+  // 确定模型
+  const model = modelAnswers.customModel || modelAnswers.modelChoice;
 
   // 确定 provider
   let provider;
@@ -101,16 +126,18 @@ export async function initCommand() {
     provider = 'openai';
   } else {
     // 自定义时根据模型名判断
-    const model = answers.customModel || answers.modelChoice;
     provider = model.toLowerCase().startsWith('claude') ? 'claude' : 'openai';
   }
 
-  // 确定模型
-  const model = answers.customModel || answers.modelChoice;
-
-  // 保存配置
+  // 保存配置 (apiKey 保存到系统密钥环或加密文件)
+  await unlockSecrets({ forWrite: true });
   setConfig('apiHost', apiHost);
-  setConfig('apiKey', answers.apiKey);
+  try {
+    setConfig('apiKey', answers.apiKey);
+  } catch (error) {
+    logger.error(`保存 API Key 失败: ${error.message}`);
+    process.exit(1);
+  }
   setConfig('model', model);
   setConfig('provider', provider);
 
@@ -121,7 +148,81 @@ export async function initCommand() {
   console.log(`  Model:    ${model}`);
   console.log(`  Provider: ${provider}`);
   console.log();
-  logger.info('运行 goodiffer 开始分析代码');
+  logger.info('运行 goodiffer doctor 检查连通性，运行 goodiffer 开始分析代码');
+}
+
+/**
+ * 向导中的模型选项：端点返回的模型 (标注能力)，获取失败时使用内置列表
+ */
+async function fetchModelChoices(hostChoice, apiHost, apiKey) {
+  const spinner = ora('获取可用模型...').start();
+  try {
+    const { models } = await discoverModels({ apiHost, apiKey, provider: HOST_PROVIDERS[hostChoice] }, { refresh: true });
+    if (models.length === 0) throw new Error('端点没有返回模型');
+    spinner.succeed(`获取到 ${models.length} 个模型`);
+    return models.map(model => {
+      const capabilities = formatModelCapabilities(model);
+      return { name: capabilities ? `${model.id} ${chalk.gray(`(${capabilities})`)}` : model.id, value: model.id };
+    });
+  } catch (error) {
+    spinner.warn(`无法获取模型列表 (${error.message})，使用内置列表`);
+    return MODELS[hostChoice].map(model => ({ name: model, value: model }));
+  }
+}
+
+/**
+ * 非交互初始化 (CI runner、开发容器)
+ * --key-env 只记录环境变量名，运行时从该变量读取 API Key
+ */
+function initFromOptions(options) {
+  const provider = options.provider ? PROVIDER_ALIASES[options.provider.toLowerCase()] : null;
+  if (options.provider && !provider) {
+    logger.error('--provider 必须是 claude (anthropic)、openai 或 custom');
+    process.exit(1);
+  }
+
+  const model = options.model;
+  if (!model) {
+    logger.error('请使用 --model 指定模型');
+    process.exit(1);
+  }
+
+  // 未指定时根据模型名判断
+  const resolvedProvider = provider || (model.toLowerCase().startsWith('claude') ? 'claude' : 'openai');
+  const apiHost = options.host || DEFAULT_HOSTS[resolvedProvider];
+  if (!apiHost) {
+    logger.error('--provider custom 需要使用 --host 指定 API Host');
+    process.exit(1);
+  }
+  try {
+    new URL(apiHost);
+  } catch {
+    logger.error(`--host 不是有效的 URL: ${apiHost}`);
+    process.exit(1);
+  }
+
+  if (options.keyEnv && !ENV_NAME_PATTERN.test(options.keyEnv)) {
+    logger.error(`--key-env 必须是环境变量名: ${options.keyEnv}`);
+    process.exit(1);
+  }
+
+  setConfig('apiHost', apiHost);
+  setConfig('model', model);
+  setConfig('provider', resolvedProvider);
+  if (options.keyEnv) setConfig('apiKeyEnv', options.keyEnv);
+
+  logger.success('配置已保存');
+  console.log(`  API Host: ${apiHost}`);
+  console.log(`  Model:    ${model}`);
+  console.log(`  Provider: ${resolvedProvider}`);
+  if (options.keyEnv) console.log(`  API Key:  环境变量 ${options.keyEnv}`);
+
+  if (options.keyEnv && !process.env[options.keyEnv]) {
+    logger.warning(`环境变量 ${options.keyEnv} 当前未设置，运行前需要导出 API Key`);
+  } else if (!getConfig().apiKey) {
+    logger.warning('没有可用的 API Key，请使用 --key-env 指定环境变量，或运行 goodiffer config set apiKey <key>');
+  }
+  logger.info('运行 goodiffer doctor 检查配置和连通性');
 }
 
 export default initCommand;
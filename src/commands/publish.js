@@ -0,0 +1,209 @@
+import fs from 'fs';
+import path from 'path';
+import ora from 'ora';
+import chalk from 'chalk';
+import { getDatabase } from '../services/database.js';
+import { GitService } from '../services/git.js';
+import { renderMarkdownReport } from '../services/markdown-reporter.js';
+import { fingerprintFinding } from '../services/sarif-exporter.js';
+import {
+  FORGES,
+  TOKEN_ENV,
+  SUMMARY_MARKER,
+  findingMarker,
+  parseRemoteUrl,
+  detectForge,
+  defaultApiUrl,
+  detectPullRequestNumber,
+  createForgeAdapter
+} from '../services/forge-adapters.js';
+import logger from '../utils/logger.js';
+
+export async function publishCommand(reviewId, options) {
+  const db = getDatabase();
+  const id = parseInt(String(reviewId).replace(/^#/, ''), 10);
+  const review = id ? db.getReview(id) : null;
+  if (!review) {
+    logger.error(`Review #${reviewId} 不存在`);
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    result = JSON.parse(review.ai_response);
+  } catch {
+    logger.error(`Review #${id} 的审查结果无法解析`);
+    process.exit(1);
+  }
+
+  const target = await resolveTarget(options);
+  const adapter = createForgeAdapter(target.forge, target);
+  const label = `${target.forge === 'gitlab' ? 'MR !' : 'PR #'}${target.number}`;
+
+  const spinner = ora(`获取 ${target.repo} ${label}...`).start();
+  try {
+    const pr = await adapter.getPullRequest();
+    const reviewedSha = review.to_sha || review.commit_sha;
+    spinner.succeed(`${adapter.name} ${target.repo} ${label}`);
+    if (/^[0-9a-f]{40}$/i.test(reviewedSha) && pr.headSha && pr.headSha !== reviewedSha) {
+      logger.warning(`Review #${id} 审查的是 ${reviewedSha.substring(0, 7)}，${label} 当前 head 为 ${pr.headSha.substring(0, 7)}，行号可能已偏移`);
+    }
+
+    // 总结评论
+    spinner.start('发布总结评论...');
+    const summary = await adapter.upsertSummary(buildSummaryBody(review, result));
+    spinner.succeed(summary === 'updated' ? '已更新总结评论' : '已发布总结评论');
+
+    // 行内评论
+    if (options.inline !== false) {
+      const { comments, skipped } = buildInlineComments(review, result, await resolveRepoRoot(review.project_path));
+      // 没有新评论时也要调用，以清理上次发布的过期评论
+      spinner.start(comments.length > 0 ? `发布 ${comments.length} 条行内评论...` : '清理过期的行内评论...');
+      const outcomes = await adapter.upsertInlineComments(comments, pr);
+      const count = (action) => outcomes.filter(outcome => outcome.action === action).length;
+      const failed = outcomes.filter(outcome => outcome.action === 'failed');
+      let message = `行内评论: 新增 ${count('created')} · 更新 ${count('updated')}`;
+      if (count('removed') > 0) message += ` · 清理过期 ${count('removed')}`;
+
+      if (failed.length > 0) {
+        spinner.warn(`${message} · 失败 ${failed.length}`);
+        failed.forEach(({ comment, error }) => {
+          const range = comment.startLine ? `:${comment.startLine}-${comment.endLine}` : '';
+          console.log(chalk.gray(`  ${comment.path || comment.key}${range}`), chalk.red(error));
+        });
+        console.log(chalk.gray('  (通常是该行不在 PR diff 中，问题已包含在总结评论里)'));
+      } else if (outcomes.length > 0) {
+        spinner.succeed(message);
+      } else {
+        spinner.stop();
+      }
+      if (skipped > 0) {
+        logger.info(`${skipped} 个问题所在文件不在本次审查的变更中，只包含在总结评论里`);
+      }
+    }
+
+    if (pr.url) console.log(chalk.gray(`  ${pr.url}`));
+  } catch (error) {
+    spinner.fail('发布失败');
+    logger.error(error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * 确定发布目标：平台、仓库、PR 编号、API 地址和 token
+ * 未指定时从 origin remote 和 CI 环境变量推断
+ */
+async function resolveTarget(options) {
+  let remote = null;
+  const git = new GitService();
+  if (await git.isGitRepo()) {
+    remote = parseRemoteUrl(await git.getRemoteUrl(options.remote || 'origin'));
+  }
+
+  const forge = options.forge || (remote && detectForge(remote.host));
+  if (!forge) {
+    logger.error(`无法从 remote 推断平台，请使用 --forge 指定 (${FORGES.join(', ')})`);
+    process.exit(1);
+  }
+  if (!FORGES.includes(forge)) {
+    logger.error(`--forge 必须是以下之一: ${FORGES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const repo = options.repo || (remote && remote.repo);
+  if (!repo) {
+    logger.error('无法从 remote 推断仓库，请使用 --repo owner/name 指定');
+    process.exit(1);
+  }
+
+  const number = parseInt(options.pr || detectPullRequestNumber(forge), 10);
+  if (!number) {
+    logger.error('请使用 --pr 指定 PR / MR 编号');
+    process.exit(1);
+  }
+
+  const apiUrl = options.apiUrl || defaultApiUrl(forge, remote && remote.host);
+  if (!apiUrl) {
+    logger.error('无法推断 API 地址，请使用 --api-url 指定');
+    process.exit(1);
+  }
+
+  const tokenEnv = TOKEN_ENV[forge].find(name => process.env[name]);
+  if (!tokenEnv) {
+    logger.error(`请设置环境变量 ${TOKEN_ENV[forge].join(' 或 ')} 作为 ${forge} 访问 token`);
+    process.exit(1);
+  }
+
+  return { forge, repo, number, apiUrl, token: process.env[tokenEnv] };
+}
+
+function buildSummaryBody(review, result) {
+  const report = renderMarkdownReport(result, {
+    sha: review.to_sha || review.commit_sha,
+    message: review.review_type === 'branch' ? null : review.commit_message,
+    diffStrategy: review.diff_strategy
+  });
+  return `${SUMMARY_MARKER}\n${report}\n<sub>由 goodiffer 发布 · review #${review.id} · ${review.model_used}</sub>\n`;
+}
+
+/**
+ * 审查时所在仓库的根目录 (project_path 是审查时的工作目录，可能是仓库的子目录)
+ * 该目录已不存在时使用当前仓库
+ */
+async function resolveRepoRoot(projectPath) {
+  for (const dir of [projectPath, process.cwd()]) {
+    if (!dir || !fs.existsSync(dir)) continue;
+    const git = new GitService(dir);
+    if (await git.isGitRepo()) return git.getRepoRoot();
+  }
+  return projectPath || null;
+}
+
+// 仓库内的相对路径 (审查结果中可能是绝对路径)
+function toRepoPath(filePath, repoRoot) {
+  const normalized = String(filePath || '').replace(/\\/g, '/').replace(/^\.\//, '');
+  if (!path.isAbsolute(normalized)) return normalized;
+  const relative = repoRoot ? path.relative(repoRoot, normalized) : '';
+  return relative && !relative.startsWith('..') ? relative.split(path.sep).join('/') : null;
+}
+
+/**
+ * 每个 finding 一条行内评论；文件不在本次审查变更中的 finding 只保留在总结评论里
+ */
+function buildInlineComments(review, result, repoRoot) {
+  // 重命名的文件在 GitLab 行内评论中需要旧路径
+  const oldPaths = new Map((review.files || []).map(file => [file.path, file.old_path]));
+  const comments = [];
+  let skipped = 0;
+
+  for (const finding of result.findings || []) {
+    const location = finding.code_location || {};
+    const filePath = toRepoPath(location.absolute_file_path, repoRoot);
+    if (!filePath || (oldPaths.size > 0 && !oldPaths.has(filePath))) {
+      skipped++;
+      continue;
+    }
+
+    const range = location.line_range || {};
+    const startLine = range.start || 1;
+    const key = fingerprintFinding(finding, repoRoot);
+    // 标题已带 [P0]-[P3] 前缀
+    const lines = [`**${finding.title}**`, '', finding.body];
+    if (finding.suggestion) lines.push('', `💡 **Suggestion:** ${finding.suggestion}`);
+    lines.push('', findingMarker(key));
+
+    comments.push({
+      key,
+      path: filePath,
+      oldPath: oldPaths.get(filePath) || null,
+      startLine,
+      endLine: Math.max(range.end || startLine, startLine),
+      body: lines.join('\n')
+    });
+  }
+
+  return { comments, skipped };
+}
+
+export default publishCommand;
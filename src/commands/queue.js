@@ -0,0 +1,178 @@
+import chalk from 'chalk';
+import dayjs from 'dayjs';
+import { getDatabase } from '../services/database.js';
+import { GitService } from '../services/git.js';
+import { resumeReviewJob } from './analyze.js';
+import logger from '../utils/logger.js';
+
+// job / item 状态颜色
+const STATUS_COLORS = {
+  pending: chalk.gray,
+  running: chalk.cyan,
+  done: chalk.green,
+  completed: chalk.green,
+  cached: chalk.magenta,
+  skipped: chalk.blue,
+  failed: chalk.red,
+  cancelled: chalk.yellow
+};
+
+export async function queueCommand(action, id) {
+  const db = getDatabase();
+
+  switch (action) {
+    case 'status':
+      if (id) {
+        showJob(db, parseJobId(id));
+      } else {
+        listJobs(db, await getCurrentProject(db));
+      }
+      break;
+
+    case 'resume': {
+      const jobId = id
+        ? parseJobId(id)
+        : findLatestJob(db, await getCurrentProject(db), ['pending', 'running', 'failed']);
+      if (!jobId) {
+        logger.info('当前项目没有未完成的审查队列');
+        return;
+      }
+      await resumeReviewJob(jobId);
+      break;
+    }
+
+    case 'cancel': {
+      const jobId = id
+        ? parseJobId(id)
+        : findLatestJob(db, await getCurrentProject(db), ['pending', 'running']);
+      if (!jobId) {
+        logger.info('当前项目没有进行中的审查队列');
+        return;
+      }
+      cancelJob(db, jobId);
+      break;
+    }
+
+    default:
+      logger.error(`未知操作: ${action}`);
+      console.log();
+      console.log('可用操作:');
+      console.log('  status [id] - 查看审查队列 (指定 id 时显示每个 commit 的状态)');
+      console.log('  resume [id] - 继续中断 / 失败 / 已取消的审查队列 (默认最近一个未完成的)');
+      console.log('  cancel [id] - 取消审查队列，正在审查的 commit 完成后停止');
+  }
+}
+
+function parseJobId(id) {
+  const jobId = parseInt(String(id).replace(/^#/, ''), 10);
+  if (!jobId) {
+    logger.error(`无效的队列 id: ${id}`);
+    process.exit(1);
+  }
+  return jobId;
+}
+
+// 当前目录对应的项目 (不存在时返回 null)
+async function getCurrentProject(db) {
+  const git = new GitService();
+  if (!(await git.isGitRepo())) return null;
+  return db.getProject(await git.getProjectName()) || null;
+}
+
+function findLatestJob(db, project, statuses) {
+  if (!project) return null;
+  const [job] = db.listReviewJobs({ projectId: project.id, statuses, limit: 1 });
+  return job ? job.id : null;
+}
+
+// 进度概要，例如 "12/40 (审查 8 · 缓存 2 · 跳过 2 · 失败 1)"
+function formatCounts(job) {
+  const { done = 0, cached = 0, skipped = 0, failed = 0, cancelled = 0 } = job.counts;
+  const parts = [`审查 ${done}`, `缓存 ${cached}`, `跳过 ${skipped}`];
+  if (failed > 0) parts.push(chalk.red(`失败 ${failed}`));
+  if (cancelled > 0) parts.push(chalk.yellow(`取消 ${cancelled}`));
+  return `${done + cached + skipped}/${job.total} (${parts.join(' · ')})`;
+}
+
+function formatStatus(status, width = 0) {
+  return (STATUS_COLORS[status] || chalk.white)(status.padEnd(width));
+}
+
+function listJobs(db, project) {
+  const jobs = db.listReviewJobs({ projectId: project ? project.id : null });
+
+  if (jobs.length === 0) {
+    logger.info('没有审查队列');
+    return;
+  }
+
+  logger.title(project ? `审查队列 - ${project.name}` : '审查队列');
+
+  for (const job of jobs) {
+    console.log(
+      chalk.cyan(`#${job.id}`),
+      formatStatus(job.status),
+      chalk.gray(dayjs(job.created_at).format('YYYY-MM-DD HH:mm')),
+      job.description || ''
+    );
+    console.log(
+      '  ',
+      chalk.gray('进度:'), formatCounts(job),
+      chalk.gray('| 模型:'), job.model,
+      ...(project ? [] : [chalk.gray('| 项目:'), job.project_name])
+    );
+    console.log();
+  }
+}
+
+function showJob(db, jobId) {
+  const job = db.getReviewJob(jobId);
+  if (!job) {
+    logger.error(`审查队列 #${jobId} 不存在`);
+    process.exit(1);
+  }
+
+  logger.title(`审查队列 #${job.id}`);
+  console.log(chalk.gray('状态:'), formatStatus(job.status));
+  console.log(chalk.gray('项目:'), `${job.project_name} (${job.repo_path})`);
+  console.log(chalk.gray('选择:'), job.description || '-');
+  console.log(chalk.gray('模型:'), job.model);
+  console.log(chalk.gray('进度:'), formatCounts(job));
+  console.log();
+
+  for (const item of db.getReviewJobItems(job.id)) {
+    const message = (item.commit_message || '').split('\n')[0].substring(0, 50);
+    const detail = item.review_id ? chalk.gray(`review #${item.review_id}`) : '';
+    console.log(
+      chalk.gray(`${String(item.position).padStart(3)}.`),
+      chalk.cyan(item.commit_sha.substring(0, 7)),
+      formatStatus(item.status, 9),
+      message,
+      detail
+    );
+    if (item.error) {
+      console.log(chalk.red(`       ${item.error}`));
+    }
+  }
+}
+
+function cancelJob(db, jobId) {
+  const job = db.getReviewJob(jobId);
+  if (!job) {
+    logger.error(`审查队列 #${jobId} 不存在`);
+    process.exit(1);
+  }
+
+  if (job.status === 'completed' || job.status === 'cancelled') {
+    logger.info(`审查队列 #${jobId} 已是 ${job.status} 状态`);
+    return;
+  }
+
+  const cancelled = db.cancelReviewJob(jobId);
+  logger.success(`审查队列 #${jobId} 已取消 (${cancelled} 个 commit 未开始)`);
+  if (job.status === 'running') {
+    logger.info('正在审查的 commit 完成后停止');
+  }
+}
+
+export default queueCommand;
@@ -3,6 +3,7 @@ import dayjs from 'dayjs';
 import { getDatabase } from '../services/database.js';
 import { GitService } from '../services/git.js';
 import logger from '../utils/logger.js';
+import { formatCost } from '../utils/usage.js';
 
 export async function statsCommand(options) {
   const db = getDatabase();
@@ -17,7 +18,10 @@ export async function statsCommand(options) {
     dateRange.until = dayjs(options.until).endOf('day').toISOString();
   }
 
-  if (options.developer) {
+  if (options.cost) {
+    // 费用统计
+    showCostStats(db, dateRange);
+  } else if (options.developer) {
     // 开发者统计
     await showDeveloperStats(db, dateRange);
   } else {
@@ -68,6 +72,15 @@ async function showProjectStats(db, git, dateRange) {
   console.log('  ' + chalk.magenta('Risks:'), stats.total_risks || 0);
   console.log();
 
+  // 费用统计
+  if (stats.total_prompt_tokens || stats.total_completion_tokens) {
+    console.log(chalk.bold('💰 Token 用量'));
+    console.log('  ' + chalk.gray('Prompt:'), (stats.total_prompt_tokens || 0).toLocaleString());
+    console.log('  ' + chalk.gray('Completion:'), (stats.total_completion_tokens || 0).toLocaleString());
+    console.log('  ' + chalk.gray('估算费用:'), chalk.yellow(formatCost(stats.total_cost)));
+    console.log();
+  }
+
   // 开发者排名
   if (developerStats.length > 0) {
     console.log(chalk.bold('👥 开发者贡献'));
@@ -136,4 +149,51 @@ async function showDeveloperStats(db, dateRange) {
   }
 }
 
+function showCostStats(db, dateRange) {
+  logger.title('费用统计');
+
+  // 显示日期范围
+  if (dateRange.since || dateRange.until) {
+    const since = dateRange.since ? dayjs(dateRange.since).format('YYYY-MM-DD') : '最早';
+    const until = dateRange.until ? dayjs(dateRange.until).format('YYYY-MM-DD') : '今天';
+    console.log(chalk.gray(`时间范围: ${since} ~ ${until}`));
+    console.log();
+  }
+
+  const sections = [
+    { groupBy: 'project', title: '📁 按项目' },
+    { groupBy: 'developer', title: '👥 按开发者' },
+    { groupBy: 'model', title: '🤖 按模型' }
+  ];
+
+  let hasData = false;
+
+  for (const section of sections) {
+    const rows = db.getCostBreakdown(section.groupBy, dateRange);
+    if (rows.length === 0) continue;
+    hasData = true;
+
+    console.log(chalk.bold(section.title));
+    for (const row of rows) {
+      const tokens = (row.total_prompt_tokens || 0) + (row.total_completion_tokens || 0);
+      console.log(
+        `  ${chalk.cyan(row.name)}`,
+        chalk.gray('|'),
+        `Reviews: ${row.total_reviews}`,
+        chalk.gray('|'),
+        `Tokens: ${tokens.toLocaleString()}`,
+        chalk.gray(`(prompt ${(row.total_prompt_tokens || 0).toLocaleString()} / completion ${(row.total_completion_tokens || 0).toLocaleString()})`),
+        chalk.gray('|'),
+        `费用: ${chalk.yellow(formatCost(row.total_cost))}`,
+        row.unpriced_reviews > 0 ? chalk.gray(`(${row.unpriced_reviews} 条未计价)`) : ''
+      );
+    }
+    console.log();
+  }
+
+  if (!hasData) {
+    logger.info('暂无 Review 记录');
+  }
+}
+
 export default statsCommand;
@@ -9,14 +9,152 @@
  * - 精确的文件/行号引用
  */
 
+// prompt 版本，修改提示词或输出格式时递增 (审查缓存的键之一，旧版本的结果不再复用)
+export const PROMPT_VERSION = '3';
+
+const STATUS_CODES = {
+  added: 'A',
+  modified: 'M',
+  deleted: 'D',
+  renamed: 'R',
+  copied: 'C',
+  type_changed: 'T'
+};
+
+// root / merge commit 的 diff 说明 (普通 commit 不需要)
+const DIFF_STRATEGY_NOTES = {
+  root: 'This is the root commit of the repository: the diff is against the empty tree, so every file is newly added.',
+  'first-parent': 'This is a merge commit: the diff is against its first parent, i.e. everything the merge brought into the mainline.',
+  combined: 'This is a merge commit shown as a combined diff (git diff --cc): each line has one +/- column per parent, and only hunks that differ from every parent (conflict resolutions and evil-merge edits) are included. Focus on whether the resolution is correct.'
+};
+
+// 8 维度评估框架 (.goodiffer.yml 可以禁用其中部分维度)
+export const REVIEW_DIMENSIONS = [
+  {
+    name: 'Code Style & Formatting',
+    checks: [
+      'Consistent naming conventions',
+      'Proper indentation and spacing',
+      'Following language idioms',
+      'Code organization and structure'
+    ]
+  },
+  {
+    name: 'Security & Compliance',
+    checks: [
+      'Input validation and sanitization',
+      'Authentication and authorization',
+      'Data encryption and protection',
+      'Compliance with security standards',
+      'Injection attack prevention (SQL, XSS, etc.)'
+    ]
+  },
+  {
+    name: 'Error Handling & Logging',
+    checks: [
+      'Comprehensive error catching',
+      'Meaningful error messages',
+      'Appropriate logging levels',
+      'Stack trace preservation',
+      'Graceful degradation'
+    ]
+  },
+  {
+    name: 'Readability & Maintainability',
+    checks: [
+      'Self-documenting code',
+      'Appropriate comments',
+      'Low cyclomatic complexity',
+      'Single responsibility principle',
+      "DRY (Don't Repeat Yourself)"
+    ]
+  },
+  {
+    name: 'Performance & Scalability',
+    checks: [
+      'Time complexity optimization',
+      'Space complexity considerations',
+      'Database query efficiency',
+      'Caching strategies',
+      'Async/parallel processing'
+    ]
+  },
+  {
+    name: 'Testing & Quality Assurance',
+    checks: [
+      'Test coverage for new code',
+      'Edge case handling',
+      'Integration test considerations',
+      'Mock/stub usage',
+      'Test maintainability'
+    ]
+  },
+  {
+    name: 'Documentation & Version Control',
+    checks: [
+      'API documentation',
+      'README updates',
+      'Changelog entries',
+      'Commit message quality',
+      'Breaking change notifications'
+    ]
+  },
+  {
+    name: 'Accessibility & Internationalization',
+    checks: [
+      'ARIA labels and roles',
+      'Keyboard navigation',
+      'Screen reader compatibility',
+      'i18n/l10n support',
+      'RTL language support'
+    ]
+  }
+];
+
+/**
+ * 格式化变更文件清单，例如:
+ *   - M src/a.js (+3 -1)
+ *   - R97 src/old.js -> src/new.js (+1 -0)
+ *   - A assets/logo.png (binary)
+ *   - M bin/run.sh (+0 -0, mode 100644 -> 100755)
+ */
+function formatFileManifest(files) {
+  return files.map(file => {
+    const code = `${STATUS_CODES[file.status] || '?'}${file.similarity !== null && file.similarity !== undefined ? file.similarity : ''}`;
+    const name = file.oldPath ? `${file.oldPath} -> ${file.path}` : file.path;
+    const details = [file.binary ? 'binary' : `+${file.insertions} -${file.deletions}`];
+    if (file.modeChanged) {
+      details.push(`mode ${file.oldMode} -> ${file.newMode}`);
+    }
+    return `  - ${code} ${name} (${details.join(', ')})`;
+  }).join('\n');
+}
+
 export function buildCodexReviewPrompt(commitMessage, diff, repoInfo = {}) {
   const {
     repository = '',
     baseSha = '',
     headSha = '',
-    changedFiles = []
+    baseRef = null,
+    headRef = null,
+    diffStrategy = null,
+    changedFiles = [],
+    files = null,
+    contextTools = [],
+    chunkInfo = null,
+    policy = null
   } = repoInfo;
 
+  // 仓库审查策略 (.goodiffer.yml): 启用的维度和团队规则
+  const dimensions = policy
+    ? REVIEW_DIMENSIONS.filter(dimension => policy.dimensions.includes(dimension.name))
+    : REVIEW_DIMENSIONS;
+  const disabledDimensions = REVIEW_DIMENSIONS.filter(dimension => !dimensions.includes(dimension));
+  const policyNotes = disabledDimensions.length > 0
+    ? `\nThe repository policy disables these dimensions: ${disabledDimensions.map(dimension => dimension.name).join(', ')}. Do not assess them and do not report findings that only concern them.\n`
+    : '';
+  const rules = policy ? policy.rules : [];
+
   return `You are acting as a reviewer for a proposed code change made by another engineer.
 
 ## Core Principles
@@ -28,65 +166,12 @@ Focus on issues that impact:
 ✓ **Maintainability** - Code complexity, coupling, testability
 ✓ **Developer Experience** - API design, error messages, debugging
 
-## 8-Dimensional Assessment Framework
+## ${dimensions.length}-Dimensional Assessment Framework
 
 Evaluate the code changes across these dimensions:
 
-### 1. Code Style & Formatting
-- Consistent naming conventions
-- Proper indentation and spacing
-- Following language idioms
-- Code organization and structure
-
-### 2. Security & Compliance
-- Input validation and sanitization
-- Authentication and authorization
-- Data encryption and protection
-- Compliance with security standards
-- Injection attack prevention (SQL, XSS, etc.)
-
-### 3. Error Handling & Logging
-- Comprehensive error catching
-- Meaningful error messages
-- Appropriate logging levels
-- Stack trace preservation
-- Graceful degradation
-
-### 4. Readability & Maintainability
-- Self-documenting code
-- Appropriate comments
-- Low cyclomatic complexity
-- Single responsibility principle
-- DRY (Don't Repeat Yourself)
-
-### 5. Performance & Scalability
-- Time complexity optimization
-- Space complexity considerations
-- Database query efficiency
-- Caching strategies
-- Async/parallel processing
-
-### 6. Testing & Quality Assurance
-- Test coverage for new code
-- Edge case handling
-- Integration test considerations
-- Mock/stub usage
-- Test maintainability
-
-### 7. Documentation & Version Control
-- API documentation
-- README updates
-- Changelog entries
-- Commit message quality
-- Breaking change notifications
-
-### 8. Accessibility & Internationalization
-- ARIA labels and roles
-- Keyboard navigation
-- Screen reader compatibility
-- i18n/l10n support
-- RTL language support
-
+${dimensions.map((dimension, index) => `### ${index + 1}. ${dimension.name}\n${dimension.checks.map(check => `- ${check}`).join('\n')}`).join('\n\n')}
+${policyNotes}
 ## Review Guidelines
 
 **Flag issues ONLY if:**
@@ -102,7 +187,12 @@ Evaluate the code changes across these dimensions:
 - Pre-existing issues
 - Speculative problems without evidence
 - Nitpicks that don't affect functionality
+${rules.length > 0 ? `
+## Team Rules
 
+The repository maintainers require every change to follow these rules. Flag violations introduced by this change like any other finding, quote the rule in the finding body, and pick the priority by impact:
+${rules.map((rule, index) => `${index + 1}. ${rule}`).join('\n')}
+` : ''}
 ## Priority Levels
 
 - **[P0]** – Critical. Blocks release. Security vulnerabilities, data corruption, crashes.
@@ -129,14 +219,35 @@ Goal: avoid diff-only blind spots by mapping how touched symbols are used before
 4. Compare and record deltas: behavior changes, call graph shifts, and which callers/implementations are affected.
 5. If context is missing (e.g., LSP unavailable), state the gap explicitly; otherwise avoid leaving placeholders like “未提供完整上下文” by fetching references via LSP.
 6. Use this sweep to drive findings, association risks, and recommended tests.
-
+${contextTools.length > 0 ? `
+### Available Context Tools
+
+You can call these tools to fetch code outside the diff: ${contextTools.join(', ')}.
+- Paths are relative to the repository root.
+- Prefer find_references / go_to_definition for the call graph sweep; fall back to search_code / find_definition when LSP is unavailable.
+- Keep tool calls focused on touched symbols. When you have enough context, stop calling tools and reply with the final JSON only.
+` : ''}
 ## Repository Context
 
 ${repository ? `Repository: ${repository}` : ''}
-${baseSha ? `Base SHA: ${baseSha}` : ''}
-${headSha ? `Head SHA: ${headSha}` : ''}
-${changedFiles.length > 0 ? `Changed files:\n${changedFiles.map(f => `  - ${f}`).join('\n')}` : ''}
-
+${baseSha ? `Base SHA: ${baseSha}${baseRef ? ` (merge-base with ${baseRef})` : ''}` : ''}
+${headSha ? `Head SHA: ${headSha}${headRef ? ` (${headRef})` : ''}` : ''}
+${DIFF_STRATEGY_NOTES[diffStrategy] || ''}
+${baseRef ? `This is a pull-request style review: the diff is the cumulative change of the branch since it diverged from ${baseRef}, and the commit message section lists every commit on the branch. Judge the branch as a whole; intermediate commits that are later fixed are not findings.` : ''}
+${files && files.length > 0
+    ? `Changed files (status, +insertions -deletions; binary files have no textual diff):\n${formatFileManifest(files)}`
+    : changedFiles.length > 0 ? `Changed files:\n${changedFiles.map(f => `  - ${f}`).join('\n')}` : ''}
+
+${chunkInfo ? `## Partial Review (Chunk ${chunkInfo.index} of ${chunkInfo.total})
+
+This change is too large for a single review and has been split by file/directory.
+You are reviewing chunk ${chunkInfo.index} of ${chunkInfo.total}; the diff below contains ONLY these files: ${chunkInfo.files.join(', ')}.
+${chunkInfo.otherFiles.length > 0 ? `Other files changed in the same change (reviewed separately): ${chunkInfo.otherFiles.slice(0, 50).join(', ')}${chunkInfo.otherFiles.length > 50 ? ' ...' : ''}` : ''}
+
+- Only report findings for files in this chunk.
+- associationRisks may reference the other changed files.
+- Judge overall_assessment and commitMatch for this chunk's part of the change only.
+` : ''}
 ## Commit Message
 ${commitMessage}
 
@@ -150,8 +261,8 @@ ${diff}
 1. **Understand Intent**: Analyze the commit message to grasp what the author intended
 2. **Analyze Changes**: Review the diff line by line
 3. **Reference & Call Graph Sweep**: For touched symbols, capture before/after callers & callees (via LSP/reference search), summarize behavior deltas, and note affected callers/implementations
-4. **8-Dimensional Assessment**: Evaluate each dimension and assign ratings
-5. **Identify Issues**: Flag actionable issues with exact file/line citations
+4. **${dimensions.length}-Dimensional Assessment**: Evaluate each dimension and assign ratings
+5. **Identify Issues**: Flag actionable issues with exact file/line citations, and label each finding with the dimension it belongs to
 6. **Overall Verdict**: Determine if the patch is correct or incorrect
 
 ## Output Format
@@ -165,7 +276,7 @@ Return the analysis in the following JSON structure:
   "repository_info": {
     "repository": "${repository}",
     "pull_request": "${headSha || 'unknown'}",
-    "base_ref": "${baseSha || 'unknown'}",
+    "base_ref": "${baseRef || baseSha || 'unknown'}",
     "head_ref": "${headSha || 'unknown'}",
     "changed_files": ${JSON.stringify(changedFiles)}
   },
@@ -196,62 +307,13 @@ Return the analysis in the following JSON structure:
     }
   ],
   "dimensions": [
-    {
-      "name": "Code Style & Formatting",
+${dimensions.map(dimension => `    {
+      "name": "${dimension.name}",
       "rating": "extraordinary|acceptable|poor",
       "score": 0-100,
       "summary": "维度评估总结 (中文)",
       "issues": ["问题1", "问题2"]
-    },
-    {
-      "name": "Security & Compliance",
-      "rating": "extraordinary|acceptable|poor",
-      "score": 0-100,
-      "summary": "维度评估总结 (中文)",
-      "issues": ["问题1", "问题2"]
-    },
-    {
-      "name": "Error Handling & Logging",
-      "rating": "extraordinary|acceptable|poor",
-      "score": 0-100,
-      "summary": "维度评估总结 (中文)",
-      "issues": []
-    },
-    {
-      "name": "Readability & Maintainability",
-      "rating": "extraordinary|acceptable|poor",
-      "score": 0-100,
-      "summary": "维度评估总结 (中文)",
-      "issues": []
-    },
-    {
-      "name": "Performance & Scalability",
-      "rating": "extraordinary|acceptable|poor",
-      "score": 0-100,
-      "summary": "维度评估总结 (中文)",
-      "issues": []
-    },
-    {
-      "name": "Testing & Quality Assurance",
-      "rating": "extraordinary|acceptable|poor",
-      "score": 0-100,
-      "summary": "维度评估总结 (中文)",
-      "issues": []
-    },
-    {
-      "name": "Documentation & Version Control",
-      "rating": "extraordinary|acceptable|poor",
-      "score": 0-100,
-      "summary": "维度评估总结 (中文)",
-      "issues": []
-    },
-    {
-      "name": "Accessibility & Internationalization",
-      "rating": "extraordinary|acceptable|poor",
-      "score": 0-100,
-      "summary": "维度评估总结 (中文)",
-      "issues": []
-    }
+    }`).join(',\n')}
   ],
   "findings": [
     {
@@ -265,7 +327,7 @@ Return the analysis in the following JSON structure:
       },
       "suggestion": "修复建议 (中文)",
       "fixPrompt": "可复制到 Claude Code/Codex 的修复提示词 (中文)",
-      "dimension": "相关维度名称"
+      "dimension": "${dimensions.map(dimension => dimension.name).join('|')}"
     }
   ],
   "associationRisks": [
@@ -1,4 +1,152 @@
 import OpenAI from 'openai';
+import { normalizeUsage, sumUsage, estimateCost } from '../utils/usage.js';
+import { reviewSchema, validateReview, normalizeReview } from './review-validator.js';
+import { collectAnthropicStream, collectOpenAIStream, createStreamProgress } from './ai-stream.js';
+
+// 默认重试次数 (可通过 goodiffer config set maxRetries <n> 修改)
+const DEFAULT_MAX_RETRIES = 3;
+// 指数退避的基础延迟与上限 (毫秒)
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 30000;
+// Retry-After 最长等待时间 (毫秒)
+const RETRY_AFTER_MAX = 60000;
+
+// 可重试的 HTTP 状态码
+const RETRYABLE_STATUS = new Set([408, 409, 425, 429, 500, 502, 503, 504, 520, 522, 524, 529]);
+
+/**
+ * 根据非 2xx 响应构建错误 (error.status 为 HTTP 状态码)
+ */
+async function createHTTPError(response) {
+  const errorText = await response.text();
+  const error = new Error(`${response.status} ${errorText}`);
+  error.status = response.status;
+  return error;
+}
+
+/**
+ * 解析 Retry-After 头 (秒数或 HTTP 日期)，返回毫秒；无法解析时返回 null
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.min(Math.max(0, seconds * 1000), RETRY_AFTER_MAX);
+  }
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.min(Math.max(0, date - Date.now()), RETRY_AFTER_MAX);
+  }
+  return null;
+}
+
+/**
+ * 指数退避延迟 (带少量随机抖动)
+ */
+function backoffDelay(attempt) {
+  const delay = Math.min(RETRY_BASE_DELAY * 2 ** (attempt - 1), RETRY_MAX_DELAY);
+  return delay + Math.floor(Math.random() * 250);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 是否为临时性错误 (限流、服务端错误、网络错误)，可重试或切换备用模型
+ */
+export function isTransientError(error) {
+  if (!error) return false;
+  if (error.status) {
+    return RETRYABLE_STATUS.has(error.status);
+  }
+  // fetch 网络错误 (TypeError: fetch failed, ECONNRESET 等)
+  return error.name === 'TypeError' || /fetch failed|ECONNRESET|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up/i.test(error.message);
+}
+
+/**
+ * 模型是否支持 reasoning effort 参数 (GPT-5.x-Codex / o 系列)
+ */
+export function supportsReasoningEffort(model) {
+  return !!model && (
+    model.includes('gpt-5') ||
+    model.includes('codex') ||
+    model.includes('o3') ||
+    model.includes('o1')
+  );
+}
+
+// 不支持 Tool Use / function calling 的模型 (早期推理预览版、补全模型、旧版 Claude、DeepSeek R1)
+const NO_TOOL_USE_PATTERN = /^(o1-mini|o1-preview|gpt-3\.5-turbo-instruct|text-|davinci|babbage|claude-instant|claude-2)|deepseek-(reasoner|r1)/i;
+
+/**
+ * 模型是否支持 Tool Use (按模型名判断，忽略 openai/ 等路由前缀)
+ */
+export function supportsToolUseModel(model) {
+  const name = String(model || '').split('/').pop();
+  return Boolean(name) && !NO_TOOL_USE_PATTERN.test(name);
+}
+
+// 已知支持原生结构化输出的官方端点
+const NATIVE_SCHEMA_HOSTS = ['api.openai.com', 'api.anthropic.com'];
+
+// 原生结构化输出使用的 schema 名称 / Anthropic 强制调用的工具名
+const REVIEW_OUTPUT_NAME = 'submit_code_review';
+
+// Tool Use 最后一轮的提示：禁止继续调用工具，要求模型直接作答
+const FINAL_ANSWER_PROMPT = '工具调用次数已用完，请根据已获取的信息直接输出最终结果，不要再调用工具。';
+
+/**
+ * 去掉 $schema / title 等元信息，得到可直接用于 response_format / input_schema 的 schema
+ */
+function toNativeSchema(schema) {
+  const { $schema, title, ...rest } = schema;
+  return rest;
+}
+
+/**
+ * OpenAI response_format (json_schema)
+ * 审查 schema 含可选字段，不满足 strict 模式要求，因此 strict: false (结果仍会经过 schema 校验)
+ */
+function toResponseFormat(schema) {
+  return {
+    type: 'json_schema',
+    json_schema: { name: REVIEW_OUTPUT_NAME, schema: toNativeSchema(schema), strict: false }
+  };
+}
+
+/**
+ * Anthropic 原生结构化输出: 以 review schema 为参数的工具，强制调用时工具参数即审查结果
+ */
+function toOutputTool(schema) {
+  return {
+    name: REVIEW_OUTPUT_NAME,
+    description: '提交结构化的代码审查结果',
+    input_schema: toNativeSchema(schema)
+  };
+}
+
+/**
+ * 构建 schema 修复提示词
+ * @param {string} content - 模型原始输出
+ * @param {string[]} errors - 解析 / 校验错误
+ */
+function buildRepairPrompt(content, errors) {
+  return `你上一次输出的代码审查结果不符合要求的 JSON Schema。请修复下列问题，保留原有审查内容，不要新增或删除结论。
+
+## 错误
+${errors.map(error => `- ${error}`).join('\n')}
+
+## JSON Schema
+\`\`\`json
+${JSON.stringify(reviewSchema, null, 2)}
+\`\`\`
+
+## 原始输出
+${content}
+
+只输出修复后的 JSON 对象，不要包含任何其他文字或 Markdown 代码块。`;
+}
 
 export class AIClient {
   constructor(config) {
@@ -6,6 +154,10 @@ export class AIClient {
     this.apiKey = config.apiKey;
     this.apiHost = config.apiHost;
     this.model = config.model;
+    this.prices = config.prices || {};
+    this.maxRetries = Number.isInteger(config.maxRetries) ? config.maxRetries : DEFAULT_MAX_RETRIES;
+    // 结构化输出能力: auto (仅官方端点使用原生 schema) | native | prompt (仅靠提示词约束 JSON)
+    this.structuredOutput = config.structuredOutput || 'auto';
 
     // 根据模型名称判断使用哪种 API 格式
     this.useAnthropicFormat = this.model && this.model.toLowerCase().startsWith('claude');
@@ -34,6 +186,134 @@ export class AIClient {
     return host;
   }
 
+  /**
+   * 带重试的 fetch
+   * 429 / 5xx / 网络错误时按指数退避重试，服务端返回 Retry-After 时优先遵循
+   * @param {string} url
+   * @param {object} init - fetch 参数
+   * @param {Function} onProgress - 进度回调 (可选，重试时触发 type: 'retry')
+   * @returns {Promise<Response>} 最后一次响应 (非 2xx 由调用方处理)
+   */
+  async fetchWithRetry(url, init, onProgress = null) {
+    let attempt = 0;
+
+    while (true) {
+      let response;
+      try {
+        response = await fetch(url, init);
+      } catch (error) {
+        if (attempt >= this.maxRetries || !isTransientError(error)) {
+          throw error;
+        }
+        attempt++;
+        const delay = backoffDelay(attempt);
+        if (onProgress) onProgress({
+          type: 'retry',
+          attempt,
+          maxRetries: this.maxRetries,
+          delay,
+          message: `网络错误 (${error.message})，${Math.ceil(delay / 1000)}s 后重试 (${attempt}/${this.maxRetries})`
+        });
+        await sleep(delay);
+        continue;
+      }
+
+      if (response.ok || !RETRYABLE_STATUS.has(response.status) || attempt >= this.maxRetries) {
+        return response;
+      }
+
+      attempt++;
+      const delay = parseRetryAfter(response.headers.get('retry-after')) ?? backoffDelay(attempt);
+      // 丢弃响应体，释放连接
+      await response.text().catch(() => {});
+
+      if (onProgress) onProgress({
+        type: 'retry',
+        attempt,
+        maxRetries: this.maxRetries,
+        delay,
+        status: response.status,
+        message: `请求失败 (${response.status})，${Math.ceil(delay / 1000)}s 后重试 (${attempt}/${this.maxRetries})`
+      });
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * 当前模型是否支持代码上下文 Tool Use
+   * Anthropic Messages API 使用 tool_use，OpenAI 兼容接口使用 tools/tool_calls
+   */
+  supportsToolUse() {
+    return supportsToolUseModel(this.model);
+  }
+
+  /**
+   * 是否为 GPT-5.x-Codex / o 系列模型 (支持 reasoning 参数)
+   */
+  isCodexModel() {
+    return supportsReasoningEffort(this.model);
+  }
+
+  /**
+   * 读取响应体为消息对象
+   * 流式请求时将 SSE 还原为非流式响应的结构，并通过 onProgress 发出 type: 'delta' 增量事件
+   * (tool 为工具参数片段所属的工具名，普通文本为 null)
+   * @param {Response} response
+   * @param {boolean} stream - 请求是否为流式
+   * @param {Function} onProgress - 进度回调 (可选)
+   */
+  async readResponse(response, stream, onProgress = null) {
+    if (!stream) {
+      return response.json();
+    }
+
+    const onDelta = onProgress && ((text, tool) => onProgress({ type: 'delta', text, tool }));
+    return this.useAnthropicFormat
+      ? collectAnthropicStream(response, onDelta)
+      : collectOpenAIStream(response, onDelta);
+  }
+
+  /**
+   * 流式请求参数 (OpenAI 需显式请求在流末尾返回 usage)
+   */
+  streamParams() {
+    return this.useAnthropicFormat
+      ? { stream: true }
+      : { stream: true, stream_options: { include_usage: true } };
+  }
+
+  /**
+   * 当前端点是否支持原生结构化输出
+   * (OpenAI response_format: json_schema / Anthropic 强制 Tool Use)
+   * PackyAPI 等第三方代理通常不支持，auto 模式下仅对官方端点启用
+   */
+  supportsNativeSchema() {
+    if (this.structuredOutput === 'native') return true;
+    if (this.structuredOutput === 'prompt') return false;
+
+    if (!this.apiHost) return true;
+    try {
+      return NATIVE_SCHEMA_HOSTS.includes(new URL(this.apiHost).hostname);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * 将 Claude 格式的工具定义转换为 OpenAI function 格式
+   * @param {Array} tools - { name, description, input_schema }
+   */
+  static toOpenAITools(tools) {
+    return tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.input_schema
+      }
+    }));
+  }
+
   async analyzeStream(prompt, onChunk) {
     if (this.useAnthropicFormat) {
       return this.analyzeWithClaudeFetch(prompt, onChunk);
@@ -48,12 +328,15 @@ export class AIClient {
    * @param {Array} tools - 工具定义
    * @param {Function} toolExecutor - 工具执行器 (toolName, toolInput) => result
    * @param {Function} onProgress - 进度回调
-   * @param {number} maxIterations - 最大迭代次数
+   * @param {number} maxIterations - 最大迭代次数 (最后一轮禁止调用上下文工具，要求模型直接作答)
+   * @param {number} maxTokens - 单次响应最大 token 数
+   * @param {object} extraParams - 合并到请求体的额外参数 (如 OpenAI reasoning；stream: true 时按流式读取)
+   * @param {object} outputTool - 提交最终结果的工具 (可选，仅 Anthropic)：模型调用它时返回其参数的 JSON；
+   *   模型以文本作答或到达最后一轮时通过 tool_choice 强制调用
    */
-  async analyzeWithTools(prompt, tools, toolExecutor, onProgress, maxIterations = 5) {
+  async analyzeWithTools(prompt, tools, toolExecutor, onProgress, maxIterations = 5, maxTokens = 8192, extraParams = {}, outputTool = null) {
     if (!this.useAnthropicFormat) {
-      // OpenAI 暂不支持 tool use，回退到普通分析
-      return this.analyzeStream(prompt, onProgress);
+      return this.analyzeWithOpenAITools(prompt, tools, toolExecutor, onProgress, maxIterations, maxTokens, extraParams);
     }
 
     const baseUrl = (this.apiHost || 'https://api.anthropic.com').replace(/\/+$/, '');
@@ -61,15 +344,23 @@ export class AIClient {
 
     let messages = [{ role: 'user', content: prompt }];
     let iterations = 0;
+    let forceOutput = false;
 
     while (iterations < maxIterations) {
       iterations++;
+      const last = iterations === maxIterations;
+      const force = Boolean(outputTool) && (forceOutput || last);
+      // 最后一轮：有输出工具时强制提交结果，否则禁止调用工具
+      const toolChoice = force ? { type: 'tool', name: outputTool.name } : (last ? { type: 'none' } : null);
+      if (last && !forceOutput && iterations > 1) {
+        messages[messages.length - 1].content.push({ type: 'text', text: FINAL_ANSWER_PROMPT });
+      }
 
       if (onProgress) {
         onProgress({ type: 'iteration', iteration: iterations });
       }
 
-      const response = await fetch(url, {
+      const response = await this.fetchWithRetry(url, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -78,18 +369,23 @@ export class AIClient {
         },
         body: JSON.stringify({
           model: this.model || 'claude-sonnet-4-20250514',
-          max_tokens: 8192,
-          tools: tools,
-          messages: messages
+          max_tokens: maxTokens,
+          tools: outputTool ? [...tools, outputTool] : tools,
+          ...(toolChoice ? { tool_choice: toolChoice } : {}),
+          messages: messages,
+          ...extraParams
         })
-      });
+      }, onProgress);
 
       if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`${response.status} ${errorText}`);
+        throw await createHTTPError(response);
       }
 
-      const data = await response.json();
+      const data = await this.readResponse(response, extraParams.stream === true, onProgress);
+
+      if (onProgress && data.usage) {
+        onProgress({ type: 'usage', usage: normalizeUsage(data.usage) });
+      }
 
       // 检查停止原因
       const stopReason = data.stop_reason;
@@ -97,6 +393,12 @@ export class AIClient {
       // 检查是否需要调用工具
       const toolUseBlocks = data.content.filter(block => block.type === 'tool_use');
 
+      // 模型提交了最终结果
+      const output = outputTool && toolUseBlocks.find(block => block.name === outputTool.name);
+      if (output) {
+        return JSON.stringify(output.input);
+      }
+
       // 如果停止原因是 end_turn 或没有工具调用，返回文本结果
       if (stopReason === 'end_turn' || toolUseBlocks.length === 0) {
         const textContent = data.content
@@ -104,6 +406,14 @@ export class AIClient {
           .map(block => block.text)
           .join('');
 
+        // 有输出工具时不接受文本作答，下一轮强制通过输出工具提交
+        if (outputTool && !force && textContent.trim()) {
+          messages.push({ role: 'assistant', content: data.content });
+          messages.push({ role: 'user', content: `请调用 ${outputTool.name} 工具提交最终结果。` });
+          forceOutput = true;
+          continue;
+        }
+
         return textContent;
       }
 
@@ -162,12 +472,139 @@ export class AIClient {
     throw new Error(`超过最大迭代次数 (${maxIterations})`);
   }
 
+  /**
+   * OpenAI 兼容格式的 Tool Use (function calling)
+   * 通过 /chat/completions 的 tools / tool_calls 循环，与 Claude 版本行为保持一致
+   */
+  async analyzeWithOpenAITools(prompt, tools, toolExecutor, onProgress, maxIterations = 5, maxTokens = 8192, extraParams = {}) {
+    const baseUrl = this.buildOpenAIBaseUrl();
+    const url = `${baseUrl}/chat/completions`;
+    const openAITools = AIClient.toOpenAITools(tools);
+
+    let messages = [{ role: 'user', content: prompt }];
+    let iterations = 0;
+
+    while (iterations < maxIterations) {
+      iterations++;
+      // 最后一轮禁止调用工具，要求模型根据已有信息作答
+      const last = iterations === maxIterations;
+      if (last && iterations > 1) {
+        messages.push({ role: 'user', content: FINAL_ANSWER_PROMPT });
+      }
+
+      if (onProgress) {
+        onProgress({ type: 'iteration', iteration: iterations });
+      }
+
+      const response = await this.fetchWithRetry(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`
+        },
+        body: JSON.stringify({
+          model: this.model || 'gpt-4o',
+          max_tokens: maxTokens,
+          tools: openAITools,
+          ...(last ? { tool_choice: 'none' } : {}),
+          messages: messages,
+          ...extraParams
+        })
+      }, onProgress);
+
+      if (!response.ok) {
+        throw await createHTTPError(response);
+      }
+
+      const data = await this.readResponse(response, extraParams.stream === true, onProgress);
+
+      if (onProgress && data.usage) {
+        onProgress({ type: 'usage', usage: normalizeUsage(data.usage) });
+      }
+
+      const message = data.choices[0].message;
+      const toolCalls = message.tool_calls || [];
+
+      // 没有工具调用，返回文本结果
+      if (toolCalls.length === 0) {
+        return message.content || '';
+      }
+
+      // 解析工具参数
+      const calls = toolCalls.map(call => {
+        let input = {};
+        let parseError = null;
+        try {
+          input = call.function.arguments ? JSON.parse(call.function.arguments) : {};
+        } catch (error) {
+          parseError = `工具参数不是合法 JSON: ${error.message}`;
+        }
+        return { id: call.id, name: call.function.name, input, parseError };
+      });
+
+      if (onProgress) {
+        onProgress({
+          type: 'tool_calls',
+          tools: calls.map(c => ({ name: c.name, input: c.input }))
+        });
+      }
+
+      // 添加助手消息 (保留 tool_calls 以便服务端关联结果)
+      messages.push({
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: toolCalls
+      });
+
+      // 执行工具并收集结果
+      for (const call of calls) {
+        try {
+          if (call.parseError) {
+            throw new Error(call.parseError);
+          }
+
+          const result = await toolExecutor(call.name, call.input);
+          messages.push({
+            role: 'tool',
+            tool_call_id: call.id,
+            content: typeof result === 'string' ? result : JSON.stringify(result, null, 2)
+          });
+
+          if (onProgress) {
+            onProgress({
+              type: 'tool_result',
+              tool: call.name,
+              success: true
+            });
+          }
+        } catch (error) {
+          messages.push({
+            role: 'tool',
+            tool_call_id: call.id,
+            content: JSON.stringify({ error: error.message })
+          });
+
+          if (onProgress) {
+            onProgress({
+              type: 'tool_result',
+              tool: call.name,
+              success: false,
+              error: error.message
+            });
+          }
+        }
+      }
+    }
+
+    throw new Error(`超过最大迭代次数 (${maxIterations})`);
+  }
+
   // 使用原生 fetch 调用 Claude API (绕过 SDK 的 Cloudflare 问题)
   async analyzeWithClaudeFetch(prompt, onChunk) {
     const baseUrl = (this.apiHost || 'https://api.anthropic.com').replace(/\/+$/, '');
     const url = `${baseUrl}/v1/messages`;
 
-    const response = await fetch(url, {
+    const response = await this.fetchWithRetry(url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -188,8 +625,7 @@ export class AIClient {
     });
 
     if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`${response.status} ${errorText}`);
+      throw await createHTTPError(response);
     }
 
     let fullContent = '';
@@ -260,7 +696,7 @@ export class AIClient {
       const baseUrl = (this.apiHost || 'https://api.anthropic.com').replace(/\/+$/, '');
       const url = `${baseUrl}/v1/messages`;
 
-      const response = await fetch(url, {
+      const response = await this.fetchWithRetry(url, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -280,8 +716,7 @@ export class AIClient {
       });
 
       if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`${response.status} ${errorText}`);
+        throw await createHTTPError(response);
       }
 
       const data = await response.json();
@@ -304,30 +739,47 @@ export class AIClient {
    * Codex 深度代码审查 (支持高推理模式和结构化输出)
    * @param {string} prompt - 提示词
    * @param {object} options - 配置选项
-   * @param {object} options.schema - JSON Schema (可选)
+   * @param {object} options.schema - JSON Schema (可选，端点支持时使用原生结构化输出，见 supportsNativeSchema)
    * @param {string} options.reasoningEffort - 推理强度: 'low'|'medium'|'high' (默认 'high')
    * @param {Function} options.onProgress - 进度回调 (可选)
+   * @param {Array} options.tools - 代码上下文工具定义 (可选，提供时启用 Tool Use)
+   * @param {Function} options.toolExecutor - 工具执行器 (toolName, toolInput) => result
+   * @param {number} options.maxToolIterations - Tool Use 最大迭代次数 (默认 10)
+   * @param {boolean} options.stream - 使用流式请求并输出 type: 'stream' 进度 (默认 false)
    * @returns {Promise<object>} 结构化的审查结果
    */
   async analyzeWithCodex(prompt, options = {}) {
     const {
       schema = null,
       reasoningEffort = 'high',
-      onProgress = null
+      stream = false,
+      tools = null,
+      toolExecutor = null
     } = options;
 
+    // 流式模式下将增量输出汇总为 type: 'stream' 进度 (token 数、耗时、已输出的 findings)
+    if (stream && options.onProgress) {
+      options = { ...options, onProgress: createStreamProgress(options.onProgress, REVIEW_OUTPUT_NAME) };
+    }
+    const { onProgress = null } = options;
+
+    if (tools && toolExecutor) {
+      if (this.supportsToolUse()) {
+        return this.analyzeWithCodexTools(prompt, options);
+      }
+      if (onProgress) onProgress({
+        type: 'info',
+        message: '当前模型暂不支持 Tool Use，使用 diff-only 审查'
+      });
+    }
+
     // Claude 模型也支持 Codex review，只是没有 reasoning 加成
     if (this.useAnthropicFormat) {
       return this.analyzeWithCodexClaude(prompt, options);
     }
 
     // 检测是否为 GPT-5.x-Codex 模型 (支持 reasoning 参数)
-    const isCodexModel = this.model && (
-      this.model.includes('gpt-5') ||
-      this.model.includes('codex') ||
-      this.model.includes('o3') ||
-      this.model.includes('o1')
-    );
+    const isCodexModel = this.isCodexModel();
 
     // 所有 OpenAI 兼容模型都使用 Chat Completions API
     return this.analyzeWithCodexChatCompletions(prompt, {
@@ -346,6 +798,7 @@ export class AIClient {
       schema = null,
       reasoningEffort = 'high',
       isCodexModel = false,
+      stream = false,
       onProgress = null
     } = options;
 
@@ -374,7 +827,15 @@ export class AIClient {
     }
 
     // 注意: PackyAPI 等第三方代理可能不支持 response_format
-    // 通过 prompt 来控制 JSON 输出，不使用 response_format 参数
+    // 仅在端点支持时使用原生 json_schema，否则通过 prompt 来控制 JSON 输出
+    if (schema && this.supportsNativeSchema()) {
+      if (onProgress) onProgress({ type: 'info', message: '结构化输出: 原生 JSON Schema' });
+      requestBody.response_format = toResponseFormat(schema);
+    }
+
+    if (stream) {
+      Object.assign(requestBody, this.streamParams());
+    }
 
     try {
       if (onProgress) onProgress({
@@ -383,34 +844,26 @@ export class AIClient {
       });
 
       // 使用原生 fetch 替代 SDK，避免兼容性问题
-      const response = await fetch(url, {
+      const response = await this.fetchWithRetry(url, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${this.apiKey}`
         },
         body: JSON.stringify(requestBody)
-      });
+      }, onProgress);
 
       if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`${response.status} ${errorText}`);
+        throw await createHTTPError(response);
       }
 
-      const data = await response.json();
-      const content = data.choices[0].message.content;
+      const data = await this.readResponse(response, stream, onProgress);
+      const content = data.choices[0].message.content || '';
+      const result = await this.finalizeReview(content, 'AI', normalizeUsage(data.usage), onProgress);
 
       if (onProgress) onProgress({ type: 'complete', message: '分析完成' });
 
-      try {
-        return JSON.parse(content);
-      } catch (parseError) {
-        const jsonMatch = content.match(/```(?:json)?\s*([\s\S]*?)```/);
-        if (jsonMatch) {
-          return JSON.parse(jsonMatch[1].trim());
-        }
-        throw new Error(`无法解析 AI 响应为 JSON: ${parseError.message}`);
-      }
+      return result;
     } catch (error) {
       if (onProgress) onProgress({ type: 'error', message: error.message });
       throw error;
@@ -422,7 +875,7 @@ export class AIClient {
    * Claude 不支持 reasoning 参数，但仍可使用 8 维度评估
    */
   async analyzeWithCodexClaude(prompt, options = {}) {
-    const { onProgress = null } = options;
+    const { schema = null, stream = false, onProgress = null } = options;
 
     if (onProgress) onProgress({
       type: 'info',
@@ -432,10 +885,150 @@ export class AIClient {
     const baseUrl = (this.apiHost || 'https://api.anthropic.com').replace(/\/+$/, '');
     const url = `${baseUrl}/v1/messages`;
 
+    const requestBody = {
+      model: this.model || 'claude-sonnet-4-20250514',
+      max_tokens: 16000,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ]
+    };
+
+    // 原生结构化输出: 强制调用以 review schema 为参数的工具，工具参数即审查结果
+    const nativeSchema = Boolean(schema) && this.supportsNativeSchema();
+    if (nativeSchema) {
+      requestBody.tools = [toOutputTool(schema)];
+      requestBody.tool_choice = { type: 'tool', name: REVIEW_OUTPUT_NAME };
+    }
+
+    if (stream) {
+      Object.assign(requestBody, this.streamParams());
+    }
+
     try {
       if (onProgress) onProgress({ type: 'analyzing', message: 'Claude 深度分析中...' });
 
-      const response = await fetch(url, {
+      const response = await this.fetchWithRetry(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': this.apiKey,
+          'anthropic-version': '2023-06-01'
+        },
+        body: JSON.stringify(requestBody)
+      }, onProgress);
+
+      if (!response.ok) {
+        throw await createHTTPError(response);
+      }
+
+      const data = await this.readResponse(response, stream, onProgress);
+      const toolUse = nativeSchema && data.content.find(block => block.type === 'tool_use');
+      const content = toolUse
+        ? JSON.stringify(toolUse.input)
+        : data.content.filter(block => block.type === 'text').map(block => block.text).join('');
+      const result = await this.finalizeReview(content, 'Claude', normalizeUsage(data.usage), onProgress);
+
+      if (onProgress) onProgress({ type: 'complete', message: '分析完成' });
+
+      return result;
+    } catch (error) {
+      if (onProgress) onProgress({ type: 'error', message: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 带代码上下文工具的 Codex 深度审查
+   * 模型可在审查过程中调用 read_file / find_references 等工具，最终输出结构化 JSON
+   */
+  async analyzeWithCodexTools(prompt, options = {}) {
+    const {
+      tools,
+      toolExecutor,
+      maxToolIterations = 10,
+      reasoningEffort = 'high',
+      schema = null,
+      stream = false,
+      onProgress = null
+    } = options;
+
+    if (onProgress) onProgress({
+      type: 'info',
+      message: `上下文模式: 已启用 ${tools.length} 个代码上下文工具`
+    });
+
+    // Codex 模型在 Tool Use 循环中同样启用 reasoning
+    const extraParams = {};
+    if (!this.useAnthropicFormat && this.isCodexModel() && reasoningEffort && reasoningEffort !== 'none') {
+      extraParams.reasoning = { effort: reasoningEffort };
+    }
+
+    // OpenAI 的 response_format 可与 function calling 同时使用，约束最终回答；
+    // Anthropic 把 review schema 作为提交工具与上下文工具一起提供，最后一轮通过 tool_choice 强制调用
+    const nativeSchema = Boolean(schema) && this.supportsNativeSchema();
+    if (!this.useAnthropicFormat && nativeSchema) {
+      extraParams.response_format = toResponseFormat(schema);
+    }
+    const outputTool = this.useAnthropicFormat && nativeSchema ? toOutputTool(schema) : null;
+    if (outputTool) {
+      prompt += `\n\nWhen you have enough context, submit the final review by calling the ${REVIEW_OUTPUT_NAME} tool instead of replying with text.`;
+    }
+
+    if (stream) {
+      Object.assign(extraParams, this.streamParams());
+    }
+
+    try {
+      if (onProgress) onProgress({ type: 'analyzing', message: '深度分析中 (可调用上下文工具)...' });
+
+      // 累加每一轮请求的 token 用量
+      let usage = null;
+      const content = await this.analyzeWithTools(
+        prompt,
+        tools,
+        toolExecutor,
+        (progress) => {
+          if (progress.type === 'usage') {
+            usage = sumUsage(usage, progress.usage);
+          }
+          if (onProgress) onProgress(progress);
+        },
+        maxToolIterations,
+        16000,
+        extraParams,
+        outputTool
+      );
+
+      const result = await this.finalizeReview(content, 'AI', usage, onProgress);
+
+      if (onProgress) onProgress({ type: 'complete', message: '分析完成' });
+
+      return result;
+    } catch (error) {
+      if (onProgress) onProgress({ type: 'error', message: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 单轮非流式补全，返回文本和归一化后的用量
+   * @param {string} prompt
+   * @param {object} options
+   * @param {number} options.maxTokens - 最大输出 token (默认 16000)
+   * @param {Function} options.onProgress - 进度回调 (可选)
+   * @param {AbortSignal} options.signal - 取消请求 (可选)
+   * @returns {Promise<{ content: string, usage: object|null }>}
+   */
+  async complete(prompt, options = {}) {
+    const { maxTokens = 16000, onProgress = null, signal } = options;
+    const messages = [{ role: 'user', content: prompt }];
+
+    if (this.useAnthropicFormat) {
+      const baseUrl = (this.apiHost || 'https://api.anthropic.com').replace(/\/+$/, '');
+      const response = await this.fetchWithRetry(`${baseUrl}/v1/messages`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -444,41 +1037,155 @@ export class AIClient {
         },
         body: JSON.stringify({
           model: this.model || 'claude-sonnet-4-20250514',
-          max_tokens: 16000,
-          messages: [
-            {
-              role: 'user',
-              content: prompt
-            }
-          ]
-        })
-      });
+          max_tokens: maxTokens,
+          messages
+        }),
+        signal
+      }, onProgress);
 
       if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`${response.status} ${errorText}`);
+        throw await createHTTPError(response);
       }
 
       const data = await response.json();
-      const content = data.content[0].text;
+      const content = (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      return { content, usage: normalizeUsage(data.usage) };
+    }
 
-      if (onProgress) onProgress({ type: 'complete', message: '分析完成' });
+    const response = await this.fetchWithRetry(`${this.buildOpenAIBaseUrl()}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      body: JSON.stringify({
+        model: this.model || 'gpt-4o',
+        messages,
+        max_tokens: maxTokens
+      }),
+      signal
+    }, onProgress);
+
+    if (!response.ok) {
+      throw await createHTTPError(response);
+    }
+
+    const data = await response.json();
+    return { content: data.choices[0].message.content || '', usage: normalizeUsage(data.usage) };
+  }
+
+  /**
+   * 解析并按 schema 校验审查结果
+   * 解析失败或校验不通过时，携带错误信息请求模型修复一次；
+   * 修复后仍不合规则做兜底整理 (仍无法解析时抛出错误)
+   * 结果附带 schema_repair: { needed, success, errors }
+   * @param {string} content - 模型返回的文本
+   * @param {string} label - 错误信息中的模型标识
+   * @param {object|null} usage - 本次审查已消耗的用量
+   * @param {Function} onProgress - 进度回调 (可选)
+   */
+  async finalizeReview(content, label, usage, onProgress = null) {
+    let result = null;
+    let errors;
+
+    try {
+      result = this.parseReviewJSON(content, label);
+      errors = validateReview(result).errors;
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    if (errors.length === 0) {
+      result.schema_repair = { needed: false, success: true, errors: [] };
+      return this.withUsage(result, usage);
+    }
+
+    if (onProgress) onProgress({
+      type: 'info',
+      message: `输出不符合 schema (${errors.length} 处问题)，请求模型修复...`
+    });
+
+    let repaired = null;
+    let remaining = errors;
+    try {
+      const repair = await this.complete(buildRepairPrompt(content, errors), { onProgress });
+      usage = sumUsage(usage, repair.usage);
+      repaired = this.parseReviewJSON(repair.content, label);
+      remaining = validateReview(repaired).errors;
+    } catch (error) {
+      remaining = [error.message];
+    }
 
-      // 解析 JSON 响应
+    // 修复结果不可用时退回原始结果
+    let final = repaired || result;
+    if (!final) {
+      throw new Error(`无法解析 ${label} 响应为 JSON: ${errors[0]}`);
+    }
+
+    const success = repaired !== null && remaining.length === 0;
+    if (!success) {
+      final = normalizeReview(final);
+      if (onProgress) onProgress({
+        type: 'info',
+        message: '修复后仍不完全符合 schema，已按兜底规则整理结果'
+      });
+    }
+
+    final.schema_repair = { needed: true, success, errors };
+    return this.withUsage(final, usage);
+  }
+
+  /**
+   * 将 token 用量和估算费用附加到审查结果 (result.usage)
+   * @param {object} result - 解析后的审查结果
+   * @param {object|null} usage - normalizeUsage 后的用量
+   */
+  withUsage(result, usage) {
+    if (result && typeof result === 'object' && usage) {
+      result.usage = {
+        ...usage,
+        model: this.model,
+        cost_usd: estimateCost(this.model, usage, this.prices)
+      };
+    }
+    return result;
+  }
+
+  /**
+   * 解析审查结果 JSON (兼容 ```json 代码块包裹的响应)
+   * 顶层不是对象时视为解析失败
+   * @param {string} content - 模型返回的文本
+   * @param {string} label - 错误信息中的模型标识
+   */
+  parseReviewJSON(content, label = 'AI') {
+    const text = String(content ?? '');
+    const fence = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    // Tool Use 之后模型可能在 JSON 前附带说明文字
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    // 依次尝试：完整响应、代码块、首尾花括号之间的内容
+    const candidates = [
+      text,
+      fence ? fence[1].trim() : null,
+      start !== -1 && end > start ? text.slice(start, end + 1) : null
+    ].filter(candidate => candidate !== null);
+
+    let firstError = null;
+    for (const candidate of candidates) {
       try {
-        return JSON.parse(content);
-      } catch (parseError) {
-        // 如果解析失败，尝试提取 JSON
-        const jsonMatch = content.match(/```(?:json)?\s*([\s\S]*?)```/);
-        if (jsonMatch) {
-          return JSON.parse(jsonMatch[1].trim());
+        const parsed = JSON.parse(candidate);
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+          return parsed;
         }
-        throw new Error(`无法解析 Claude 响应为 JSON: ${parseError.message}`);
+        firstError = firstError || new Error('顶层不是 JSON 对象');
+      } catch (error) {
+        firstError = firstError || error;
       }
-    } catch (error) {
-      if (onProgress) onProgress({ type: 'error', message: error.message });
-      throw error;
     }
+    throw new Error(`无法解析 ${label} 响应为 JSON: ${firstError.message}`);
   }
 
   /**
@@ -496,12 +1203,7 @@ export class AIClient {
       return this.analyzeWithClaudeFetch(prompt, onChunk);
     }
 
-    const isCodexModel = this.model && (
-      this.model.includes('gpt-5') ||
-      this.model.includes('codex') ||
-      this.model.includes('o3') ||
-      this.model.includes('o1')
-    );
+    const isCodexModel = this.isCodexModel();
 
     const requestParams = {
       model: this.model || 'gpt-4o',
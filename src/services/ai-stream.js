@@ -0,0 +1,271 @@
+import { estimateTokens } from './diff-splitter.js';
+
+/**
+ * 流式响应读取
+ * 将 Anthropic SSE / OpenAI stream 还原为与非流式响应相同结构的消息对象，
+ * 读取过程中通过 onDelta(text, toolName) 回调输出增量文本；工具参数 JSON 片段带所属的工具名，普通文本为 null
+ */
+
+// 流式进度事件的最小间隔 (毫秒)
+const PROGRESS_INTERVAL = 250;
+
+/**
+ * 逐条读取 SSE data 行 (处理跨 chunk 的半行)
+ * @param {Response} response - fetch 响应
+ * @param {Function} onData - (data: object) => void
+ */
+async function readSSE(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) return;
+    const data = line.slice(5).trim();
+    if (!data || data === '[DONE]') return;
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch {
+      // 忽略无法解析的行
+      return;
+    }
+    onData(parsed);
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(line => handleLine(line.replace(/\r$/, '')));
+  }
+
+  buffer += decoder.decode();
+  if (buffer) handleLine(buffer.replace(/\r$/, ''));
+}
+
+function parseToolInput(json) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * 读取 Anthropic Messages SSE 流
+ * @returns {Promise<{ content: Array, stop_reason: string, usage: object }>} 与 /v1/messages 非流式响应结构一致
+ */
+export async function collectAnthropicStream(response, onDelta = null) {
+  const message = { content: [], stop_reason: null, usage: {} };
+  const partialJson = new Map();
+
+  await readSSE(response, (event) => {
+    switch (event.type) {
+      case 'message_start':
+        Object.assign(message.usage, event.message?.usage || {});
+        break;
+      case 'content_block_start': {
+        const block = { ...event.content_block };
+        if (block.type === 'text') block.text = block.text || '';
+        if (block.type === 'tool_use') partialJson.set(event.index, '');
+        message.content[event.index] = block;
+        break;
+      }
+      case 'content_block_delta': {
+        const block = message.content[event.index];
+        if (!block) break;
+        if (event.delta.type === 'text_delta') {
+          block.text += event.delta.text;
+          if (onDelta) onDelta(event.delta.text, null);
+        } else if (event.delta.type === 'input_json_delta') {
+          partialJson.set(event.index, partialJson.get(event.index) + event.delta.partial_json);
+          if (onDelta) onDelta(event.delta.partial_json, block.name);
+        }
+        break;
+      }
+      case 'content_block_stop': {
+        const block = message.content[event.index];
+        if (block && block.type === 'tool_use') {
+          block.input = parseToolInput(partialJson.get(event.index));
+        }
+        break;
+      }
+      case 'message_delta':
+        message.stop_reason = event.delta?.stop_reason || message.stop_reason;
+        Object.assign(message.usage, event.usage || {});
+        break;
+      case 'error':
+        throw new Error(event.error?.message || '流式响应错误');
+    }
+  });
+
+  message.content = message.content.filter(Boolean);
+  return message;
+}
+
+/**
+ * 读取 OpenAI Chat Completions 流
+ * @returns {Promise<{ choices: Array, usage: object|null }>} 与 /chat/completions 非流式响应结构一致
+ */
+export async function collectOpenAIStream(response, onDelta = null) {
+  let content = '';
+  let finishReason = null;
+  let usage = null;
+  const toolCalls = [];
+
+  await readSSE(response, (chunk) => {
+    if (chunk.error) {
+      throw new Error(chunk.error.message || '流式响应错误');
+    }
+    if (chunk.usage) usage = chunk.usage;
+
+    const choice = chunk.choices?.[0];
+    if (!choice) return;
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+
+    const delta = choice.delta || {};
+    if (delta.content) {
+      content += delta.content;
+      if (onDelta) onDelta(delta.content, null);
+    }
+
+    for (const call of delta.tool_calls || []) {
+      const index = call.index ?? toolCalls.length;
+      if (!toolCalls[index]) {
+        toolCalls[index] = { id: call.id, type: 'function', function: { name: '', arguments: '' } };
+      }
+      const target = toolCalls[index];
+      if (call.id) target.id = call.id;
+      if (call.function?.name) target.function.name += call.function.name;
+      if (call.function?.arguments) {
+        target.function.arguments += call.function.arguments;
+        if (onDelta) onDelta(call.function.arguments, target.function.name);
+      }
+    }
+  });
+
+  const message = { role: 'assistant', content: content || null };
+  const calls = toolCalls.filter(Boolean);
+  if (calls.length > 0) message.tool_calls = calls;
+
+  return {
+    choices: [{ message, finish_reason: finishReason }],
+    usage
+  };
+}
+
+// 增量扫描 finding 标题时回看的字符数 (覆盖跨 delta 的 "title": "..." 片段)
+const TITLE_LOOKBEHIND = 512;
+
+/**
+ * 从尚未完成的 JSON 文本中增量提取已输出的 finding 标题
+ * 审查结果中只有 findings 条目包含 title 字段
+ * @param {string} text - 累计文本
+ * @param {number} from - 开始扫描的位置
+ * @returns {{ titles: string[], end: number }} 新增标题和最后一个匹配的结束位置
+ */
+function extractFindingTitles(text, from) {
+  const titles = [];
+  const pattern = /"title"\s*:\s*"((?:[^"\\]|\\.)*)"/g;
+  pattern.lastIndex = from;
+  let end = from;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    end = pattern.lastIndex;
+    try {
+      titles.push(JSON.parse(`"${match[1]}"`));
+    } catch {
+      titles.push(match[1]);
+    }
+  }
+  return { titles, end };
+}
+
+/**
+ * 包装 onProgress，将 'delta' 事件汇总为节流后的 'stream' 进度事件：
+ * { type: 'stream', tokens, elapsed, iteration, findings }
+ * tokens 为已生成的输出 token 估算值，elapsed 为开始后的秒数，findings 为本轮已输出的 finding 标题
+ * findings 只统计最终输出 (普通文本或结构化输出工具的参数)，上下文工具的参数不计入，每轮工具调用重新统计
+ * @param {Function} onProgress - 原始进度回调
+ * @param {string} outputTool - 结构化输出工具名 (可选)
+ * @returns {Function} 新的进度回调
+ */
+export function createStreamProgress(onProgress, outputTool = null) {
+  const startedAt = Date.now();
+  let tokens = 0;
+  let text = '';
+  let scanned = 0;
+  let iteration = null;
+  let findings = [];
+  let lastEmit = 0;
+
+  return (progress) => {
+    if (progress.type === 'iteration') {
+      iteration = progress.iteration;
+      text = '';
+      scanned = 0;
+      findings = [];
+    }
+
+    if (progress.type !== 'delta') {
+      onProgress(progress);
+      return;
+    }
+
+    tokens += estimateTokens(progress.text);
+    const isOutput = !progress.tool || progress.tool === outputTool;
+    if (!isOutput) {
+      emit(false);
+      return;
+    }
+
+    const from = Math.max(scanned, text.length - TITLE_LOOKBEHIND);
+    text += progress.text;
+
+    const extracted = extractFindingTitles(text, from);
+    scanned = extracted.end;
+    findings = findings.concat(extracted.titles);
+
+    emit(extracted.titles.length > 0);
+  };
+
+  // 新增 finding 时立即输出，否则按 PROGRESS_INTERVAL 节流
+  function emit(force) {
+    const now = Date.now();
+    if (!force && now - lastEmit < PROGRESS_INTERVAL) return;
+
+    lastEmit = now;
+    onProgress({
+      type: 'stream',
+      tokens,
+      elapsed: Math.round((now - startedAt) / 1000),
+      iteration,
+      findings
+    });
+  }
+}
+
+/**
+ * 格式化 'stream' 进度事件，用于 spinner 文本
+ * 例: "1.2k tokens · 35s · 3 个问题 (最新: [P1] xxx)"
+ */
+export function formatStreamProgress(progress) {
+  const tokens = progress.tokens >= 1000 ? `${(progress.tokens / 1000).toFixed(1)}k` : progress.tokens;
+  const parts = [`${tokens} tokens`, `${progress.elapsed}s`];
+  if (progress.iteration) parts.push(`第 ${progress.iteration} 轮`);
+
+  const { findings } = progress;
+  if (findings.length > 0) {
+    const latest = findings[findings.length - 1];
+    parts.push(`${findings.length} 个问题 (最新: ${latest.length > 40 ? latest.slice(0, 40) + '…' : latest})`);
+  }
+
+  return parts.join(' · ');
+}
+
+export default createStreamProgress;
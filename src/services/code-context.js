@@ -1,16 +1,29 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
 import { getMCPClient, MCPClientService } from './mcp-client.js';
 import { getLSPService } from './lsp-service.js';
 import logger from '../utils/logger.js';
 
+const execFileAsync = promisify(execFile);
+
+// 依赖工作区文件的 LSP 工具 (审查历史版本时不可用)
+const LSP_TOOLS = ['get_type_info', 'find_references', 'get_document_symbols', 'go_to_definition'];
+
 /**
  * 代码上下文服务
  * 提供 Tool Use 定义和执行逻辑
+ * 指定 revision 时从 git 对象读取该版本的文件 (git show / git grep / git ls-tree)，不启用 LSP
  */
 export class CodeContextService {
-  constructor(projectRoot = process.cwd()) {
+  /**
+   * @param {string} projectRoot
+   * @param {object} options - { revision: 审查的 commit (不是工作区时) }
+   */
+  constructor(projectRoot = process.cwd(), { revision = null } = {}) {
     this.projectRoot = projectRoot;
+    this.revision = revision;
     this.mcpClient = null;
     this.useMCP = false;
     this.lspService = null;
@@ -23,6 +36,9 @@ export class CodeContextService {
    * @param {boolean} enableLSP - 是否启用 LSP
    */
   async initialize(enableMCP = false, enableLSP = true) {
+    // 历史版本只能从 git 对象读取，MCP 和 LSP 都基于工作区
+    if (this.revision) return;
+
     if (enableMCP && MCPClientService.isInClaudeCode()) {
       this.mcpClient = getMCPClient();
 
@@ -232,6 +248,25 @@ export class CodeContextService {
     ];
   }
 
+  /**
+   * 当前可用的工具定义 (审查历史版本时不含 LSP 工具)
+   */
+  getAvailableToolDefinitions() {
+    const tools = CodeContextService.getToolDefinitions();
+    return this.revision ? tools.filter(tool => !LSP_TOOLS.includes(tool.name)) : tools;
+  }
+
+  /**
+   * 在 projectRoot 下执行 git 命令
+   */
+  async git(args) {
+    const { stdout } = await execFileAsync('git', args, {
+      cwd: this.projectRoot,
+      maxBuffer: 10 * 1024 * 1024
+    });
+    return stdout;
+  }
+
   /**
    * 执行工具调用
    * @param {string} toolName - 工具名称
@@ -276,6 +311,15 @@ export class CodeContextService {
       return { error: '不允许访问项目目录外的文件' };
     }
 
+    if (this.revision) {
+      try {
+        const content = await this.git(['show', `${this.revision}:./${path.relative(this.projectRoot, fullPath)}`]);
+        return this.formatFileContent(content, line_start, line_end);
+      } catch {
+        return { error: `文件在 ${this.revision.substring(0, 7)} 中不存在: ${file_path}` };
+      }
+    }
+
     try {
       // 优先使用 MCP
       if (this.useMCP && this.mcpClient) {
@@ -401,6 +445,10 @@ export class CodeContextService {
    * 搜索代码
    */
   async searchCode({ pattern, file_pattern }) {
+    if (this.revision) {
+      return this.searchRevision(pattern, file_pattern);
+    }
+
     // 优先使用 MCP
     if (this.useMCP && this.mcpClient && this.mcpClient.hasToolAvailable('Grep')) {
       try {
@@ -449,6 +497,35 @@ export class CodeContextService {
     }
   }
 
+  /**
+   * 在审查的版本中搜索 (git grep)
+   */
+  async searchRevision(pattern, filePattern) {
+    const args = ['grep', '-n', '-I', '-E', '-e', pattern, this.revision];
+    if (filePattern && filePattern !== '*') args.push('--', filePattern);
+
+    try {
+      const stdout = await this.git(args);
+      const prefix = `${this.revision}:`;
+      const matches = stdout.split('\n')
+        .filter(line => line.startsWith(prefix))
+        .slice(0, 20) // 限制结果数量
+        .map(line => {
+          const match = line.slice(prefix.length).match(/^(.+?):(\d+):(.*)$/);
+          return match ? { file: match[1], line: parseInt(match[2]), content: match[3].trim() } : null;
+        })
+        .filter(Boolean);
+
+      return { matches, total: matches.length };
+    } catch (error) {
+      // git grep 没找到时返回空
+      if (error.code === 1) {
+        return { matches: [], total: 0 };
+      }
+      return { error: `搜索失败: ${error.message}` };
+    }
+  }
+
   /**
    * 列出文件
    */
@@ -461,7 +538,9 @@ export class CodeContextService {
     }
 
     try {
-      const entries = await fs.readdir(targetDir, { withFileTypes: true });
+      const entries = this.revision
+        ? await this.listRevisionDirectory(targetDir)
+        : await fs.readdir(targetDir, { withFileTypes: true });
       const files = entries
         .filter(entry => {
           if (pattern) {
@@ -482,6 +561,23 @@ export class CodeContextService {
     }
   }
 
+  /**
+   * 审查版本中的目录内容 (git ls-tree)，返回与 fs.readdir withFileTypes 相同形状的条目
+   */
+  async listRevisionDirectory(targetDir) {
+    const relative = path.relative(this.projectRoot, targetDir);
+    const stdout = await this.git(['ls-tree', this.revision, '--', relative ? `./${relative}/` : './']);
+    const entries = stdout.split('\n').filter(Boolean).map(line => {
+      const [meta, file] = line.split('\t');
+      const type = meta.split(' ')[1];
+      return { name: path.basename(file), isDirectory: () => type === 'tree' };
+    });
+    if (entries.length === 0) {
+      throw new Error(`目录在 ${this.revision.substring(0, 7)} 中不存在: ${relative || '.'}`);
+    }
+    return entries;
+  }
+
   /**
    * 格式化搜索结果
    */
@@ -4,6 +4,8 @@
  */
 
 import chalk from 'chalk';
+import { describeDiffStrategy } from './git.js';
+import { formatCost } from '../utils/usage.js';
 
 /**
  * 生成 Codex review 报告
@@ -19,11 +21,37 @@ export function generateCodexReport(result, commitInfo = {}) {
 
   // Commit 信息
   if (commitInfo.sha) {
-    console.log(chalk.bold('📝 Commit:'), commitInfo.sha.substring(0, 7));
+    // staged / worktree / range 等非 SHA 标识原样显示
+    const isSha = /^[0-9a-f]{8,}$/i.test(commitInfo.sha);
+    console.log(chalk.bold('📝 Commit:'), isSha ? commitInfo.sha.substring(0, 7) : commitInfo.sha);
   }
   if (commitInfo.message) {
     console.log(chalk.bold('📋 Message:'), commitInfo.message.split('\n')[0]);
   }
+  if (result.cached) {
+    console.log(chalk.bold('♻️  Cached:'), chalk.cyan(`复用 review #${result.cached.reviewId} 的结果 (${result.cached.createdAt})，未调用模型`));
+  }
+  if (commitInfo.diffStrategy && commitInfo.diffStrategy !== 'parent') {
+    console.log(chalk.bold('🔀 Diff:'), describeDiffStrategy(commitInfo.diffStrategy));
+  }
+  if (result.policy) {
+    console.log(chalk.bold('📜 Policy:'), chalk.cyan(result.policy.path), ...(result.policy.filtered > 0 ? [chalk.gray(`(按策略过滤 ${result.policy.filtered} 个 finding)`)] : []));
+  }
+  if (result.provider_used && result.provider_used.fallback) {
+    console.log(chalk.bold('🤖 Model:'), result.provider_used.model, chalk.yellow('(备用模型)'));
+  }
+  if (result.review_chunks && result.review_chunks.length > 1) {
+    const fileCount = new Set(result.review_chunks.flatMap(c => c.files)).size;
+    console.log(chalk.bold('🧩 分块审查:'), `${result.review_chunks.length} 块 / ${fileCount} 个文件 (结果已合并)`);
+  }
+  if (result.schema_repair && result.schema_repair.needed) {
+    console.log(
+      chalk.bold('🩹 Schema:'),
+      result.schema_repair.success
+        ? chalk.yellow('首次输出不合规，已由模型修复')
+        : chalk.red('修复后仍不完全合规，已按兜底规则整理')
+    );
+  }
   console.log('');
 
   // 总结
@@ -97,10 +125,10 @@ export function generateCodexReport(result, commitInfo = {}) {
     });
   }
 
-  // 8 维度评估
+  // 维度评估 (默认 8 个，仓库策略可禁用部分维度)
   if (result.dimensions && result.dimensions.length > 0) {
     console.log(chalk.bold.magenta('═'.repeat(60)));
-    console.log(chalk.bold.magenta('\n🎯 8-Dimensional Quality Assessment\n'));
+    console.log(chalk.bold.magenta(`\n🎯 ${result.dimensions.length}-Dimensional Quality Assessment\n`));
 
     result.dimensions.forEach((dim, index) => {
       const ratingIcon = getRatingIcon(dim.rating);
@@ -212,14 +240,55 @@ export function generateCodexReport(result, commitInfo = {}) {
     });
   }
 
+  // 上下文工具调用日志
+  if (result.tool_calls && result.tool_calls.length > 0) {
+    console.log(chalk.bold.gray('═'.repeat(60)));
+    console.log(chalk.bold.gray(`\n🔧 Context Tool Calls (${result.tool_calls.length})\n`));
+
+    result.tool_calls.forEach((call, index) => {
+      const icon = call.success ? chalk.green('✓') : chalk.red('✗');
+      const args = Object.entries(call.input || {})
+        .map(([key, value]) => `${key}=${value}`)
+        .join(', ');
+      console.log(`  ${icon} ${chalk.gray(`${index + 1}.`)} ${call.name}${args ? chalk.gray(`(${args})`) : ''}`);
+      if (call.error) {
+        console.log(chalk.gray(`      ${call.error}`));
+      }
+    });
+    console.log('');
+  }
+
   // 统计信息
   const stats = calculateStats(result);
   console.log(chalk.bold.gray('═'.repeat(60)));
   console.log('');
   console.log(chalk.bold('📈 Statistics:'), formatStats(stats));
+
+  // Token 用量与费用
+  if (result.usage) {
+    console.log(chalk.bold('💰 Usage:'), formatUsage(result.usage), ...(result.cached ? [chalk.gray('(首次审查时的用量，本次未消耗)')] : []));
+  }
   console.log('');
 }
 
+/**
+ * 格式化 token 用量与估算费用
+ */
+function formatUsage(usage) {
+  const parts = [
+    `prompt ${usage.prompt_tokens.toLocaleString()}`,
+    `completion ${usage.completion_tokens.toLocaleString()}`
+  ];
+  if (usage.reasoning_tokens > 0) {
+    parts.push(`reasoning ${usage.reasoning_tokens.toLocaleString()}`);
+  }
+  parts.push(`估算费用 ${chalk.yellow(formatCost(usage.cost_usd))}`);
+  if (usage.model) {
+    parts.push(chalk.gray(usage.model));
+  }
+  return parts.join(' | ');
+}
+
 /**
  * 获取评级图标
  */
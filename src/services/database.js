@@ -85,6 +85,15 @@ class GoodifferDatabase {
         info_count INTEGER DEFAULT 0,
         risk_count INTEGER DEFAULT 0,
         model_used TEXT,
+        prompt_tokens INTEGER DEFAULT 0,
+        completion_tokens INTEGER DEFAULT 0,
+        reasoning_tokens INTEGER DEFAULT 0,
+        cost_usd REAL,
+        schema_repaired INTEGER DEFAULT 0,
+        base_ref TEXT,
+        diff_strategy TEXT,
+        diff_hash TEXT,
+        prompt_version TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (project_id) REFERENCES projects(id),
         FOREIGN KEY (developer_id) REFERENCES developers(id)
@@ -125,6 +134,24 @@ class GoodifferDatabase {
       )
     `);
 
+    // 变更文件清单表 (每个 review 的逐文件元数据)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS review_files (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        review_id INTEGER NOT NULL,
+        path TEXT NOT NULL,
+        old_path TEXT,
+        status TEXT NOT NULL,
+        similarity INTEGER,
+        is_binary INTEGER DEFAULT 0,
+        insertions INTEGER DEFAULT 0,
+        deletions INTEGER DEFAULT 0,
+        old_mode TEXT,
+        new_mode TEXT,
+        FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE CASCADE
+      )
+    `);
+
     // 创建索引
     this.db.exec(`
       CREATE INDEX IF NOT EXISTS idx_reviews_project ON reviews(project_id);
@@ -133,6 +160,8 @@ class GoodifferDatabase {
       CREATE INDEX IF NOT EXISTS idx_reviews_commit ON reviews(commit_sha);
       CREATE INDEX IF NOT EXISTS idx_issues_review ON issues(review_id);
       CREATE INDEX IF NOT EXISTS idx_issues_level ON issues(level);
+      CREATE INDEX IF NOT EXISTS idx_review_files_review ON review_files(review_id);
+      CREATE INDEX IF NOT EXISTS idx_review_files_path ON review_files(path);
     `);
 
     // 报告缓存表
@@ -150,8 +179,51 @@ class GoodifferDatabase {
       )
     `);
 
+    // 批量审查队列表 (每次批量审查一个 job，逐 commit 记录进度，支持中断后继续)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS review_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id INTEGER NOT NULL,
+        repo_path TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        model TEXT,
+        description TEXT,
+        options TEXT,
+        total INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects(id)
+      )
+    `);
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS review_job_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        commit_sha TEXT NOT NULL,
+        commit_message TEXT,
+        author_name TEXT,
+        author_email TEXT,
+        commit_date DATETIME,
+        status TEXT NOT NULL DEFAULT 'pending',
+        review_id INTEGER,
+        error TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (job_id) REFERENCES review_jobs(id) ON DELETE CASCADE
+      )
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_review_jobs_project ON review_jobs(project_id);
+      CREATE INDEX IF NOT EXISTS idx_review_job_items_job ON review_job_items(job_id, status);
+    `);
+
     // 迁移：添加新列到 issues 表 (如果不存在)
     this.migrateIssuesTable();
+
+    // 迁移：添加 token 用量 / 费用列到 reviews 表
+    this.migrateReviewsTable();
   }
 
   // 数据库迁移：为 issues 表添加新字段
@@ -178,6 +250,44 @@ class GoodifferDatabase {
     }
   }
 
+  // 数据库迁移：为 reviews 表添加 token 用量、费用、schema 修复标记和 base 分支字段
+  migrateReviewsTable() {
+    try {
+      const columns = this.db.prepare("PRAGMA table_info(reviews)").all();
+      const columnNames = columns.map(c => c.name);
+
+      if (!columnNames.includes('prompt_tokens')) {
+        this.db.exec('ALTER TABLE reviews ADD COLUMN prompt_tokens INTEGER DEFAULT 0');
+      }
+      if (!columnNames.includes('completion_tokens')) {
+        this.db.exec('ALTER TABLE reviews ADD COLUMN completion_tokens INTEGER DEFAULT 0');
+      }
+      if (!columnNames.includes('reasoning_tokens')) {
+        this.db.exec('ALTER TABLE reviews ADD COLUMN reasoning_tokens INTEGER DEFAULT 0');
+      }
+      if (!columnNames.includes('cost_usd')) {
+        this.db.exec('ALTER TABLE reviews ADD COLUMN cost_usd REAL');
+      }
+      if (!columnNames.includes('schema_repaired')) {
+        this.db.exec('ALTER TABLE reviews ADD COLUMN schema_repaired INTEGER DEFAULT 0');
+      }
+      if (!columnNames.includes('base_ref')) {
+        this.db.exec('ALTER TABLE reviews ADD COLUMN base_ref TEXT');
+      }
+      if (!columnNames.includes('diff_strategy')) {
+        this.db.exec('ALTER TABLE reviews ADD COLUMN diff_strategy TEXT');
+      }
+      if (!columnNames.includes('diff_hash')) {
+        this.db.exec('ALTER TABLE reviews ADD COLUMN diff_hash TEXT');
+      }
+      if (!columnNames.includes('prompt_version')) {
+        this.db.exec('ALTER TABLE reviews ADD COLUMN prompt_version TEXT');
+      }
+    } catch (e) {
+      // 忽略迁移错误
+    }
+  }
+
   // ============ 项目操作 ============
 
   getOrCreateProject(name, projectPath) {
@@ -279,7 +389,8 @@ class GoodifferDatabase {
       reviewType, fromSha, toSha, filesChanged, insertions, deletions,
       diffContent, aiResponse, summary, commitMatch, commitMatchReason,
       errorCount, warningCount, infoCount, riskCount, modelUsed,
-      issues, associationRisks
+      issues, associationRisks, usage, schemaRepaired, baseRef, diffStrategy,
+      diffHash, promptVersion, files
     } = reviewData;
 
     // 插入 review 记录
@@ -288,13 +399,22 @@ class GoodifferDatabase {
         project_id, developer_id, commit_sha, commit_message, commit_date, branch,
         review_type, from_sha, to_sha, files_changed, insertions, deletions,
         diff_content, ai_response, summary, commit_match, commit_match_reason,
-        error_count, warning_count, info_count, risk_count, model_used
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        error_count, warning_count, info_count, risk_count, model_used,
+        prompt_tokens, completion_tokens, reasoning_tokens, cost_usd, schema_repaired, base_ref,
+        diff_strategy, diff_hash, prompt_version
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       projectId, developerId, commitSha, commitMessage, commitDate, branch,
       reviewType, fromSha, toSha, filesChanged, insertions, deletions,
       diffContent, aiResponse, summary, commitMatch ? 1 : 0, commitMatchReason,
-      errorCount, warningCount, infoCount, riskCount, modelUsed
+      errorCount, warningCount, infoCount, riskCount, modelUsed,
+      usage?.prompt_tokens || 0, usage?.completion_tokens || 0, usage?.reasoning_tokens || 0,
+      typeof usage?.cost_usd === 'number' ? usage.cost_usd : null,
+      schemaRepaired ? 1 : 0,
+      baseRef || null,
+      diffStrategy || null,
+      diffHash || null,
+      promptVersion || null
     );
 
     const reviewId = result.lastInsertRowid;
@@ -371,12 +491,29 @@ class GoodifferDatabase {
       }
     }
 
+    // 插入变更文件清单
+    if (files && files.length > 0) {
+      const insertFile = this.db.prepare(`
+        INSERT INTO review_files (review_id, path, old_path, status, similarity, is_binary, insertions, deletions, old_mode, new_mode)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      for (const file of files) {
+        insertFile.run(
+          reviewId, file.path, file.oldPath || null, file.status,
+          file.similarity ?? null, file.binary ? 1 : 0,
+          file.insertions || 0, file.deletions || 0,
+          file.oldMode || null, file.newMode || null
+        );
+      }
+    }
+
     return reviewId;
   }
 
   getReview(id) {
     const review = this.db.prepare(`
-      SELECT r.*, p.name as project_name, d.display_name as developer_name, d.git_email as developer_email
+      SELECT r.*, p.name as project_name, p.path as project_path, d.display_name as developer_name, d.git_email as developer_email
       FROM reviews r
       JOIN projects p ON r.project_id = p.id
       JOIN developers d ON r.developer_id = d.id
@@ -386,13 +523,14 @@ class GoodifferDatabase {
     if (review) {
       review.issues = this.db.prepare('SELECT * FROM issues WHERE review_id = ?').all(id);
       review.associationRisks = this.db.prepare('SELECT * FROM association_risks WHERE review_id = ?').all(id);
+      review.files = this.db.prepare('SELECT * FROM review_files WHERE review_id = ?').all(id);
     }
 
     return review;
   }
 
   queryReviews(filters = {}) {
-    const { projectId, developerId, since, until, limit = 50, offset = 0 } = filters;
+    const { projectId, developerId, reviewType, since, until, limit = 50, offset = 0 } = filters;
 
     let sql = `
       SELECT r.*, p.name as project_name, d.display_name as developer_name, d.git_email as developer_email
@@ -413,6 +551,11 @@ class GoodifferDatabase {
       params.push(developerId);
     }
 
+    if (reviewType) {
+      sql += ' AND r.review_type = ?';
+      params.push(reviewType);
+    }
+
     if (since) {
       sql += ' AND r.commit_date >= ?';
       params.push(since);
@@ -429,6 +572,149 @@ class GoodifferDatabase {
     return this.db.prepare(sql).all(...params);
   }
 
+  // 审查缓存：commit SHA、diff 哈希、prompt 版本和模型都相同的最近一次审查
+  findCachedReview({ commitSha, diffHash, promptVersion, model }) {
+    return this.db.prepare(`
+      SELECT id, ai_response, created_at FROM reviews
+      WHERE commit_sha = ? AND diff_hash = ? AND prompt_version = ? AND model_used = ?
+      ORDER BY id DESC LIMIT 1
+    `).get(commitSha, diffHash, promptVersion, model);
+  }
+
+  // ============ 批量审查队列 ============
+
+  /**
+   * 创建批量审查 job，commits 按审查顺序写入 review_job_items
+   * @returns {number} job id
+   */
+  createReviewJob({ projectId, repoPath, model, description, options, commits }) {
+    const insertJob = this.db.prepare(`
+      INSERT INTO review_jobs (project_id, repo_path, status, model, description, options, total)
+      VALUES (?, ?, 'pending', ?, ?, ?, ?)
+    `);
+    const insertItem = this.db.prepare(`
+      INSERT INTO review_job_items (job_id, position, commit_sha, commit_message, author_name, author_email, commit_date)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const create = this.db.transaction(() => {
+      const jobId = insertJob.run(
+        projectId, repoPath, model, description, JSON.stringify(options || {}), commits.length
+      ).lastInsertRowid;
+      commits.forEach((commit, index) => {
+        insertItem.run(
+          jobId, index + 1, commit.sha, commit.message,
+          commit.author.name, commit.author.email, commit.author.date
+        );
+      });
+      return jobId;
+    });
+
+    return create();
+  }
+
+  // 各状态的 item 数量，例如 { pending: 3, done: 5 }
+  getReviewJobCounts(jobId) {
+    const rows = this.db.prepare(
+      'SELECT status, COUNT(*) as count FROM review_job_items WHERE job_id = ? GROUP BY status'
+    ).all(jobId);
+    return Object.fromEntries(rows.map(row => [row.status, row.count]));
+  }
+
+  getReviewJob(id) {
+    const job = this.db.prepare(`
+      SELECT j.*, p.name as project_name
+      FROM review_jobs j
+      JOIN projects p ON j.project_id = p.id
+      WHERE j.id = ?
+    `).get(id);
+
+    if (job) {
+      job.options = JSON.parse(job.options || '{}');
+      job.counts = this.getReviewJobCounts(id);
+    }
+
+    return job;
+  }
+
+  listReviewJobs(filters = {}) {
+    const { projectId, statuses, limit = 20 } = filters;
+
+    let sql = `
+      SELECT j.*, p.name as project_name
+      FROM review_jobs j
+      JOIN projects p ON j.project_id = p.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (projectId) {
+      sql += ' AND j.project_id = ?';
+      params.push(projectId);
+    }
+
+    if (statuses && statuses.length > 0) {
+      sql += ` AND j.status IN (${statuses.map(() => '?').join(', ')})`;
+      params.push(...statuses);
+    }
+
+    sql += ' ORDER BY j.id DESC LIMIT ?';
+    params.push(limit);
+
+    return this.db.prepare(sql).all(...params).map(job => ({
+      ...job,
+      options: JSON.parse(job.options || '{}'),
+      counts: this.getReviewJobCounts(job.id)
+    }));
+  }
+
+  // 获取 job 的 items (可按状态筛选)，按 position 排序
+  getReviewJobItems(jobId, statuses = null) {
+    let sql = 'SELECT * FROM review_job_items WHERE job_id = ?';
+    const params = [jobId];
+
+    if (statuses && statuses.length > 0) {
+      sql += ` AND status IN (${statuses.map(() => '?').join(', ')})`;
+      params.push(...statuses);
+    }
+
+    sql += ' ORDER BY position';
+    return this.db.prepare(sql).all(...params);
+  }
+
+  updateReviewJobStatus(jobId, status) {
+    this.db.prepare(
+      'UPDATE review_jobs SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+    ).run(status, jobId);
+  }
+
+  updateReviewJobItem(itemId, { status, reviewId = null, error = null }) {
+    this.db.prepare(`
+      UPDATE review_job_items SET status = ?, review_id = ?, error = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(status, reviewId, error, itemId);
+  }
+
+  // 将指定状态的 items 重置为 pending (继续执行中断 / 失败 / 已取消的 job)
+  resetReviewJobItems(jobId, statuses) {
+    return this.db.prepare(`
+      UPDATE review_job_items SET status = 'pending', error = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE job_id = ? AND status IN (${statuses.map(() => '?').join(', ')})
+    `).run(jobId, ...statuses).changes;
+  }
+
+  // 取消 job：尚未开始的 items 标记为 cancelled，正在审查的 commit 完成后停止
+  cancelReviewJob(jobId) {
+    const cancel = this.db.transaction(() => {
+      this.updateReviewJobStatus(jobId, 'cancelled');
+      return this.db.prepare(`
+        UPDATE review_job_items SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+        WHERE job_id = ? AND status = 'pending'
+      `).run(jobId).changes;
+    });
+    return cancel();
+  }
+
   // ============ 统计查询 ============
 
   getProjectStats(projectId, dateRange = {}) {
@@ -442,7 +728,10 @@ class GoodifferDatabase {
         SUM(insertions) as total_insertions,
         SUM(deletions) as total_deletions,
         SUM(files_changed) as total_files_changed,
-        COUNT(DISTINCT developer_id) as developer_count
+        COUNT(DISTINCT developer_id) as developer_count,
+        SUM(prompt_tokens) as total_prompt_tokens,
+        SUM(completion_tokens) as total_completion_tokens,
+        SUM(cost_usd) as total_cost
       FROM reviews
       WHERE project_id = ?
     `;
@@ -525,6 +814,56 @@ class GoodifferDatabase {
     return this.db.prepare(sql).all(...params);
   }
 
+  // 按 项目 / 开发者 / 模型 汇总 token 用量与费用
+  getCostBreakdown(groupBy, filters = {}) {
+    const { projectId, since, until } = filters;
+    const groupColumns = {
+      project: 'p.name',
+      developer: 'd.display_name',
+      model: "COALESCE(r.model_used, 'unknown')"
+    };
+    const groupColumn = groupColumns[groupBy];
+    if (!groupColumn) {
+      throw new Error(`不支持的分组: ${groupBy}`);
+    }
+
+    let sql = `
+      SELECT
+        ${groupColumn} as name,
+        COUNT(*) as total_reviews,
+        SUM(r.prompt_tokens) as total_prompt_tokens,
+        SUM(r.completion_tokens) as total_completion_tokens,
+        SUM(r.reasoning_tokens) as total_reasoning_tokens,
+        SUM(r.cost_usd) as total_cost,
+        SUM(CASE WHEN r.cost_usd IS NULL THEN 1 ELSE 0 END) as unpriced_reviews
+      FROM reviews r
+      JOIN projects p ON r.project_id = p.id
+      JOIN developers d ON r.developer_id = d.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (projectId) {
+      sql += ' AND r.project_id = ?';
+      params.push(projectId);
+    }
+
+    // 按审查时间 (费用产生的时间) 过滤，而不是 commit 时间
+    if (since) {
+      sql += ' AND datetime(r.created_at) >= datetime(?)';
+      params.push(since);
+    }
+
+    if (until) {
+      sql += ' AND datetime(r.created_at) <= datetime(?)';
+      params.push(until);
+    }
+
+    sql += ` GROUP BY ${groupColumn} ORDER BY total_cost DESC, total_reviews DESC`;
+
+    return this.db.prepare(sql).all(...params);
+  }
+
   getIssueTypeDistribution(filters = {}) {
     const { projectId, developerId, since, until } = filters;
 
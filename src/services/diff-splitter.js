@@ -0,0 +1,205 @@
+import path from 'path';
+
+/**
+ * Diff 分块服务
+ * 将大型 git diff 按文件/目录拆分为不超过 token 预算的多个块，用于分块审查
+ */
+
+/**
+ * 粗略估算文本 token 数
+ * ASCII 约 4 字符 / token，CJK 等非 ASCII 字符约 1 字符 / token
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  let ascii = 0;
+  let other = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text.charCodeAt(i) < 128) {
+      ascii++;
+    } else {
+      other++;
+    }
+  }
+  return Math.ceil(ascii / 4) + other;
+}
+
+/**
+ * 从 "diff --git a/x b/y" 行提取文件路径 (取 b/ 一侧)
+ * merge commit 的组合 diff 头为 "diff --cc x"
+ */
+function parseDiffFilePath(headerLine) {
+  const match = headerLine.match(/^diff --git "?a\/(.+?)"? "?b\/(.+?)"?$/);
+  if (match) return match[2];
+  return headerLine.replace(/^diff --(?:git|cc|combined) /, '');
+}
+
+// 文件 diff 的起始行
+function isFileHeader(line) {
+  return line.startsWith('diff --git ') || line.startsWith('diff --cc ') || line.startsWith('diff --combined ');
+}
+
+/**
+ * 按文件拆分 diff
+ * @param {string} diff - 完整 git diff
+ * @returns {Array<{file: string, header: string, hunks: string[], content: string}>}
+ */
+export function splitDiffByFile(diff) {
+  if (!diff) return [];
+
+  const lines = diff.split('\n');
+  const files = [];
+  let current = null;
+  let hunk = null;
+
+  const flushHunk = () => {
+    if (current && hunk) {
+      current.hunks.push(hunk.join('\n'));
+    }
+    hunk = null;
+  };
+
+  for (const line of lines) {
+    if (isFileHeader(line)) {
+      flushHunk();
+      current = { file: parseDiffFilePath(line), headerLines: [line], hunks: [] };
+      files.push(current);
+      continue;
+    }
+
+    if (!current) continue;
+
+    if (line.startsWith('@@')) {
+      flushHunk();
+      hunk = [line];
+    } else if (hunk) {
+      hunk.push(line);
+    } else {
+      current.headerLines.push(line);
+    }
+  }
+  flushHunk();
+
+  return files.map(f => {
+    const header = f.headerLines.join('\n');
+    return {
+      file: f.file,
+      header,
+      hunks: f.hunks,
+      content: [header, ...f.hunks].join('\n')
+    };
+  });
+}
+
+/**
+ * 将超出预算的单个文件按 hunk 拆分
+ */
+function splitFileByHunks(fileDiff, maxTokens) {
+  const headerTokens = estimateTokens(fileDiff.header);
+  const parts = [];
+  let hunks = [];
+  let tokens = headerTokens;
+
+  for (const hunk of fileDiff.hunks) {
+    const hunkTokens = estimateTokens(hunk);
+    if (hunks.length > 0 && tokens + hunkTokens > maxTokens) {
+      parts.push(hunks);
+      hunks = [];
+      tokens = headerTokens;
+    }
+    // 单个 hunk 超出预算时仍作为独立部分保留，不做截断
+    hunks.push(hunk);
+    tokens += hunkTokens;
+  }
+  if (hunks.length > 0) parts.push(hunks);
+
+  return parts.map(partHunks => ({
+    file: fileDiff.file,
+    content: [fileDiff.header, ...partHunks].join('\n')
+  }));
+}
+
+/**
+ * 将 diff 分块
+ * 同一目录下的文件尽量放在同一块中，单个文件超出预算时按 hunk 拆分
+ * @param {string} diff - 完整 git diff
+ * @param {object} options
+ * @param {number} options.maxTokens - 每块 diff 的 token 预算
+ * @returns {Array<{diff: string, files: string[], tokens: number}>}
+ */
+export function chunkDiff(diff, options = {}) {
+  const { maxTokens = 50000 } = options;
+  const fileDiffs = splitDiffByFile(diff);
+
+  if (fileDiffs.length === 0) {
+    return diff ? [{ diff, files: [], tokens: estimateTokens(diff) }] : [];
+  }
+
+  // 按目录分组，保持目录首次出现的顺序
+  const groups = new Map();
+  for (const fileDiff of fileDiffs) {
+    const dir = path.posix.dirname(fileDiff.file);
+    if (!groups.has(dir)) groups.set(dir, []);
+    groups.get(dir).push(fileDiff);
+  }
+
+  const chunks = [];
+  let current = { parts: [], files: [], tokens: 0 };
+
+  const flush = () => {
+    if (current.parts.length > 0) {
+      chunks.push({
+        diff: current.parts.join('\n'),
+        files: current.files,
+        tokens: current.tokens
+      });
+    }
+    current = { parts: [], files: [], tokens: 0 };
+  };
+
+  const add = (file, content, tokens) => {
+    current.parts.push(content);
+    if (!current.files.includes(file)) current.files.push(file);
+    current.tokens += tokens;
+  };
+
+  for (const files of groups.values()) {
+    const groupTokens = files.reduce((sum, f) => sum + estimateTokens(f.content), 0);
+
+    // 整个目录能放进当前块
+    if (current.tokens + groupTokens <= maxTokens) {
+      files.forEach(f => add(f.file, f.content, estimateTokens(f.content)));
+      continue;
+    }
+
+    // 整个目录能放进一个新块
+    if (groupTokens <= maxTokens) {
+      flush();
+      files.forEach(f => add(f.file, f.content, estimateTokens(f.content)));
+      continue;
+    }
+
+    // 目录过大，逐文件装箱
+    for (const fileDiff of files) {
+      const fileTokens = estimateTokens(fileDiff.content);
+
+      if (fileTokens > maxTokens) {
+        flush();
+        for (const part of splitFileByHunks(fileDiff, maxTokens)) {
+          add(part.file, part.content, estimateTokens(part.content));
+          flush();
+        }
+        continue;
+      }
+
+      if (current.tokens + fileTokens > maxTokens) {
+        flush();
+      }
+      add(fileDiff.file, fileDiff.content, fileTokens);
+    }
+  }
+  flush();
+
+  return chunks;
+}
+
+export default chunkDiff;
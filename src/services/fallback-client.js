@@ -0,0 +1,89 @@
+import { AIClient, isTransientError } from './ai-client.js';
+
+/**
+ * 备用模型链
+ * 主配置请求在重试后仍遇到临时性错误 (限流、服务端错误、网络错误) 时，
+ * 按顺序切换到 config.fallbacks 中的备用 provider/model，并在结果中记录实际使用的模型
+ */
+
+/**
+ * 构建 provider/model 链：主配置在前，备用配置未填写的字段继承主配置
+ * @param {object} config - getConfig() 返回的配置 (备用模型的 apiKey 已按 apiKeyEnv > 已保存的 key 读取)
+ * @returns {Array<object>}
+ */
+export function buildProviderChain(config) {
+  const fallbacks = Array.isArray(config.fallbacks) ? config.fallbacks : [];
+
+  return [
+    config,
+    ...fallbacks
+      .filter(fallback => fallback && fallback.model)
+      .map(fallback => ({
+        ...config,
+        provider: fallback.provider || config.provider,
+        apiHost: fallback.apiHost || config.apiHost,
+        apiKey: fallback.apiKey || config.apiKey,
+        // 独立 apiHost 的备用模型不继承主配置的结构化输出能力
+        structuredOutput: fallback.structuredOutput || (fallback.apiHost ? 'auto' : config.structuredOutput),
+        model: fallback.model
+      }))
+  ];
+}
+
+export class FallbackAIClient {
+  constructor(config) {
+    this.chain = buildProviderChain(config);
+    this.clients = this.chain.map(profile => new AIClient(profile));
+    this.model = this.clients[0].model;
+  }
+
+  // 链中有模型支持 Tool Use 时启用代码上下文工具，不支持的模型在切换到它时使用 diff-only 审查
+  supportsToolUse() {
+    return this.clients.some(client => client.supportsToolUse());
+  }
+
+  /**
+   * Codex 深度审查，失败时依次尝试备用模型
+   * 参数与 AIClient.analyzeWithCodex 相同，结果附带 provider_used
+   */
+  async analyzeWithCodex(prompt, options = {}) {
+    const { onProgress = null } = options;
+
+    for (let i = 0; i < this.clients.length; i++) {
+      const client = this.clients[i];
+      const isLast = i === this.clients.length - 1;
+
+      try {
+        const result = await client.analyzeWithCodex(prompt, {
+          ...options,
+          onProgress: onProgress && ((progress) => {
+            // 还有备用模型时，error 由下方统一处理
+            if (progress.type === 'error' && !isLast) return;
+            onProgress(progress);
+          })
+        });
+
+        if (result && typeof result === 'object') {
+          result.provider_used = {
+            provider: this.chain[i].provider,
+            apiHost: this.chain[i].apiHost,
+            model: client.model,
+            fallback: i > 0
+          };
+        }
+        return result;
+      } catch (error) {
+        if (isLast || !isTransientError(error)) {
+          throw error;
+        }
+
+        if (onProgress) onProgress({
+          type: 'info',
+          message: `${client.model} 不可用 (${error.status || error.message})，切换到备用模型 ${this.clients[i + 1].model}`
+        });
+      }
+    }
+  }
+}
+
+export default FallbackAIClient;
@@ -0,0 +1,448 @@
+/**
+ * 代码托管平台适配器 (GitHub / GitLab / Gitea)
+ * 将审查结果发布为 PR / MR 评论；评论中带隐藏标记，重复发布时更新已有评论而不是新增，
+ * 并清理本次结果中已不存在的问题对应的行内评论
+ */
+
+// 请求超时 (毫秒)
+const REQUEST_TIMEOUT = 30000;
+
+export const FORGES = ['github', 'gitlab', 'gitea'];
+
+// 总结评论的标记
+export const SUMMARY_MARKER = '<!-- goodiffer:summary -->';
+// 承载行内评论的 review 的标记 (Gitea)
+const REVIEW_MARKER = '<!-- goodiffer:review -->';
+
+// 行内评论的标记 (key 为 finding 指纹)
+export function findingMarker(key) {
+  return `<!-- goodiffer:finding:${key} -->`;
+}
+
+const FINDING_MARKER_PATTERN = /<!-- goodiffer:finding:([0-9a-f]+) -->/;
+
+function markerKey(body) {
+  const match = String(body || '').match(FINDING_MARKER_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * 解析 remote URL，例如 git@github.com:owner/repo.git、https://gitlab.example.com/group/sub/repo
+ * @returns {{ host: string, repo: string }|null}
+ */
+export function parseRemoteUrl(url) {
+  if (!url) return null;
+  const scp = url.match(/^[^@/]+@([^:/]+):(.+?)(?:\.git)?\/?$/);
+  if (scp) return { host: scp[1], repo: scp[2] };
+
+  try {
+    const parsed = new URL(url);
+    const repo = parsed.pathname.replace(/^\/+/, '').replace(/(?:\.git)?\/?$/, '');
+    return repo ? { host: parsed.hostname, repo } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 根据 remote 主机名推断平台
+ */
+export function detectForge(host = '') {
+  if (host === 'github.com') return 'github';
+  if (host === 'gitlab.com' || host.includes('gitlab')) return 'gitlab';
+  if (host === 'codeberg.org' || host.includes('gitea')) return 'gitea';
+  return null;
+}
+
+/**
+ * 默认 API 地址 (CI 环境变量优先，其次按 remote 主机名推断)
+ */
+export function defaultApiUrl(forge, host) {
+  switch (forge) {
+    case 'github':
+      if (process.env.GITHUB_API_URL) return process.env.GITHUB_API_URL;
+      return !host || host === 'github.com' ? 'https://api.github.com' : `https://${host}/api/v3`;
+    case 'gitlab':
+      if (process.env.CI_API_V4_URL) return process.env.CI_API_V4_URL;
+      return `https://${host || 'gitlab.com'}/api/v4`;
+    case 'gitea':
+      return host ? `https://${host}/api/v1` : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * CI 环境中的 PR / MR 编号 (GitHub Actions、GitLab CI、Gitea Actions)
+ */
+export function detectPullRequestNumber(forge) {
+  if (forge === 'gitlab') {
+    return process.env.CI_MERGE_REQUEST_IID || null;
+  }
+  const match = (process.env.GITHUB_REF || '').match(/^refs\/pull\/(\d+)\//);
+  return match ? match[1] : null;
+}
+
+// 各平台 token 的环境变量 (按顺序查找)
+export const TOKEN_ENV = {
+  github: ['GITHUB_TOKEN', 'GOODIFFER_FORGE_TOKEN'],
+  gitlab: ['GITLAB_TOKEN', 'GOODIFFER_FORGE_TOKEN'],
+  gitea: ['GITEA_TOKEN', 'GOODIFFER_FORGE_TOKEN']
+};
+
+export class ForgeAdapter {
+  /**
+   * @param {object} options
+   * @param {string} options.apiUrl - API 地址
+   * @param {string} options.token - 访问 token
+   * @param {string} options.repo - owner/repo (GitLab 为项目完整路径)
+   * @param {number} options.number - PR / MR 编号
+   */
+  constructor({ apiUrl, token, repo, number }) {
+    this.apiUrl = apiUrl.replace(/\/+$/, '');
+    this.token = token;
+    this.repo = repo;
+    this.number = number;
+  }
+
+  get name() {
+    return 'forge';
+  }
+
+  authHeaders() {
+    return {};
+  }
+
+  async request(method, path, body) {
+    const response = await fetch(`${this.apiUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        ...this.authHeaders()
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+
+    const text = await response.text();
+    if (!response.ok) {
+      let message = text;
+      try {
+        const data = JSON.parse(text);
+        message = data.message || data.error || text;
+        if (typeof message !== 'string') message = JSON.stringify(message);
+      } catch {
+        // 非 JSON 响应，原样显示
+      }
+      throw new Error(`${this.name} API ${method} ${path} 失败 (${response.status}): ${message}`);
+    }
+    return text ? JSON.parse(text) : null;
+  }
+
+  /**
+   * 读取分页列表的全部内容
+   * 不支持分页参数的接口每页都返回全部内容，出现重复的 id 时停止
+   */
+  async paginate(path, { sizeParam = 'per_page', pageSize = 100 } = {}) {
+    const items = [];
+    const seen = new Set();
+    const separator = path.includes('?') ? '&' : '?';
+    for (let page = 1; ; page++) {
+      const batch = await this.request('GET', `${path}${separator}${sizeParam}=${pageSize}&page=${page}`);
+      if (!Array.isArray(batch)) break;
+      const fresh = batch.filter(item => !seen.has(item.id));
+      fresh.forEach(item => seen.add(item.id));
+      items.push(...fresh);
+      if (batch.length < pageSize || fresh.length === 0) break;
+    }
+    return items;
+  }
+
+  /**
+   * 获取 PR / MR 信息
+   * @returns {Promise<{ headSha: string, baseSha: string, startSha?: string, url: string }>}
+   */
+  async getPullRequest() {
+    throw new Error('未实现');
+  }
+
+  /**
+   * 发布或更新总结评论
+   * @returns {Promise<'created'|'updated'>}
+   */
+  async upsertSummary() {
+    throw new Error('未实现');
+  }
+
+  /**
+   * 发布或更新行内评论，并清理上次发布、本次已不存在的行内评论
+   * @param {Array} comments - [{ key, path, oldPath?, startLine, endLine, body }]
+   * @param {object} pr - getPullRequest 的结果
+   * @returns {Promise<Array>} [{ comment, action: 'created'|'updated'|'removed'|'failed', error? }]
+   *   过期评论的 comment 只有 key 和 path
+   */
+  async upsertInlineComments() {
+    throw new Error('未实现');
+  }
+}
+
+export class GitHubAdapter extends ForgeAdapter {
+  get name() {
+    return 'GitHub';
+  }
+
+  authHeaders() {
+    return {
+      Authorization: `Bearer ${this.token}`,
+      Accept: 'application/vnd.github+json',
+      'X-GitHub-Api-Version': '2022-11-28'
+    };
+  }
+
+  async getPullRequest() {
+    const pr = await this.request('GET', `/repos/${this.repo}/pulls/${this.number}`);
+    return { headSha: pr.head.sha, baseSha: pr.base.sha, url: pr.html_url };
+  }
+
+  async upsertSummary(body) {
+    const comments = await this.paginate(`/repos/${this.repo}/issues/${this.number}/comments`);
+    const existing = comments.find(comment => (comment.body || '').includes(SUMMARY_MARKER));
+    if (existing) {
+      await this.request('PATCH', `/repos/${this.repo}/issues/comments/${existing.id}`, { body });
+      return 'updated';
+    }
+    await this.request('POST', `/repos/${this.repo}/issues/${this.number}/comments`, { body });
+    return 'created';
+  }
+
+  async upsertInlineComments(comments, pr) {
+    const existing = new Map();
+    for (const comment of await this.paginate(`/repos/${this.repo}/pulls/${this.number}/comments`)) {
+      const key = markerKey(comment.body);
+      if (key) existing.set(key, comment);
+    }
+
+    const results = [];
+    for (const comment of comments) {
+      try {
+        if (existing.has(comment.key)) {
+          await this.request('PATCH', `/repos/${this.repo}/pulls/comments/${existing.get(comment.key).id}`, { body: comment.body });
+          results.push({ comment, action: 'updated' });
+          continue;
+        }
+
+        const payload = { body: comment.body, commit_id: pr.headSha, path: comment.path, line: comment.endLine, side: 'RIGHT' };
+        if (comment.startLine < comment.endLine) {
+          payload.start_line = comment.startLine;
+          payload.start_side = 'RIGHT';
+        }
+        await this.request('POST', `/repos/${this.repo}/pulls/${this.number}/comments`, payload);
+        results.push({ comment, action: 'created' });
+      } catch (error) {
+        results.push({ comment, action: 'failed', error: error.message });
+      }
+    }
+
+    // 已修复的问题：删除对应的行内评论 (REST API 不支持 resolve 对话)
+    const keys = new Set(comments.map(comment => comment.key));
+    for (const [key, stale] of existing) {
+      if (keys.has(key)) continue;
+      const comment = { key, path: stale.path };
+      try {
+        await this.request('DELETE', `/repos/${this.repo}/pulls/comments/${stale.id}`);
+        results.push({ comment, action: 'removed' });
+      } catch (error) {
+        results.push({ comment, action: 'failed', error: error.message });
+      }
+    }
+    return results;
+  }
+}
+
+export class GitLabAdapter extends ForgeAdapter {
+  get name() {
+    return 'GitLab';
+  }
+
+  authHeaders() {
+    return { 'PRIVATE-TOKEN': this.token };
+  }
+
+  get mergeRequestPath() {
+    return `/projects/${encodeURIComponent(this.repo)}/merge_requests/${this.number}`;
+  }
+
+  async getPullRequest() {
+    const mr = await this.request('GET', this.mergeRequestPath);
+    const refs = mr.diff_refs || {};
+    return { headSha: refs.head_sha || mr.sha, baseSha: refs.base_sha, startSha: refs.start_sha, url: mr.web_url };
+  }
+
+  async upsertSummary(body) {
+    const notes = await this.paginate(`${this.mergeRequestPath}/notes`);
+    const existing = notes.find(note => (note.body || '').includes(SUMMARY_MARKER));
+    if (existing) {
+      await this.request('PUT', `${this.mergeRequestPath}/notes/${existing.id}`, { body });
+      return 'updated';
+    }
+    await this.request('POST', `${this.mergeRequestPath}/notes`, { body });
+    return 'created';
+  }
+
+  async upsertInlineComments(comments, pr) {
+    const existing = new Map();
+    for (const discussion of await this.paginate(`${this.mergeRequestPath}/discussions`)) {
+      for (const note of discussion.notes || []) {
+        const key = markerKey(note.body);
+        if (key) {
+          existing.set(key, {
+            discussionId: discussion.id,
+            noteId: note.id,
+            path: note.position?.new_path,
+            resolved: Boolean(note.resolved)
+          });
+        }
+      }
+    }
+
+    const results = [];
+    for (const comment of comments) {
+      try {
+        const found = existing.get(comment.key);
+        if (found) {
+          await this.request('PUT', `${this.mergeRequestPath}/discussions/${found.discussionId}/notes/${found.noteId}`, { body: comment.body });
+          // 之前标记为已解决的问题再次出现时重新打开
+          if (found.resolved) {
+            await this.request('PUT', `${this.mergeRequestPath}/discussions/${found.discussionId}`, { resolved: false });
+          }
+          results.push({ comment, action: 'updated' });
+          continue;
+        }
+
+        await this.request('POST', `${this.mergeRequestPath}/discussions`, {
+          body: comment.body,
+          position: {
+            position_type: 'text',
+            base_sha: pr.baseSha,
+            start_sha: pr.startSha || pr.baseSha,
+            head_sha: pr.headSha,
+            old_path: comment.oldPath || comment.path,
+            new_path: comment.path,
+            new_line: comment.endLine
+          }
+        });
+        results.push({ comment, action: 'created' });
+      } catch (error) {
+        results.push({ comment, action: 'failed', error: error.message });
+      }
+    }
+
+    // 已修复的问题：将对应的讨论标记为已解决
+    const keys = new Set(comments.map(comment => comment.key));
+    for (const [key, stale] of existing) {
+      if (keys.has(key) || stale.resolved) continue;
+      const comment = { key, path: stale.path };
+      try {
+        await this.request('PUT', `${this.mergeRequestPath}/discussions/${stale.discussionId}`, { resolved: true });
+        results.push({ comment, action: 'removed' });
+      } catch (error) {
+        results.push({ comment, action: 'failed', error: error.message });
+      }
+    }
+    return results;
+  }
+}
+
+export class GiteaAdapter extends ForgeAdapter {
+  get name() {
+    return 'Gitea';
+  }
+
+  authHeaders() {
+    return { Authorization: `token ${this.token}` };
+  }
+
+  async getPullRequest() {
+    const pr = await this.request('GET', `/repos/${this.repo}/pulls/${this.number}`);
+    return { headSha: pr.head.sha, baseSha: pr.base.sha, url: pr.html_url };
+  }
+
+  async upsertSummary(body) {
+    const comments = await this.paginate(`/repos/${this.repo}/issues/${this.number}/comments`, { sizeParam: 'limit', pageSize: 50 });
+    const existing = comments.find(comment => (comment.body || '').includes(SUMMARY_MARKER));
+    if (existing) {
+      await this.request('PATCH', `/repos/${this.repo}/issues/comments/${existing.id}`, { body });
+      return 'updated';
+    }
+    await this.request('POST', `/repos/${this.repo}/issues/${this.number}/comments`, { body });
+    return 'created';
+  }
+
+  /**
+   * Gitea 不支持编辑行内评论：以一个新的 review 提交全部行内评论，成功后再删除上次发布的 review
+   * (提交失败时保留旧评论)
+   */
+  async upsertInlineComments(comments, pr) {
+    const reviewsPath = `/repos/${this.repo}/pulls/${this.number}/reviews`;
+    const previousIds = [];
+    const previous = new Map();
+
+    for (const review of await this.paginate(reviewsPath, { sizeParam: 'limit', pageSize: 50 })) {
+      if (!(review.body || '').includes(REVIEW_MARKER)) continue;
+      previousIds.push(review.id);
+      const reviewComments = await this.request('GET', `${reviewsPath}/${review.id}/comments`) || [];
+      reviewComments.forEach(comment => {
+        const key = markerKey(comment.body);
+        if (key) previous.set(key, comment.path);
+      });
+    }
+
+    if (comments.length > 0) {
+      try {
+        await this.request('POST', reviewsPath, {
+          commit_id: pr.headSha,
+          event: 'COMMENT',
+          body: `${REVIEW_MARKER}\ngoodiffer 行内评论 (${comments.length} 个问题)`,
+          comments: comments.map(comment => ({ path: comment.path, body: comment.body, new_position: comment.endLine }))
+        });
+      } catch (error) {
+        return comments.map(comment => ({ comment, action: 'failed', error: error.message }));
+      }
+    }
+
+    for (const id of previousIds) {
+      await this.request('DELETE', `${reviewsPath}/${id}`);
+    }
+
+    const keys = new Set(comments.map(comment => comment.key));
+    const removed = Array.from(previous)
+      .filter(([key]) => !keys.has(key))
+      .map(([key, path]) => ({ comment: { key, path }, action: 'removed' }));
+    return [
+      ...comments.map(comment => ({ comment, action: previous.has(comment.key) ? 'updated' : 'created' })),
+      ...removed
+    ];
+  }
+}
+
+const ADAPTERS = {
+  github: GitHubAdapter,
+  gitlab: GitLabAdapter,
+  gitea: GiteaAdapter
+};
+
+/**
+ * 创建平台适配器
+ * @param {string} forge - github | gitlab | gitea
+ * @param {object} options - ForgeAdapter 构造参数
+ */
+export function createForgeAdapter(forge, options) {
+  const Adapter = ADAPTERS[forge];
+  if (!Adapter) {
+    throw new Error(`不支持的平台: ${forge} (可用: ${FORGES.join(', ')})`);
+  }
+  return new Adapter(options);
+}
+
+export default createForgeAdapter;
@@ -1,10 +1,143 @@
 import simpleGit from 'simple-git';
 import path from 'path';
 
+// git diff --raw 状态码 → manifest 状态
+const FILE_STATUS = {
+  A: 'added',
+  M: 'modified',
+  D: 'deleted',
+  R: 'renamed',
+  C: 'copied',
+  T: 'type_changed'
+};
+
+/**
+ * 解析 `git diff --raw -z` 输出
+ * 每条记录: ":<旧 mode> <新 mode> <旧 blob> <新 blob> <状态>[相似度]\0<路径>\0[<新路径>\0]"
+ */
+export function parseRawDiff(output) {
+  const fields = output.split('\0');
+  const entries = [];
+
+  for (let i = 0; i < fields.length; i++) {
+    const header = fields[i];
+    if (!header.startsWith(':')) continue;
+
+    const [oldMode, newMode, , , statusField] = header.slice(1).split(' ');
+    const code = statusField[0];
+    const twoPaths = code === 'R' || code === 'C';
+    const oldPath = fields[++i];
+    const newPath = twoPaths ? fields[++i] : oldPath;
+
+    entries.push({
+      path: newPath,
+      oldPath: twoPaths ? oldPath : null,
+      status: FILE_STATUS[code] || 'unknown',
+      similarity: twoPaths ? parseInt(statusField.slice(1), 10) || 0 : null,
+      oldMode: oldMode === '000000' ? null : oldMode,
+      newMode: newMode === '000000' ? null : newMode
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * 解析 `git diff --numstat -z` 输出
+ * 普通文件: "<增>\t<删>\t<路径>\0"，重命名: "<增>\t<删>\t\0<旧路径>\0<新路径>\0"，二进制文件增删为 "-"
+ * @returns {Map<string, {insertions, deletions, binary}>} 以新路径为 key
+ */
+export function parseNumstat(output) {
+  const fields = output.split('\0');
+  const stats = new Map();
+
+  for (let i = 0; i < fields.length; i++) {
+    if (!fields[i]) continue;
+    const [added, deleted, file] = fields[i].split('\t');
+    let path = file;
+    if (!path) {
+      // 重命名 / 复制：后续两个字段为旧路径和新路径
+      i += 2;
+      path = fields[i];
+    }
+
+    const binary = added === '-' && deleted === '-';
+    stats.set(path, {
+      insertions: binary ? 0 : parseInt(added, 10) || 0,
+      deletions: binary ? 0 : parseInt(deleted, 10) || 0,
+      binary
+    });
+  }
+
+  return stats;
+}
+
+/**
+ * 由文件清单汇总 diff 统计
+ * @param {Array} manifest - getFileManifest 的结果
+ */
+export function summarizeManifest(manifest) {
+  return {
+    filesChanged: manifest.length,
+    insertions: manifest.reduce((sum, file) => sum + file.insertions, 0),
+    deletions: manifest.reduce((sum, file) => sum + file.deletions, 0)
+  };
+}
+
+// merge commit 的 diff 策略
+export const MERGE_STRATEGIES = ['skip', 'first-parent', 'combined'];
+
+// diff 策略的说明 (报告 / 进度显示用)
+const DIFF_STRATEGY_LABELS = {
+  root: 'root commit，对比空树',
+  parent: '对比父 commit',
+  'first-parent': 'merge commit，对比第一个父 commit',
+  combined: 'merge commit，组合 diff (仅冲突解决部分)',
+  skip: 'merge commit，已跳过'
+};
+
+export function describeDiffStrategy(strategy) {
+  return DIFF_STRATEGY_LABELS[strategy] || strategy;
+}
+
 export class GitService {
-  constructor(basePath = process.cwd()) {
+  /**
+   * @param {string} basePath - 仓库路径 (默认当前目录)
+   * @param {object} pathFilter - 路径过滤，见 setPathFilter
+   */
+  constructor(basePath = process.cwd(), pathFilter = {}) {
     this.git = simpleGit(basePath);
     this.basePath = basePath;
+    this.setPathFilter(pathFilter);
+  }
+
+  /**
+   * 设置路径过滤，应用于 diff、diff 统计和变更文件列表
+   * @param {object} filter
+   * @param {string[]} filter.pathspecs - git pathspec，原样传给 git (相对当前目录)
+   * @param {string[]} filter.include - 只包含匹配的文件 (glob，相对仓库根目录)
+   * @param {string[]} filter.exclude - 排除匹配的文件 (glob，相对仓库根目录)
+   */
+  setPathFilter({ pathspecs = [], include = [], exclude = [] } = {}) {
+    const positive = [
+      ...pathspecs,
+      ...include.map(pattern => `:(top,glob)${pattern}`)
+    ];
+    const negative = exclude.map(pattern => `:(top,exclude,glob)${pattern}`);
+
+    // 只有排除规则时以整个仓库为范围
+    this.pathspecs = negative.length > 0 && positive.length === 0
+      ? [':/', ...negative]
+      : [...positive, ...negative];
+  }
+
+  hasPathFilter() {
+    return this.pathspecs.length > 0;
+  }
+
+  // 在 git 参数末尾追加 pathspec
+  withPathspecs(args) {
+    return this.hasPathFilter() ? [...args, '--', ...this.pathspecs] : args;
   }
 
   async isGitRepo() {
@@ -45,39 +178,265 @@ export class GitService {
   }
 
   async getLastCommitDiff() {
-    const diff = await this.git.diff(['HEAD~1', 'HEAD']);
-    return diff;
+    return this.getCommitDiff('HEAD');
   }
 
-  async getCommitDiff(sha) {
-    const diff = await this.git.diff([`${sha}~1`, sha]);
-    return diff;
+  /**
+   * 获取 commit 的 diff (root commit 对比空树，merge commit 按 mergeStrategy 处理)
+   * @param {string} sha
+   * @param {string} mergeStrategy - skip | first-parent | combined
+   */
+  async getCommitDiff(sha, mergeStrategy = 'first-parent') {
+    const change = await this.getCommitChange(sha, mergeStrategy);
+    return change.diff;
+  }
+
+  // 空树对象 SHA (兼容 SHA-1 / SHA-256 仓库)
+  async getEmptyTree() {
+    if (!this.emptyTree) {
+      const sha = await this.git.raw(['hash-object', '-t', 'tree', '/dev/null']);
+      this.emptyTree = sha.trim();
+    }
+    return this.emptyTree;
+  }
+
+  // 获取 commit 的父 commit 列表
+  async getParents(sha) {
+    const output = await this.git.raw(['rev-list', '--parents', '-n', '1', sha]);
+    return output.trim().split(/\s+/).slice(1);
+  }
+
+  /**
+   * 获取单个 commit 的变更 (diff + 文件清单)，并说明使用的 diff 策略
+   * - root: 仓库的第一个 commit，对比空树
+   * - parent: 普通 commit，对比唯一的父 commit
+   * - first-parent: merge commit，对比第一个父 commit (即合入分支带来的全部变更)
+   * - combined: merge commit，组合 diff (--cc)，只包含与所有父 commit 都不同的冲突解决部分
+   * - skip: merge commit 按策略跳过
+   * @param {string} sha
+   * @param {string} mergeStrategy - merge commit 的处理方式: skip | first-parent | combined
+   * @returns {Promise<{ strategy: string, base: string|null, parents: string[], diff: string, files: Array }>}
+   */
+  async getCommitChange(sha, mergeStrategy = 'first-parent') {
+    const parents = await this.getParents(sha);
+
+    if (parents.length === 0) {
+      const base = await this.getEmptyTree();
+      return {
+        strategy: 'root',
+        base,
+        parents,
+        diff: await this.git.diff(this.withPathspecs([base, sha])),
+        files: await this.getFileManifest([base, sha])
+      };
+    }
+
+    if (parents.length === 1 || mergeStrategy === 'first-parent') {
+      return {
+        strategy: parents.length === 1 ? 'parent' : 'first-parent',
+        base: parents[0],
+        parents,
+        diff: await this.git.diff(this.withPathspecs([parents[0], sha])),
+        files: await this.getFileManifest([parents[0], sha])
+      };
+    }
+
+    if (mergeStrategy === 'skip') {
+      return { strategy: 'skip', base: null, parents, diff: '', files: [] };
+    }
+
+    // 组合 diff 只列出冲突解决涉及的文件，文件清单相对第一个父 commit 统计
+    const diff = await this.git.raw(this.withPathspecs(['diff-tree', '--cc', '-p', '--no-commit-id', sha]));
+    const resolved = new Set(
+      (diff.match(/^diff --cc .+$/gm) || []).map(line => line.slice('diff --cc '.length))
+    );
+    const files = (await this.getFileManifest([parents[0], sha])).filter(file => resolved.has(file.path));
+
+    return { strategy: 'combined', base: parents[0], parents, diff, files };
   }
 
   async getStagedDiff() {
-    const diff = await this.git.diff(['--cached']);
+    const diff = await this.git.diff(this.withPathspecs(['--cached']));
     return diff;
   }
 
   async getRangeDiff(from, to) {
-    const diff = await this.git.diff([from, to]);
+    const diff = await this.git.diff(this.withPathspecs([from, to]));
     return diff;
   }
 
-  async getChangedFiles() {
-    const status = await this.git.status();
-    return {
-      staged: status.staged,
-      modified: status.modified,
-      created: status.created,
-      deleted: status.deleted
-    };
+  // 工作区相对 HEAD 的 diff (已暂存 + 未暂存 + 未跟踪文件)
+  async getWorktreeDiff() {
+    const tracked = await this.git.diff(this.withPathspecs(['HEAD']));
+    const untracked = await this.getUntrackedFiles();
+    const root = await this.getRepoRoot();
+    const rootGit = simpleGit(root);
+
+    const parts = [tracked];
+    for (const file of untracked) {
+      // 未跟踪文件与空文件比较，生成 "new file" diff
+      parts.push(await rootGit.raw(['diff', '--no-index', '--', '/dev/null', file]));
+    }
+
+    return parts
+      .filter(Boolean)
+      .map(part => part.endsWith('\n') ? part : `${part}\n`)
+      .join('');
+  }
+
+  // 未跟踪文件列表 (遵循 .gitignore，路径相对仓库根目录)
+  async getUntrackedFiles() {
+    const output = await this.git.raw(
+      this.withPathspecs(['ls-files', '--others', '--exclude-standard', '--full-name'])
+    );
+    return output.split('\n').filter(Boolean);
+  }
+
+  async getRepoRoot() {
+    const root = await this.git.revparse(['--show-toplevel']);
+    return root.trim();
+  }
+
+  /**
+   * 获取变更文件清单
+   * @param {string[]} args - git diff 的修订参数 (如 ['HEAD~1', 'HEAD']、['--cached']、['HEAD'])
+   * @returns {Promise<Array<{
+   *   path: string, oldPath: string|null,
+   *   status: 'added'|'modified'|'deleted'|'renamed'|'copied'|'type_changed',
+   *   similarity: number|null, binary: boolean, insertions: number, deletions: number,
+   *   oldMode: string|null, newMode: string|null, modeChanged: boolean
+   * }>>}
+   */
+  async getFileManifest(args) {
+    const raw = await this.git.raw(this.withPathspecs(['diff', '--raw', '-z', '-M', ...args]));
+    const numstat = await this.git.raw(this.withPathspecs(['diff', '--numstat', '-z', '-M', ...args]));
+    const stats = parseNumstat(numstat);
+
+    return parseRawDiff(raw).map(entry => {
+      const stat = stats.get(entry.path) || { insertions: 0, deletions: 0, binary: false };
+      return {
+        ...entry,
+        ...stat,
+        modeChanged: Boolean(entry.oldMode && entry.newMode && entry.oldMode !== entry.newMode)
+      };
+    });
+  }
+
+  // 暂存区的变更文件清单
+  async getStagedFileManifest() {
+    return this.getFileManifest(['--cached']);
+  }
+
+  // 工作区相对 HEAD 的变更文件清单 (含未跟踪文件)
+  async getWorktreeFileManifest() {
+    const manifest = await this.getFileManifest(['HEAD']);
+    const untracked = await this.getUntrackedFiles();
+    const rootGit = simpleGit(await this.getRepoRoot());
+
+    for (const file of untracked) {
+      const numstat = await rootGit.raw(['diff', '--no-index', '--numstat', '-z', '--', '/dev/null', file]);
+      const stat = parseNumstat(numstat).values().next().value || { insertions: 0, deletions: 0, binary: false };
+      manifest.push({
+        path: file,
+        oldPath: null,
+        status: 'added',
+        similarity: null,
+        ...stat,
+        oldMode: null,
+        newMode: null,
+        modeChanged: false
+      });
+    }
+
+    return manifest;
+  }
+
+  /**
+   * 工作区是否与指定 commit 一致 (HEAD 指向该 commit 且已跟踪文件没有未提交的修改)
+   */
+  async isWorktreeAt(ref) {
+    const [head, sha] = await Promise.all([this.resolveRef('HEAD'), this.resolveRef(ref)]);
+    if (head !== sha) return false;
+    const status = await this.git.raw(['status', '--porcelain', '--untracked-files=no']);
+    return status.trim() === '';
+  }
+
+  // 解析 ref 为完整 SHA
+  async resolveRef(ref) {
+    try {
+      const sha = await this.git.revparse(['--verify', `${ref}^{commit}`]);
+      return sha.trim();
+    } catch {
+      throw new Error(`无法解析 ${ref}`);
+    }
+  }
+
+  // 计算 base 与 head 的 merge-base
+  async getMergeBase(base, head = 'HEAD') {
+    try {
+      const sha = await this.git.raw(['merge-base', base, head]);
+      return sha.trim();
+    } catch {
+      throw new Error(`无法计算 ${base} 与 ${head} 的 merge-base (没有共同祖先?)`);
+    }
+  }
+
+  // git hooks 目录 (遵循 core.hooksPath 和 worktree 布局)
+  async getHooksDir() {
+    const dir = await this.git.revparse(['--git-path', 'hooks']);
+    return path.resolve(this.basePath, dir.trim());
+  }
+
+  /**
+   * 计算 pre-push 时待推送的 commit 范围
+   * @param {string} localSha - 本地 ref 的 SHA
+   * @param {string} remoteSha - 远端 ref 的 SHA (新分支为全 0)
+   * @param {string} remote - 远端名称或 URL
+   * @returns {Promise<{ from: string, to: string }|null>} 删除分支或没有新 commit 时返回 null
+   */
+  async getPushRange(localSha, remoteSha, remote) {
+    const isZero = (sha) => /^0+$/.test(sha);
+    if (isZero(localSha)) return null;
+
+    if (!isZero(remoteSha)) {
+      try {
+        // 强制推送时以两者的 merge-base 为起点
+        const from = await this.getMergeBase(await this.resolveRef(remoteSha), localSha);
+        return from === localSha ? null : { from, to: localSha };
+      } catch {
+        // 本地没有远端 commit，按新分支处理
+      }
+    }
+
+    // 新分支：从第一个不在远端的 commit 开始 (远端是 URL 时对比所有远端分支)
+    const remotes = (await this.git.getRemotes()).map(r => r.name);
+    const notRemote = remotes.includes(remote) ? `--remotes=${remote}` : '--remotes';
+    const output = await this.git.raw(['rev-list', '--reverse', localSha, '--not', notRemote]);
+    const first = output.split('\n').find(Boolean);
+    if (!first) return null;
+
+    const parents = await this.getParents(first);
+    return { from: parents[0] || await this.getEmptyTree(), to: localSha };
+  }
+
+  // 获取 from..to 之间的 commits (按时间从旧到新)
+  async getCommitsBetween(from, to) {
+    const log = await this.git.log({ from, to, '--reverse': null });
+    return log.all.map(commit => ({
+      sha: commit.hash,
+      message: commit.body ? `${commit.message}\n\n${commit.body.trim()}` : commit.message,
+      author: {
+        name: commit.author_name,
+        email: commit.author_email,
+        date: commit.date
+      }
+    }));
   }
 
   // 获取 commit 的 author 信息
   async getCommitAuthor(sha) {
-    if (!sha || sha === 'staged') {
-      // 对于暂存区，使用当前用户配置
+    if (!sha || sha === 'staged' || sha === 'worktree') {
+      // 对于暂存区 / 工作区，使用当前用户配置
       const config = await this.git.raw(['config', 'user.name']);
       const email = await this.git.raw(['config', 'user.email']);
       return {
@@ -121,6 +480,13 @@ export class GitService {
     };
   }
 
+  // 获取 remote 的 URL (不存在时返回 null)
+  async getRemoteUrl(name = 'origin') {
+    const remotes = await this.git.getRemotes(true);
+    const remote = remotes.find(r => r.name === name);
+    return remote && remote.refs ? remote.refs.fetch || remote.refs.push || null : null;
+  }
+
   // 获取项目名称 (从 remote 或目录名)
   async getProjectName() {
     try {
@@ -151,12 +517,7 @@ export class GitService {
         args = ['HEAD~1', 'HEAD'];
       }
 
-      const summary = await this.git.diffSummary(args);
-      return {
-        filesChanged: summary.changed || 0,
-        insertions: summary.insertions || 0,
-        deletions: summary.deletions || 0
-      };
+      return summarizeManifest(await this.getFileManifest(args));
     } catch {
       return {
         filesChanged: 0,
@@ -169,12 +530,7 @@ export class GitService {
   // 获取暂存区的 diff 统计
   async getStagedDiffStats() {
     try {
-      const summary = await this.git.diffSummary(['--cached']);
-      return {
-        filesChanged: summary.changed || 0,
-        insertions: summary.insertions || 0,
-        deletions: summary.deletions || 0
-      };
+      return summarizeManifest(await this.getStagedFileManifest());
     } catch {
       return {
         filesChanged: 0,
@@ -194,32 +550,51 @@ export class GitService {
     }
   }
 
-  // 获取最近 n 条 commits (按时间从新到旧排序)
-  async getRecentCommits(count) {
-    const log = await this.git.log({ maxCount: count });
-    return log.all.map(commit => ({
-      sha: commit.hash,
-      message: commit.message,
-      author: {
-        name: commit.author_name,
-        email: commit.author_email,
-        date: commit.date
-      }
-    }));
+  /**
+   * 获取最近的 commits (按时间从新到旧)
+   * @param {number|null} count - 最多返回的数量 (null 表示不限)
+   * @param {object} filters - 筛选条件，见 buildLogArgs
+   */
+  async getRecentCommits(count, filters = {}) {
+    const args = this.buildLogArgs(filters);
+    if (count) args.unshift(`--max-count=${count}`);
+    return this.logCommits(args);
   }
 
-  // 获取指定范围的 commits (从第 start 条到第 end 条，1-based，按时间从新到旧)
-  async getCommitRange(start, end) {
+  // 获取指定范围的 commits (从第 start 条到第 end 条，1-based，按时间从新到旧，先按 filters 筛选)
+  async getCommitRange(start, end, filters = {}) {
     // start 和 end 是 1-based 索引
     // 例如 start=2, end=5 表示第 2、3、4、5 条 commit
     const skip = start - 1;
     const count = end - start + 1;
 
-    const log = await this.git.log({
-      maxCount: count,
-      '--skip': skip
-    });
+    return this.logCommits([`--max-count=${count}`, `--skip=${skip}`, ...this.buildLogArgs(filters)]);
+  }
+
+  /**
+   * 将 commit 筛选条件转换为 git log 参数
+   * @param {object} filters
+   * @param {string} filters.author - 作者 (git log --author，匹配 "姓名 <邮箱>"，支持正则)
+   * @param {string} filters.since - 开始日期 (git log --since，如 2026-09-01、"1 week ago")
+   * @param {string} filters.until - 结束日期 (git log --until)
+   * @param {string} filters.grep - commit message 匹配的正则 (git log --grep)
+   * @param {string[]} filters.paths - 只选择修改了这些路径的 commit (相对当前目录)
+   * @returns {string[]}
+   */
+  buildLogArgs(filters = {}) {
+    const args = [];
+    if (filters.author) args.push(`--author=${filters.author}`);
+    if (filters.since) args.push(`--since=${filters.since}`);
+    if (filters.until) args.push(`--until=${filters.until}`);
+    if (filters.grep) args.push(`--grep=${filters.grep}`);
+    if (filters.paths && filters.paths.length > 0) {
+      args.push('--', ...filters.paths);
+    }
+    return args;
+  }
 
+  async logCommits(args) {
+    const log = await this.git.log(args);
     return log.all.map(commit => ({
       sha: commit.hash,
       message: commit.message,
@@ -0,0 +1,187 @@
+/**
+ * Markdown Reporter
+ * 将 Codex 审查结果渲染为 Markdown，便于粘贴到 PR 描述或 wiki
+ */
+
+import { describeDiffStrategy } from './git.js';
+import { formatCost } from '../utils/usage.js';
+
+const PRIORITY_LABELS = {
+  0: '🔴 P0 - CRITICAL',
+  1: '🟠 P1 - URGENT',
+  2: '🟡 P2 - NORMAL',
+  3: '🔵 P3 - LOW'
+};
+
+const RATING_ICONS = {
+  extraordinary: '🌟',
+  acceptable: '✓',
+  poor: '⚠️'
+};
+
+/**
+ * 表格单元格转义 (竖线、换行)
+ */
+function cell(text) {
+  return String(text ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * 多行文本转为引用块
+ */
+function quote(text) {
+  return String(text).split('\n').map(line => `> ${line}`).join('\n');
+}
+
+function formatConfidence(score) {
+  return typeof score === 'number' ? `${(score * 100).toFixed(0)}%` : '-';
+}
+
+function formatLocation(location = {}) {
+  const range = location.line_range || {};
+  const lines = range.start ? `:${range.start}${range.end && range.end !== range.start ? `-${range.end}` : ''}` : '';
+  return `\`${location.absolute_file_path || '-'}${lines}\``;
+}
+
+/**
+ * 生成 Markdown 报告
+ * @param {object} result - Codex 审查结果
+ * @param {object} commitInfo - Commit 信息 (sha, message, diffStrategy)
+ * @returns {string}
+ */
+export function renderMarkdownReport(result, commitInfo = {}) {
+  const lines = ['## Codex Deep Code Review Report', ''];
+
+  // Commit 信息
+  const meta = [];
+  if (commitInfo.sha) {
+    const isSha = /^[0-9a-f]{8,}$/i.test(commitInfo.sha);
+    meta.push(`- **Commit:** \`${isSha ? commitInfo.sha.substring(0, 7) : commitInfo.sha}\``);
+  }
+  if (commitInfo.message) {
+    meta.push(`- **Message:** ${commitInfo.message.split('\n')[0]}`);
+  }
+  if (commitInfo.diffStrategy && commitInfo.diffStrategy !== 'parent') {
+    meta.push(`- **Diff:** ${describeDiffStrategy(commitInfo.diffStrategy)}`);
+  }
+  if (result.policy) {
+    meta.push(`- **Policy:** \`${result.policy.path}\`${result.policy.filtered > 0 ? ` (按策略过滤 ${result.policy.filtered} 个 finding)` : ''}`);
+  }
+  if (result.cached) {
+    meta.push(`- **Cached:** 复用 review #${result.cached.reviewId} 的结果`);
+  }
+  if (result.provider_used && result.provider_used.fallback) {
+    meta.push(`- **Model:** ${result.provider_used.model} (备用模型)`);
+  }
+  if (result.review_chunks && result.review_chunks.length > 1) {
+    meta.push(`- **分块审查:** ${result.review_chunks.length} 块 (结果已合并)`);
+  }
+  if (meta.length > 0) lines.push(...meta, '');
+
+  // 总结
+  if (result.summary) {
+    lines.push('### 📊 Summary', '', result.summary, '');
+  }
+
+  // Commit 匹配度
+  if (result.commitMatch !== undefined) {
+    const icon = result.commitMatch ? '✅' : '⚠️';
+    lines.push(`**Commit 匹配:** ${icon} ${result.commitMatchReason || (result.commitMatch ? '符合' : '不符合')}`, '');
+  }
+
+  // 调用关系分析
+  if (result.call_graph_analysis && result.call_graph_analysis.length > 0) {
+    lines.push('### 🕸️ 调用/引用关系梳理', '');
+    result.call_graph_analysis.forEach((item, index) => {
+      const kind = item.kind ? ` (${item.kind})` : '';
+      lines.push(`${index + 1}. **${item.symbol || `Symbol ${index + 1}`}**${kind}`);
+      if (item.delta) lines.push(`   - Δ 变化: ${item.delta}`);
+      if (item.before_calls) {
+        lines.push(`   - 改动前 调用方: ${(item.before_calls.callers || []).join('; ') || '-'}`);
+        lines.push(`   - 改动前 被调方: ${(item.before_calls.callees || []).join('; ') || '-'}`);
+      }
+      if (item.after_calls) {
+        lines.push(`   - 改动后 调用方: ${(item.after_calls.callers || []).join('; ') || '-'}`);
+        lines.push(`   - 改动后 被调方: ${(item.after_calls.callees || []).join('; ') || '-'}`);
+      }
+      if (item.notes) lines.push(`   - 备注: ${item.notes}`);
+    });
+    lines.push('');
+  }
+
+  // 前后逻辑对比
+  if (result.logic_changes && result.logic_changes.length > 0) {
+    lines.push('### 📚 改动前后逻辑对比', '');
+    result.logic_changes.forEach((item, index) => {
+      lines.push(`${index + 1}. **${item.scope || `Scope ${index + 1}`}**`);
+      if (item.before) lines.push(`   - 改动前: ${item.before}`);
+      if (item.after) lines.push(`   - 改动后: ${item.after}`);
+      if (item.change) lines.push(`   - 差异: ${item.change}`);
+      if (item.risk) lines.push(`   - 风险: ${item.risk}`);
+      if (item.recommended_tests && item.recommended_tests.length > 0) {
+        lines.push(`   - 建议测试: ${item.recommended_tests.join('; ')}`);
+      }
+    });
+    lines.push('');
+  }
+
+  // 维度评估
+  if (result.dimensions && result.dimensions.length > 0) {
+    lines.push('### 🎯 Quality Assessment', '');
+    lines.push('| 维度 | 评级 | 分数 | 说明 |', '| --- | --- | --- | --- |');
+    result.dimensions.forEach(dim => {
+      const issues = (dim.issues || []).map(issue => `▸ ${issue}`);
+      lines.push(`| ${cell(dim.name)} | ${RATING_ICONS[dim.rating] || ''} ${cell(dim.rating)} | ${dim.score}/100 | ${cell([dim.summary, ...issues].filter(Boolean).join('\n'))} |`);
+    });
+    lines.push('');
+  }
+
+  // 整体评估
+  if (result.overall_assessment) {
+    const assessment = result.overall_assessment;
+    const icon = assessment.correctness === 'patch is correct' ? '✅' : '❌';
+    lines.push('### ⚖️ Overall Assessment', '');
+    lines.push(`**${icon} ${assessment.correctness}** (置信度 ${formatConfidence(assessment.confidence_score)})`, '');
+    if (assessment.explanation) lines.push(assessment.explanation, '');
+  }
+
+  // 问题列表 (按优先级排序)
+  const findings = [...(result.findings || [])].sort((a, b) => (a.priority ?? 3) - (b.priority ?? 3));
+  if (findings.length > 0) {
+    lines.push(`### 🔍 Findings (${findings.length})`, '');
+    findings.forEach((finding, index) => {
+      lines.push(`#### ${index + 1}. ${PRIORITY_LABELS[finding.priority ?? 3] || 'UNKNOWN'}: ${finding.title}`, '');
+      const details = [`**Location:** ${formatLocation(finding.code_location)}`, `**Confidence:** ${formatConfidence(finding.confidence_score)}`];
+      if (finding.dimension) details.push(`**Dimension:** ${finding.dimension}`);
+      lines.push(details.join(' · '), '');
+      if (finding.body) lines.push(finding.body, '');
+      if (finding.suggestion) lines.push(quote(`💡 **Suggestion:** ${finding.suggestion}`), '');
+      if (finding.fixPrompt) {
+        lines.push('<details><summary>📋 修复提示词</summary>', '', '```text', finding.fixPrompt, '```', '', '</details>', '');
+      }
+    });
+  } else {
+    lines.push('✨ 未发现问题！代码质量良好。', '');
+  }
+
+  // 关联风险
+  if (result.associationRisks && result.associationRisks.length > 0) {
+    lines.push(`### ⚠️ Association Risks (${result.associationRisks.length})`, '');
+    result.associationRisks.forEach((risk, index) => {
+      lines.push(`${index + 1}. **\`${risk.changedFile}\`** → ${(risk.relatedFiles || []).map(file => `\`${file}\``).join(', ')}`);
+      lines.push(`   - ${risk.risk}`);
+      if (risk.checkPrompt) lines.push(`   - 验证提示: ${risk.checkPrompt}`);
+    });
+    lines.push('');
+  }
+
+  // Token 用量与费用
+  if (result.usage) {
+    const usage = result.usage;
+    lines.push(`<sub>💰 prompt ${usage.prompt_tokens.toLocaleString()} · completion ${usage.completion_tokens.toLocaleString()} · 估算费用 ${formatCost(usage.cost_usd)}${usage.model ? ` · ${usage.model}` : ''}</sub>`, '');
+  }
+
+  return lines.join('\n');
+}
+
+export default renderMarkdownReport;
@@ -0,0 +1,187 @@
+/**
+ * 模型发现
+ * 从端点的 /v1/models 获取可用模型 (OpenAI 兼容接口和 Anthropic)，按 apiHost 缓存到配置目录，
+ * 并标注是否支持 reasoning effort 和 Tool Use
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getConfigDir } from '../utils/config-store.js';
+import { supportsReasoningEffort } from './ai-client.js';
+
+// 缓存有效期 (24 小时)
+const CACHE_TTL = 24 * 60 * 60 * 1000;
+const CACHE_FILE = 'models-cache.json';
+// 请求超时
+const REQUEST_TIMEOUT = 15000;
+// Anthropic 分页大小上限
+const ANTHROPIC_PAGE_LIMIT = 1000;
+
+// 不能用于对话补全的模型 (embedding、语音、图像等)
+const NON_CHAT_PATTERN = /embed|tts|whisper|dall-e|moderation|davinci|babbage|image|audio|realtime|transcribe|search/i;
+
+/**
+ * 列出模型优先使用的 API 格式 (provider 为 claude 时使用 Anthropic 格式)
+ * 代理端点 (如 packyapi) 可能只提供另一种格式，discoverModels 会再尝试另一种
+ * @returns {'anthropic'|'openai'}
+ */
+export function getModelApiFormat(provider) {
+  return provider === 'claude' ? 'anthropic' : 'openai';
+}
+
+function cachePath() {
+  return path.join(getConfigDir(), CACHE_FILE);
+}
+
+function cacheKey(apiHost, format) {
+  return `${format} ${String(apiHost || '').replace(/\/+$/, '')}`;
+}
+
+function readCache() {
+  try {
+    return JSON.parse(fs.readFileSync(cachePath(), 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+function writeCache(key, entry) {
+  const cache = readCache();
+  cache[key] = entry;
+  fs.mkdirSync(path.dirname(cachePath()), { recursive: true });
+  fs.writeFileSync(cachePath(), JSON.stringify(cache, null, 2));
+}
+
+/**
+ * 模型能力：优先使用端点返回的 supported_parameters (OpenRouter 等)，否则按模型名判断
+ */
+function describeModel(entry) {
+  const id = entry.id;
+  const params = Array.isArray(entry.supported_parameters) ? entry.supported_parameters : null;
+  const name = id.toLowerCase();
+
+  return {
+    id,
+    name: entry.display_name || entry.name || null,
+    reasoning: params
+      ? params.some(param => param === 'reasoning' || param === 'reasoning_effort')
+      : supportsReasoningEffort(id),
+    toolUse: params
+      ? params.includes('tools')
+      : /^claude-(3|[a-z]+-[4-9]|[4-9])/.test(name) || /^(gpt-4|gpt-5|gpt-3\.5-turbo|o3|o4)/.test(name)
+  };
+}
+
+async function request(url, headers) {
+  const response = await fetch(url, { headers, signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    const error = new Error(`${response.status} ${text.substring(0, 200)}`);
+    error.status = response.status;
+    throw error;
+  }
+  const data = await response.json();
+  // 两种格式的模型列表都是 { data: [...] }
+  if (!data || !Array.isArray(data.data)) {
+    throw new Error('响应不是模型列表');
+  }
+  return data;
+}
+
+async function fetchOpenAIModels(apiHost, apiKey) {
+  let base = (apiHost || 'https://api.openai.com').replace(/\/+$/, '');
+  if (!base.endsWith('/v1')) base = `${base}/v1`;
+  const data = await request(`${base}/models`, { Authorization: `Bearer ${apiKey}` });
+  return data.data;
+}
+
+async function fetchAnthropicModels(apiHost, apiKey) {
+  const base = (apiHost || 'https://api.anthropic.com').replace(/\/+$/, '');
+  const headers = { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' };
+  const models = [];
+  let afterId = null;
+
+  do {
+    const query = `limit=${ANTHROPIC_PAGE_LIMIT}${afterId ? `&after_id=${encodeURIComponent(afterId)}` : ''}`;
+    const data = await request(`${base}/v1/models?${query}`, headers);
+    models.push(...data.data);
+    afterId = data.has_more ? data.last_id : null;
+  } while (afterId);
+
+  return models;
+}
+
+const FETCHERS = { anthropic: fetchAnthropicModels, openai: fetchOpenAIModels };
+
+/**
+ * 先按 provider 对应的格式请求，失败或没有返回模型时改用另一种格式
+ * 两种格式都不可用时返回首选格式的结果 (或错误)
+ */
+async function fetchModelEntries(apiHost, apiKey, format) {
+  const fallback = format === 'anthropic' ? 'openai' : 'anthropic';
+  let preferred;
+  try {
+    preferred = await FETCHERS[format](apiHost, apiKey);
+    if (preferred.length > 0) return preferred;
+  } catch (error) {
+    preferred = error;
+  }
+
+  try {
+    const entries = await FETCHERS[fallback](apiHost, apiKey);
+    if (entries.length > 0) return entries;
+  } catch {
+    // 另一种格式也不可用，使用首选格式的结果
+  }
+
+  if (preferred instanceof Error) throw preferred;
+  return preferred;
+}
+
+/**
+ * 获取端点的可用模型 (缓存未过期时直接返回缓存)
+ * @param {object} endpoint - { apiHost, apiKey, provider }
+ * @param {object} options - { refresh: 忽略缓存 }
+ * @returns {Promise<{ models: Array<{ id, name, reasoning, toolUse }>, fetchedAt: string, cached: boolean }>}
+ */
+export async function discoverModels({ apiHost, apiKey, provider }, { refresh = false } = {}) {
+  const format = getModelApiFormat(provider);
+  const key = cacheKey(apiHost, format);
+
+  const cached = readCache()[key];
+  if (!refresh && cached && Date.now() - Date.parse(cached.fetchedAt) < CACHE_TTL) {
+    return { ...cached, cached: true };
+  }
+
+  if (!apiKey) {
+    throw new Error('没有可用的 API Key');
+  }
+
+  const entries = await fetchModelEntries(apiHost, apiKey, format);
+  const models = entries
+    .filter(entry => entry && typeof entry.id === 'string' && !NON_CHAT_PATTERN.test(entry.id))
+    .map(describeModel)
+    .sort((a, b) => a.id.localeCompare(b.id));
+
+  const entry = { fetchedAt: new Date().toISOString(), models };
+  writeCache(key, entry);
+  return { ...entry, cached: false };
+}
+
+/**
+ * 读取缓存的模型列表 (不发送请求，忽略有效期；用于 tab 补全)
+ * @returns {Array|null}
+ */
+export function getCachedModels({ apiHost, provider }) {
+  const cached = readCache()[cacheKey(apiHost, getModelApiFormat(provider))];
+  return cached ? cached.models : null;
+}
+
+/**
+ * 模型能力标签 (如 "reasoning · tools")
+ */
+export function formatModelCapabilities(model) {
+  return [model.reasoning && 'reasoning', model.toolUse && 'tools'].filter(Boolean).join(' · ');
+}
+
+export default discoverModels;
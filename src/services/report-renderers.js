@@ -0,0 +1,101 @@
+/**
+ * 审查结果输出格式
+ * terminal 在每个 commit 审查完成时直接打印到终端；其余格式在全部审查结束后渲染为一个文档
+ */
+
+import { generateCodexReport } from './codex-reporter.js';
+import { renderMarkdownReport } from './markdown-reporter.js';
+import { buildSarif } from './sarif-exporter.js';
+import { describeGatePolicy } from './review-gate.js';
+
+// commit 记录 -> 报告的 commit 信息
+function toCommitInfo(review) {
+  return { ...review.commit, diffStrategy: review.diffStrategy };
+}
+
+/**
+ * 各格式的渲染器
+ * render(reviews, context) 返回完整文档；reviews 为 [{ commit, reviewType, reviewId, status, error, diffStrategy, result }]
+ * context: { repoRoot, policy, gates, violations }
+ */
+const RENDERERS = {
+  // 终端报告 (默认)
+  terminal: {
+    print(review) {
+      generateCodexReport(review.result, toCommitInfo(review));
+    }
+  },
+
+  // Markdown，可粘贴到 PR 描述或 wiki
+  markdown: {
+    render(reviews) {
+      const reviewed = reviews.filter(review => review.result);
+      const skipped = reviews.filter(review => !review.result);
+      const sections = reviewed.map(review => renderMarkdownReport(review.result, toCommitInfo(review)));
+      if (skipped.length > 0) {
+        sections.push([
+          '## 未审查的 commit',
+          '',
+          ...skipped.map(review => `- \`${review.commit.sha.substring(0, 7)}\` ${review.status}${review.error ? `: ${review.error}` : ''}`),
+          ''
+        ].join('\n'));
+      }
+      return sections.join('\n---\n\n');
+    }
+  },
+
+  // JSON (门禁结果 + 每个 commit 的完整审查结果，--ci 的默认格式)
+  json: {
+    render(reviews, { policy, gates, violations }) {
+      return JSON.stringify({
+        gate: policy
+          ? { policy: describeGatePolicy(policy), passed: violations.length === 0, violations }
+          : null,
+        reviews: reviews.map((review, index) => ({
+          commit: review.commit,
+          review_type: review.reviewType,
+          review_id: review.reviewId || null,
+          status: review.status,
+          error: review.error || undefined,
+          diff_strategy: review.diffStrategy || undefined,
+          cached: Boolean(review.result && review.result.cached),
+          gate: gates[index],
+          result: review.result || null
+        }))
+      }, null, 2);
+    }
+  },
+
+  // SARIF 2.1.0，可上传到 code scanning 或在 IDE 中查看
+  sarif: {
+    render(reviews, { repoRoot }) {
+      return JSON.stringify(buildSarif(reviews, { repoRoot }), null, 2);
+    }
+  }
+};
+
+export const OUTPUT_FORMATS = Object.keys(RENDERERS);
+
+/**
+ * 输出格式 (--ci 未指定 --format 时为 json)
+ */
+export function getOutputFormat(options) {
+  return options.format || (options.ci ? 'json' : 'terminal');
+}
+
+/**
+ * 单个 commit 审查完成后打印终端报告
+ */
+export function printTerminalReport(review) {
+  RENDERERS.terminal.print(review);
+}
+
+/**
+ * 渲染文档格式 (markdown / json / sarif)
+ * @returns {string}
+ */
+export function renderReviews(format, reviews, context) {
+  return RENDERERS[format].render(reviews, context);
+}
+
+export default renderReviews;
@@ -0,0 +1,113 @@
+/**
+ * 审查门禁
+ * 根据审查结果判断是否阻止提交 / 推送 / 合并 (git hooks 的 --fail-on、CI 模式的退出码)
+ */
+
+// 门禁规则: p0-p3 表示出现该优先级或更高优先级的 finding 时阻止，incorrect 表示整体结论为 patch is incorrect 时阻止
+export const GATE_RULES = ['p0', 'p1', 'p2', 'p3', 'incorrect'];
+
+// 门禁未通过时的退出码 (区别于运行错误的 1)
+export const GATE_EXIT_CODE = 2;
+
+// CI 模式未指定任何门禁条件时的默认策略
+export const CI_DEFAULT_POLICY = { failOn: 'p0,incorrect' };
+
+/**
+ * 解析 --fail-on 规则，例如 "p0,incorrect"
+ * @param {string} spec
+ * @returns {string[]}
+ */
+export function parseFailOn(spec) {
+  const rules = String(spec).split(',').map(rule => rule.trim().toLowerCase()).filter(Boolean);
+  const unknown = rules.filter(rule => !GATE_RULES.includes(rule));
+  if (unknown.length > 0) {
+    throw new Error(`未知的门禁规则: ${unknown.join(', ')} (可用: ${GATE_RULES.join(', ')})`);
+  }
+  return rules;
+}
+
+function parseLimit(value, flag) {
+  if (value === undefined || value === null) return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${flag} 必须是非负整数`);
+  }
+  return number;
+}
+
+/**
+ * 由命令行选项构建门禁策略
+ * @param {object} options - { failOn, maxP0, maxP1, minScore }
+ * @param {object|null} defaults - 未指定任何条件时使用的选项
+ * @returns {{ failOn: string[], maxP0: number|null, maxP1: number|null, minScore: number|null }|null} 没有任何条件时返回 null
+ */
+export function parseGatePolicy(options, defaults = null) {
+  const policy = {
+    failOn: options.failOn ? parseFailOn(options.failOn) : [],
+    maxP0: parseLimit(options.maxP0, '--max-p0'),
+    maxP1: parseLimit(options.maxP1, '--max-p1'),
+    minScore: parseLimit(options.minScore, '--min-score')
+  };
+
+  const empty = policy.failOn.length === 0 && policy.maxP0 === null && policy.maxP1 === null && policy.minScore === null;
+  if (empty) {
+    return defaults ? parseGatePolicy(defaults) : null;
+  }
+  return policy;
+}
+
+// 策略的简短描述，例如 "--fail-on p0,incorrect --min-score 60"
+export function describeGatePolicy(policy) {
+  const parts = [];
+  if (policy.failOn.length > 0) parts.push(`--fail-on ${policy.failOn.join(',')}`);
+  if (policy.maxP0 !== null) parts.push(`--max-p0 ${policy.maxP0}`);
+  if (policy.maxP1 !== null) parts.push(`--max-p1 ${policy.maxP1}`);
+  if (policy.minScore !== null) parts.push(`--min-score ${policy.minScore}`);
+  return parts.join(' ');
+}
+
+/**
+ * 按策略检查审查结果
+ * @param {object} result - 审查结果
+ * @param {object} policy - parseGatePolicy 的结果
+ * @returns {{ passed: boolean, reasons: string[] }}
+ */
+export function evaluateGate(result, policy) {
+  const reasons = [];
+  const findings = result.findings || [];
+  const countPriority = (priority) => findings.filter(f => f.priority === priority).length;
+
+  for (const rule of policy.failOn) {
+    if (rule === 'incorrect') {
+      if (result.overall_assessment?.correctness === 'patch is incorrect') {
+        reasons.push('整体结论为 patch is incorrect');
+      }
+      continue;
+    }
+
+    const level = Number(rule.slice(1));
+    const matched = findings.filter(f => typeof f.priority === 'number' && f.priority <= level);
+    if (matched.length > 0) {
+      const label = level === 0 ? 'P0' : `P0-P${level}`;
+      reasons.push(`${matched.length} 个 ${label} 问题: ${matched.map(f => f.title).join('; ')}`);
+    }
+  }
+
+  if (policy.maxP0 !== null && countPriority(0) > policy.maxP0) {
+    reasons.push(`P0 问题 ${countPriority(0)} 个，超过上限 ${policy.maxP0}`);
+  }
+  if (policy.maxP1 !== null && countPriority(1) > policy.maxP1) {
+    reasons.push(`P1 问题 ${countPriority(1)} 个，超过上限 ${policy.maxP1}`);
+  }
+
+  if (policy.minScore !== null) {
+    const low = (result.dimensions || []).filter(d => typeof d.score === 'number' && d.score < policy.minScore);
+    if (low.length > 0) {
+      reasons.push(`维度评分低于 ${policy.minScore}: ${low.map(d => `${d.name} ${d.score}`).join(', ')}`);
+    }
+  }
+
+  return { passed: reasons.length === 0, reasons };
+}
+
+export default evaluateGate;
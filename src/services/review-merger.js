@@ -0,0 +1,169 @@
+import { sumUsage } from '../utils/usage.js';
+
+/**
+ * Review 结果合并
+ * 将分块审查 (map) 得到的多个 Codex review 结果合并 (reduce) 为单个结果，
+ * 输出结构与单次 analyzeWithCodex 相同，可直接交给 generateCodexReport / db.saveReview
+ */
+
+/**
+ * 根据分数推导维度评级 (与 prompt 中的评分区间一致)
+ */
+function ratingFromScore(score) {
+  if (score >= 90) return 'extraordinary';
+  if (score >= 70) return 'acceptable';
+  return 'poor';
+}
+
+function unique(items) {
+  return Array.from(new Set(items.filter(Boolean)));
+}
+
+/**
+ * 加权平均 (忽略非数值项)
+ */
+function weightedAverage(entries) {
+  const valid = entries.filter(e => typeof e.value === 'number' && !Number.isNaN(e.value));
+  const totalWeight = valid.reduce((sum, e) => sum + e.weight, 0);
+  if (valid.length === 0 || totalWeight === 0) return null;
+  return valid.reduce((sum, e) => sum + e.value * e.weight, 0) / totalWeight;
+}
+
+/**
+ * 合并 findings，按 标题 + 文件 + 行号 去重
+ */
+function mergeFindings(results) {
+  const seen = new Set();
+  const findings = [];
+
+  for (const result of results) {
+    for (const finding of result.findings || []) {
+      const location = finding.code_location || {};
+      const range = location.line_range || {};
+      const key = `${finding.title}|${location.absolute_file_path}|${range.start}-${range.end}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      findings.push(finding);
+    }
+  }
+
+  return findings.sort((a, b) => (a.priority ?? 3) - (b.priority ?? 3));
+}
+
+/**
+ * 合并 8 维度评估：分数按各块 diff 规模加权平均，问题列表去重合并
+ */
+function mergeDimensions(results, weights) {
+  const byName = new Map();
+
+  results.forEach((result, index) => {
+    for (const dim of result.dimensions || []) {
+      if (!byName.has(dim.name)) {
+        byName.set(dim.name, { name: dim.name, scores: [], summaries: [], issues: [] });
+      }
+      const entry = byName.get(dim.name);
+      entry.scores.push({ value: dim.score, weight: weights[index] });
+      if (dim.summary) entry.summaries.push(dim.summary);
+      entry.issues.push(...(dim.issues || []));
+    }
+  });
+
+  return Array.from(byName.values()).map(entry => {
+    const average = weightedAverage(entry.scores);
+    const score = average === null ? 0 : Math.round(average);
+    return {
+      name: entry.name,
+      rating: ratingFromScore(score),
+      score,
+      summary: unique(entry.summaries).join(' '),
+      issues: unique(entry.issues)
+    };
+  });
+}
+
+/**
+ * 合并整体评估：任一块判定为 incorrect 则整体为 incorrect
+ */
+function mergeOverallAssessment(results, weights) {
+  const assessments = results
+    .map((result, index) => ({ assessment: result.overall_assessment, weight: weights[index] }))
+    .filter(item => item.assessment);
+
+  if (assessments.length === 0) return undefined;
+
+  const incorrect = assessments.filter(item => item.assessment.correctness === 'patch is incorrect');
+  const relevant = incorrect.length > 0 ? incorrect : assessments;
+  const confidence = weightedAverage(relevant.map(item => ({
+    value: item.assessment.confidence_score,
+    weight: item.weight
+  })));
+
+  return {
+    correctness: incorrect.length > 0 ? 'patch is incorrect' : 'patch is correct',
+    explanation: unique(relevant.map(item => item.assessment.explanation)).join(' '),
+    confidence_score: confidence === null ? 0 : Number(confidence.toFixed(2))
+  };
+}
+
+/**
+ * 合并分块审查结果
+ * @param {Array<object>} results - 各块的审查结果
+ * @param {Array<number>} weights - 各块权重 (通常为 diff token 数)，默认等权
+ * @returns {object} 合并后的审查结果
+ */
+export function mergeReviewResults(results, weights = []) {
+  if (results.length === 1) {
+    return results[0];
+  }
+
+  const normalizedWeights = results.map((_, index) => weights[index] || 1);
+  const first = results[0] || {};
+
+  const repositoryInfo = first.repository_info
+    ? {
+      ...first.repository_info,
+      changed_files: unique(results.flatMap(r => r.repository_info?.changed_files || []))
+    }
+    : undefined;
+
+  const commitMatch = results.every(r => r.commitMatch !== false);
+  const mismatchReasons = results
+    .filter(r => r.commitMatch === false)
+    .map(r => r.commitMatchReason);
+
+  const usage = sumUsage(...results.map(r => r.usage));
+  if (usage) {
+    usage.model = results.find(r => r.usage)?.usage.model;
+    if (usage.cost_usd === undefined) usage.cost_usd = null;
+  }
+
+  // 任一块需要修复即记为需要修复，全部修复成功才算成功
+  const repairs = results.map(r => r.schema_repair).filter(Boolean);
+  const schemaRepair = repairs.length > 0
+    ? {
+      needed: repairs.some(r => r.needed),
+      success: repairs.every(r => r.success),
+      errors: unique(repairs.flatMap(r => r.errors || []))
+    }
+    : undefined;
+
+  return {
+    repository_info: repositoryInfo,
+    call_graph_analysis: results.flatMap(r => r.call_graph_analysis || []),
+    logic_changes: results.flatMap(r => r.logic_changes || []),
+    dimensions: mergeDimensions(results, normalizedWeights),
+    findings: mergeFindings(results),
+    associationRisks: results.flatMap(r => r.associationRisks || []),
+    overall_assessment: mergeOverallAssessment(results, normalizedWeights),
+    summary: unique(results.map(r => r.summary)).join(' '),
+    commitMatch,
+    commitMatchReason: commitMatch
+      ? unique(results.map(r => r.commitMatchReason)).join(' ')
+      : unique(mismatchReasons).join(' '),
+    provider_used: results.find(r => r.provider_used?.fallback)?.provider_used || first.provider_used,
+    schema_repair: schemaRepair,
+    ...(usage ? { usage } : {})
+  };
+}
+
+export default mergeReviewResults;
@@ -0,0 +1,197 @@
+/**
+ * 仓库审查策略 (.goodiffer.yml)
+ * 提交到仓库中的团队约定：忽略路径、启用的维度、门禁阈值、团队规则和 diff 规模上限
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import YAML from 'yaml';
+import { REVIEW_DIMENSIONS } from '../prompts/codex-review-prompt.js';
+import { parseFailOn } from './review-gate.js';
+
+// 策略文件 (仓库根目录，按顺序查找)
+export const POLICY_FILES = ['.goodiffer.yml', '.goodiffer.yaml'];
+
+// 作为门禁条件的阈值 (命令行和 .goodiffer.json 未指定时生效)
+const GATE_THRESHOLDS = ['failOn', 'maxP0', 'maxP1', 'minScore'];
+
+const DIMENSION_NAMES = REVIEW_DIMENSIONS.map(dimension => dimension.name);
+
+function fail(file, message) {
+  throw new Error(`审查策略 ${file}: ${message}`);
+}
+
+function stringList(file, value, field) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  if (list.some(item => typeof item !== 'string' || !item.trim())) {
+    fail(file, `${field} 必须是字符串列表`);
+  }
+  return list.map(item => item.trim());
+}
+
+function nonNegativeInteger(file, value, field) {
+  if (value === undefined || value === null) return null;
+  if (!Number.isInteger(value) || value < 0) {
+    fail(file, `${field} 必须是非负整数`);
+  }
+  return value;
+}
+
+// 维度名称不区分大小写，可写唯一的前缀 (如 Security)
+function resolveDimensions(file, names, field) {
+  return names.map(name => {
+    const key = name.toLowerCase();
+    const prefixed = DIMENSION_NAMES.filter(dimension => dimension.toLowerCase().startsWith(key));
+    const match = DIMENSION_NAMES.find(dimension => dimension.toLowerCase() === key)
+      || (prefixed.length === 1 ? prefixed[0] : null);
+    if (!match) {
+      fail(file, `${field} 中的维度 "${name}" 不存在 (可用: ${DIMENSION_NAMES.join(', ')})`);
+    }
+    return match;
+  });
+}
+
+function parseDimensions(file, value = {}) {
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    fail(file, 'dimensions 必须包含 enabled 或 disabled 列表');
+  }
+
+  const enabled = resolveDimensions(file, stringList(file, value.enabled, 'dimensions.enabled'), 'dimensions.enabled');
+  const disabled = resolveDimensions(file, stringList(file, value.disabled, 'dimensions.disabled'), 'dimensions.disabled');
+  const dimensions = (enabled.length > 0 ? enabled : DIMENSION_NAMES).filter(name => !disabled.includes(name));
+
+  if (dimensions.length === 0) {
+    fail(file, '至少需要启用一个维度');
+  }
+  // 按框架中的顺序
+  return DIMENSION_NAMES.filter(name => dimensions.includes(name));
+}
+
+function parsePriority(file, value, field) {
+  if (value === undefined || value === null) return null;
+  const match = String(value).toLowerCase().match(/^p?([0-3])$/);
+  if (!match) {
+    fail(file, `${field} 必须是 p0-p3`);
+  }
+  return Number(match[1]);
+}
+
+function parseThresholds(file, value = {}) {
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    fail(file, 'thresholds 必须是对象');
+  }
+
+  const gate = {};
+  if (value.failOn !== undefined) {
+    const failOn = Array.isArray(value.failOn) ? value.failOn.join(',') : String(value.failOn);
+    try {
+      parseFailOn(failOn);
+    } catch (error) {
+      fail(file, error.message);
+    }
+    gate.failOn = failOn;
+  }
+  for (const key of ['maxP0', 'maxP1', 'minScore']) {
+    const number = nonNegativeInteger(file, value[key], `thresholds.${key}`);
+    if (number !== null) gate[key] = number;
+  }
+
+  const minConfidence = value.minConfidence ?? null;
+  if (minConfidence !== null && (typeof minConfidence !== 'number' || minConfidence < 0 || minConfidence > 1)) {
+    fail(file, 'thresholds.minConfidence 必须是 0-1 之间的数字');
+  }
+
+  return {
+    gate,
+    reportPriority: parsePriority(file, value.reportPriority, 'thresholds.reportPriority'),
+    minConfidence
+  };
+}
+
+/**
+ * 读取仓库根目录的审查策略
+ * @param {string} repoRoot - 仓库根目录
+ * @returns {object|null} 没有策略文件时返回 null；格式错误时抛出异常
+ */
+export function loadReviewPolicy(repoRoot) {
+  const file = POLICY_FILES.map(name => path.join(repoRoot, name)).find(candidate => fs.existsSync(candidate));
+  if (!file) return null;
+
+  let data;
+  try {
+    data = YAML.parse(fs.readFileSync(file, 'utf-8')) || {};
+  } catch (error) {
+    fail(file, `YAML 解析失败: ${error.message}`);
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    fail(file, '顶层必须是对象');
+  }
+
+  const known = ['ignore', 'dimensions', 'thresholds', 'rules', 'maxDiffLines'];
+  const unknown = Object.keys(data).filter(key => !known.includes(key));
+  if (unknown.length > 0) {
+    fail(file, `不支持的字段 ${unknown.join(', ')} (可用: ${known.join(', ')})`);
+  }
+
+  const thresholds = parseThresholds(file, data.thresholds);
+  const policy = {
+    ignore: stringList(file, data.ignore, 'ignore'),
+    dimensions: parseDimensions(file, data.dimensions),
+    gate: thresholds.gate,
+    reportPriority: thresholds.reportPriority,
+    minConfidence: thresholds.minConfidence,
+    rules: stringList(file, data.rules, 'rules'),
+    maxDiffLines: nonNegativeInteger(file, data.maxDiffLines, 'maxDiffLines')
+  };
+
+  return {
+    path: path.relative(repoRoot, file),
+    ...policy,
+    // 策略内容哈希 (审查缓存的键之一，策略变化后不复用旧结果)
+    hash: crypto.createHash('sha256').update(JSON.stringify(policy)).digest('hex').substring(0, 12)
+  };
+}
+
+/**
+ * 用策略阈值补全未在命令行 / .goodiffer.json 中指定的门禁条件
+ */
+export function applyPolicyThresholds(options, policy) {
+  if (!policy) return options;
+  const merged = { ...options };
+  for (const key of GATE_THRESHOLDS) {
+    if (merged[key] === undefined && policy.gate[key] !== undefined) {
+      merged[key] = policy.gate[key];
+    }
+  }
+  return merged;
+}
+
+/**
+ * 按策略整理审查结果：去掉被禁用的维度，以及低于报告阈值 (优先级 / 置信度) 的 finding
+ * finding 按模型标注的 dimension 过滤；dimension 为可选字段，未标注的 finding 照常保留
+ * @returns {object} 新的审查结果，policy 字段记录策略文件和过滤掉的 finding 数
+ */
+export function applyPolicyToResult(result, policy) {
+  if (!policy) return result;
+
+  const findings = result.findings || [];
+  const kept = findings.filter(finding => {
+    if (policy.reportPriority !== null && (finding.priority ?? 3) > policy.reportPriority) return false;
+    if (policy.minConfidence !== null && typeof finding.confidence_score === 'number'
+      && finding.confidence_score < policy.minConfidence) return false;
+    if (finding.dimension && DIMENSION_NAMES.includes(finding.dimension)
+      && !policy.dimensions.includes(finding.dimension)) return false;
+    return true;
+  });
+
+  return {
+    ...result,
+    dimensions: (result.dimensions || []).filter(dimension => policy.dimensions.includes(dimension.name)),
+    findings: kept,
+    policy: { path: policy.path, filtered: findings.length - kept.length }
+  };
+}
+
+export default loadReviewPolicy;
@@ -0,0 +1,95 @@
+import fs from 'fs';
+import Ajv from 'ajv';
+
+/**
+ * Codex review 输出校验
+ * 使用 src/schemas/codex-review-schema.json 校验模型返回的结构化结果
+ */
+
+export const reviewSchema = JSON.parse(
+  fs.readFileSync(new URL('../schemas/codex-review-schema.json', import.meta.url), 'utf-8')
+);
+
+// finding.dimension 允许的取值
+const DIMENSION_NAMES = reviewSchema.properties.findings.items.properties.dimension.enum;
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validate = ajv.compile(reviewSchema);
+
+// 单次校验最多报告的错误数 (避免修复提示词过长)
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * 将 Ajv 错误格式化为可读字符串，例如 "/findings/0/priority: must be <= 3"
+ */
+function formatError(error) {
+  const path = error.instancePath || '/';
+  if (error.keyword === 'required') {
+    return `${path}: 缺少必填字段 "${error.params.missingProperty}"`;
+  }
+  if (error.keyword === 'enum') {
+    return `${path}: 取值必须为 ${error.params.allowedValues.map(v => JSON.stringify(v)).join(' | ')}`;
+  }
+  return `${path}: ${error.message}`;
+}
+
+/**
+ * 校验审查结果
+ * @param {object} result - 解析后的审查结果
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateReview(result) {
+  if (validate(result)) {
+    return { valid: true, errors: [] };
+  }
+
+  const errors = (validate.errors || []).map(formatError);
+  return {
+    valid: false,
+    errors: Array.from(new Set(errors)).slice(0, MAX_REPORTED_ERRORS)
+  };
+}
+
+function clamp(value, min, max, fallback) {
+  const number = Number(value);
+  if (Number.isNaN(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+}
+
+/**
+ * 修复后仍不符合 schema 时的兜底整理，保证报告和数据库写入不出错
+ * 补齐数组字段、限制分数/优先级范围、丢弃缺少定位信息的 finding 和无效的维度标注
+ * @param {object} result
+ * @returns {object}
+ */
+export function normalizeReview(result) {
+  const review = result && typeof result === 'object' ? result : {};
+
+  review.dimensions = (Array.isArray(review.dimensions) ? review.dimensions : [])
+    .filter(dim => dim && dim.name)
+    .map(dim => ({
+      ...dim,
+      score: clamp(dim.score, 0, 100, 0),
+      issues: Array.isArray(dim.issues) ? dim.issues : []
+    }));
+
+  review.findings = (Array.isArray(review.findings) ? review.findings : [])
+    .filter(finding => finding && finding.title && finding.code_location?.absolute_file_path)
+    .map(finding => {
+      const normalized = {
+        ...finding,
+        priority: Math.round(clamp(finding.priority, 0, 3, 3)),
+        confidence_score: clamp(finding.confidence_score, 0, 1, 0)
+      };
+      if (!DIMENSION_NAMES.includes(normalized.dimension)) delete normalized.dimension;
+      return normalized;
+    });
+
+  if (!Array.isArray(review.associationRisks)) {
+    review.associationRisks = [];
+  }
+
+  return review;
+}
+
+export default validateReview;
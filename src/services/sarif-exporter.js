@@ -0,0 +1,148 @@
+/**
+ * SARIF 2.1.0 导出
+ * 将审查结果的 findings 转换为 SARIF，供 code scanning 面板和 IDE (SARIF Viewer) 展示
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SRCROOT = '%SRCROOT%';
+
+const pkg = JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf-8'));
+
+// 每个优先级对应一条规则
+const PRIORITY_RULES = [
+  { id: 'goodiffer/p0', name: 'CriticalIssue', level: 'error', description: 'P0 - 阻塞发布的严重问题' },
+  { id: 'goodiffer/p1', name: 'UrgentIssue', level: 'error', description: 'P1 - 应在下个周期修复的紧急问题' },
+  { id: 'goodiffer/p2', name: 'NormalIssue', level: 'warning', description: 'P2 - 一般问题' },
+  { id: 'goodiffer/p3', name: 'MinorIssue', level: 'note', description: 'P3 - 低优先级建议' }
+];
+
+function ruleForPriority(priority) {
+  const index = Number.isInteger(priority) ? Math.min(Math.max(priority, 0), 3) : 3;
+  return { rule: PRIORITY_RULES[index], index };
+}
+
+// 仓库内的相对路径 (正斜杠、无 ./ 前缀)；仓库外的绝对路径返回 null
+function toRelativePath(filePath, repoRoot) {
+  const normalized = String(filePath || '').replace(/\\/g, '/');
+  if (!path.isAbsolute(normalized)) return normalized.replace(/^\.\//, '');
+
+  const relative = repoRoot ? path.relative(repoRoot, normalized) : null;
+  if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+    return relative.split(path.sep).join('/');
+  }
+  return null;
+}
+
+/**
+ * 将 finding 中的文件路径转换为相对仓库根目录的 URI
+ * 仓库外的绝对路径转换为 file:// URI
+ */
+export function toArtifactLocation(filePath, repoRoot) {
+  const relative = toRelativePath(filePath, repoRoot);
+  if (relative === null) {
+    return { uri: encodeURI(`file://${String(filePath).replace(/\\/g, '/')}`) };
+  }
+  return { uri: encodeURI(relative), uriBaseId: SRCROOT };
+}
+
+/**
+ * 同一问题在多次审查之间保持稳定的指纹 (仓库相对路径 + 标题)
+ * 不使用绝对路径，避免不同机器 / checkout 目录下的指纹不一致
+ */
+export function fingerprintFinding(finding, repoRoot) {
+  const filePath = finding.code_location?.absolute_file_path || '';
+  const relative = toRelativePath(filePath, repoRoot) ?? filePath.replace(/\\/g, '/');
+  const key = `${relative}:${finding.title || ''}`;
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function toSarifResult(finding, review, repoRoot) {
+  const { rule, index } = ruleForPriority(finding.priority);
+  const location = finding.code_location || {};
+  const range = location.line_range || {};
+  const text = [finding.title, finding.body, finding.suggestion ? `建议: ${finding.suggestion}` : '']
+    .filter(Boolean)
+    .join('\n\n');
+
+  const result = {
+    ruleId: rule.id,
+    ruleIndex: index,
+    level: rule.level,
+    message: { text },
+    locations: [{
+      physicalLocation: {
+        artifactLocation: toArtifactLocation(location.absolute_file_path, repoRoot),
+        region: {
+          startLine: range.start || 1,
+          endLine: range.end || range.start || 1
+        }
+      }
+    }],
+    partialFingerprints: { 'goodiffer/v1': fingerprintFinding(finding, repoRoot) },
+    properties: {
+      priority: finding.priority,
+      confidence_score: finding.confidence_score
+    }
+  };
+
+  if (typeof finding.confidence_score === 'number') {
+    result.rank = Math.round(finding.confidence_score * 100);
+  }
+  if (finding.dimension) {
+    result.properties.dimension = finding.dimension;
+  }
+  if (review.commit && review.commit.sha) {
+    result.properties.commit_sha = review.commit.sha;
+  }
+
+  return result;
+}
+
+/**
+ * 构建 SARIF 日志
+ * @param {Array} reviews - [{ commit: { sha, message }, result }]，result 为空的记录会被忽略
+ * @param {object} options
+ * @param {string} options.repoRoot - 仓库根目录 (用于计算相对路径)
+ * @returns {object} SARIF 2.1.0 log
+ */
+export function buildSarif(reviews, { repoRoot } = {}) {
+  const reviewed = reviews.filter(review => review.result);
+  const results = reviewed.flatMap(review =>
+    (review.result.findings || []).map(finding => toSarifResult(finding, review, repoRoot))
+  );
+
+  const run = {
+    tool: {
+      driver: {
+        name: 'goodiffer',
+        version: pkg.version,
+        informationUri: pkg.homepage || 'https://www.npmjs.com/package/goodiffer',
+        rules: PRIORITY_RULES.map(rule => ({
+          id: rule.id,
+          name: rule.name,
+          shortDescription: { text: rule.description },
+          defaultConfiguration: { level: rule.level }
+        }))
+      }
+    },
+    results
+  };
+
+  if (repoRoot) {
+    run.originalUriBaseIds = {
+      [SRCROOT]: { uri: `file://${encodeURI(repoRoot.replace(/\\/g, '/').replace(/\/?$/, '/'))}` }
+    };
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [run]
+  };
+}
+
+export default buildSarif;
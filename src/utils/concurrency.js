@@ -0,0 +1,24 @@
+/**
+ * 以有限并发执行异步任务，结果顺序与输入一致
+ * @param {Array} items - 输入列表
+ * @param {number} limit - 最大并发数
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>}
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+export default mapWithConcurrency;
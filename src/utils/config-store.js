@@ -1,4 +1,9 @@
+import fs from 'fs';
+import path from 'path';
 import Conf from 'conf';
+import inquirer from 'inquirer';
+import { SecretStore, parseSecretRef, PASSPHRASE_ENV } from './secret-store.js';
+import logger from './logger.js';
 
 const config = new Conf({
   projectName: 'goodiffer-nodejs',
@@ -12,6 +17,12 @@ const config = new Conf({
       type: 'string',
       default: ''
     },
+    // 从该环境变量读取 API Key (init --key-env，适合 CI 和容器，key 不落盘)
+    apiKeyEnv: {
+      type: 'string',
+      default: ''
+    },
+    // secret:<backend>:<account> 引用 (旧版本为明文 key)
     apiKey: {
       type: 'string',
       default: ''
@@ -19,24 +30,438 @@ const config = new Conf({
     model: {
       type: 'string',
       default: ''
+    },
+    prices: {
+      type: 'object',
+      default: {}
+    },
+    fallbacks: {
+      type: 'array',
+      default: []
+    },
+    maxRetries: {
+      type: 'number',
+      default: 3
+    },
+    structuredOutput: {
+      type: 'string',
+      enum: ['auto', 'native', 'prompt'],
+      default: 'auto'
+    },
+    // 命名配置: { <name>: { provider, apiHost, apiKey, model, ... } }，未设置的项沿用顶层配置
+    profiles: {
+      type: 'object',
+      default: {}
+    },
+    // config profile use 选择的默认配置
+    activeProfile: {
+      type: 'string',
+      default: ''
     }
   }
 });
 
-export function getConfig() {
+// API Key 存储 (系统密钥环或与配置文件同目录的加密文件)
+const secrets = new SecretStore(path.dirname(config.path));
+
+// 优先于已保存 key 的环境变量
+export const API_KEY_ENV = 'GOODIFFER_API_KEY';
+// apiKeyEnv 的环境变量名
+export const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+// 没有保存 key 时按服务商读取的环境变量
+export const PROVIDER_KEY_ENV = { claude: 'ANTHROPIC_API_KEY', openai: 'OPENAI_API_KEY' };
+
+// 可以在命名配置中覆盖的配置项
+export const PROFILE_KEYS = ['provider', 'apiHost', 'apiKey', 'apiKeyEnv', 'model', 'prices', 'fallbacks', 'maxRetries', 'structuredOutput'];
+
+// 仓库配置文件 (按顺序查找，JSON 格式)
+export const REPO_CONFIG_FILES = ['.goodiffer.json', '.goodifferrc'];
+
+// 仓库配置中可以覆盖的 review 设置 (对应 analyze 的命令行选项)
+export const REPO_REVIEW_KEYS = [
+  'reasoning', 'merges', 'chunkTokens', 'concurrency', 'parallel', 'context', 'stream',
+  'include', 'exclude', 'failOn', 'maxP0', 'maxP1', 'minScore', 'format'
+];
+
+// --profile 指定的配置 (优先于仓库配置和 config profile use)
+let profileOverride = null;
+
+// 按目录缓存的仓库配置
+const repoConfigCache = new Map();
+
+/**
+ * 读取仓库配置 (.goodiffer.json / .goodifferrc)，从 cwd 向上查找到仓库根目录为止
+ * @returns {{ path: string|null, profile?: string, review: object }}
+ */
+export function getRepoConfig(cwd = process.cwd()) {
+  if (repoConfigCache.has(cwd)) return repoConfigCache.get(cwd);
+
+  let repoConfig = { path: null, review: {} };
+  let dir = path.resolve(cwd);
+  while (true) {
+    const file = REPO_CONFIG_FILES.map(name => path.join(dir, name)).find(candidate => fs.existsSync(candidate));
+    if (file) {
+      repoConfig = loadRepoConfig(file);
+      break;
+    }
+    const parent = path.dirname(dir);
+    if (fs.existsSync(path.join(dir, '.git')) || parent === dir) break;
+    dir = parent;
+  }
+
+  repoConfigCache.set(cwd, repoConfig);
+  return repoConfig;
+}
+
+function loadRepoConfig(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    logger.warning(`仓库配置 ${file} 解析失败，已忽略: ${error.message}`);
+    return { path: null, review: {} };
+  }
+
+  const review = data.review && typeof data.review === 'object' ? data.review : {};
+  const unknown = Object.keys(review).filter(key => !REPO_REVIEW_KEYS.includes(key));
+  if (unknown.length > 0) {
+    logger.warning(`仓库配置 ${file} 中的 review 设置 ${unknown.join(', ')} 不支持，已忽略`);
+  }
+
+  return {
+    path: file,
+    profile: typeof data.profile === 'string' ? data.profile : undefined,
+    review: Object.fromEntries(Object.entries(review).filter(([key]) => REPO_REVIEW_KEYS.includes(key)))
+  };
+}
+
+/**
+ * 将仓库配置的 review 设置作为未在命令行指定的选项的值
+ * (数组为空、--no-context / --no-stream 未指定时视为未指定)
+ */
+export function applyRepoSettings(options) {
+  const { review } = getRepoConfig();
+  const merged = { ...options };
+  for (const [key, value] of Object.entries(review)) {
+    const current = options[key];
+    const unset = current === undefined
+      || (Array.isArray(current) && current.length === 0)
+      || ((key === 'context' || key === 'stream') && current === true);
+    if (unset) merged[key] = value;
+  }
+  return merged;
+}
+
+export function listProfiles() {
+  return config.get('profiles') || {};
+}
+
+// --profile 选项
+export function useProfile(name) {
+  if (!listProfiles()[name]) {
+    throw new Error(`配置 "${name}" 不存在 (goodiffer config profile list 查看)`);
+  }
+  profileOverride = name;
+}
+
+/**
+ * 当前生效的命名配置：--profile > 仓库配置的 profile > config profile use
+ * @returns {{ name: string, source: string }|null} 使用顶层配置时返回 null
+ */
+export function getActiveProfile() {
+  const profiles = listProfiles();
+  if (profileOverride) {
+    return { name: profileOverride, source: '--profile' };
+  }
+
+  const repoConfig = getRepoConfig();
+  if (repoConfig.profile && repoConfig.profile !== 'default') {
+    if (profiles[repoConfig.profile]) {
+      return { name: repoConfig.profile, source: repoConfig.path };
+    }
+    logger.warning(`仓库配置 ${repoConfig.path} 指定的配置 "${repoConfig.profile}" 不存在，使用默认配置`);
+    repoConfig.profile = undefined;
+  }
+
+  const active = config.get('activeProfile');
+  if (active && profiles[active]) {
+    return { name: active, source: 'config profile use' };
+  }
+  return null;
+}
+
+export function addProfile(name, values = {}) {
+  config.set('profiles', { ...listProfiles(), [name]: values });
+}
+
+export function removeProfile(name) {
+  const { [name]: removed, ...profiles } = listProfiles();
+  if (removed) storedKeyRefs(removed).forEach(ref => secrets.delete(ref));
+  config.set('profiles', profiles);
+  if (config.get('activeProfile') === name) {
+    config.set('activeProfile', '');
+  }
+  return Boolean(removed);
+}
+
+// 设置默认配置 (null 表示使用顶层配置)
+export function setActiveProfile(name) {
+  config.set('activeProfile', name || '');
+}
+
+// 顶层配置 (不含命名配置的覆盖，apiKey 为保存的原始值)
+function getBaseConfig() {
   return {
     provider: config.get('provider'),
     apiHost: config.get('apiHost'),
     apiKey: config.get('apiKey'),
-    model: config.get('model')
+    apiKeyEnv: config.get('apiKeyEnv'),
+    model: config.get('model'),
+    prices: config.get('prices'),
+    fallbacks: config.get('fallbacks'),
+    maxRetries: config.get('maxRetries'),
+    structuredOutput: config.get('structuredOutput')
+  };
+}
+
+// 顶层配置 + 命名配置的覆盖 (apiKey 为保存的原始值)
+function getStoredConfig() {
+  const base = getBaseConfig();
+  const active = getActiveProfile();
+  if (!active) return base;
+
+  const profile = listProfiles()[active.name] || {};
+  return {
+    ...base,
+    ...Object.fromEntries(PROFILE_KEYS.filter(key => profile[key] !== undefined).map(key => [key, profile[key]]))
   };
 }
 
+// 按服务商读取的环境变量 (custom 按模型名判断)
+function getProviderKeyEnv(config) {
+  const claude = config.provider === 'claude'
+    || (config.provider !== 'openai' && (config.model || '').toLowerCase().startsWith('claude'));
+  return PROVIDER_KEY_ENV[claude ? 'claude' : 'openai'];
+}
+
+// 已保存的 key (明文或 secret 引用) 的值，加密文件未解锁时为 null
+function readStoredKey(stored) {
+  return parseSecretRef(stored) ? secrets.get(stored) : stored || null;
+}
+
+// 配置 (顶层或命名配置) 中保存的 key：apiKey 和备用模型的 apiKey
+function storedKeyRefs(values) {
+  const fallbacks = Array.isArray(values.fallbacks) ? values.fallbacks : [];
+  return [values.apiKey, ...fallbacks.map(fallback => fallback && fallback.apiKey)].filter(Boolean);
+}
+
+/**
+ * 备用模型的 API Key: apiKeyEnv 指定的环境变量 > 已保存的 key
+ * 都没有时不设置，由 buildProviderChain 沿用主配置的 key
+ */
+function resolveFallbackKeys(fallbacks) {
+  if (!Array.isArray(fallbacks)) return fallbacks;
+  return fallbacks.map(fallback => {
+    if (!fallback || typeof fallback !== 'object') return fallback;
+    const { apiKey, ...rest } = fallback;
+    const value = (fallback.apiKeyEnv && process.env[fallback.apiKeyEnv]) || readStoredKey(apiKey);
+    return value ? { ...rest, apiKey: value } : rest;
+  });
+}
+
+/**
+ * 把备用模型的明文 apiKey 保存到系统密钥环或加密文件，替换为引用，并删除不再使用的旧 key
+ * @param {string} owner - 配置名 (顶层配置为 default)
+ */
+function storeFallbackKeys(owner, fallbacks, previous) {
+  const stored = fallbacks.map((fallback, index) => (fallback.apiKey && !parseSecretRef(fallback.apiKey)
+    ? { ...fallback, apiKey: secrets.set(`${owner}:fallback:${index + 1}`, fallback.apiKey) }
+    : fallback));
+  const kept = new Set(stored.map(fallback => fallback.apiKey));
+  storedKeyRefs({ fallbacks: previous })
+    .filter(ref => !kept.has(ref))
+    .forEach(ref => secrets.delete(ref));
+  return stored;
+}
+
+/**
+ * 以明文保存在配置文件中的备用模型 apiKey 数量 (当前生效的配置)
+ */
+export function countPlaintextFallbackKeys() {
+  const { fallbacks } = getStoredConfig();
+  return storedKeyRefs({ fallbacks }).filter(stored => !parseSecretRef(stored)).length;
+}
+
+/**
+ * API Key 的各个来源，按优先级排列:
+ * GOODIFFER_API_KEY > apiKeyEnv 指定的环境变量 > 已保存的 key > ANTHROPIC_API_KEY / OPENAI_API_KEY
+ * @returns {Array<{ source: string, backend?: string, value: string|null, locked?: boolean, active: boolean }>}
+ *   backend: 已保存 key 的存储 (keyring | file | plaintext)
+ */
+export function getApiKeySources(config = getStoredConfig()) {
+  const stored = config.apiKey || '';
+  const ref = parseSecretRef(stored);
+  const storedValue = readStoredKey(stored);
+  const providerEnv = getProviderKeyEnv(config);
+
+  const sources = [
+    { source: `环境变量 ${API_KEY_ENV}`, value: process.env[API_KEY_ENV] || null },
+    ...(config.apiKeyEnv ? [{ source: `环境变量 ${config.apiKeyEnv} (apiKeyEnv)`, value: process.env[config.apiKeyEnv] || null }] : []),
+    {
+      source: stored ? secrets.describe(stored) : '已保存的 key',
+      backend: ref ? ref.backend : stored ? 'plaintext' : null,
+      value: storedValue,
+      locked: Boolean(ref && ref.backend === 'file' && storedValue === null && secrets.needsPassphrase())
+    },
+    { source: `环境变量 ${providerEnv}`, value: process.env[providerEnv] || null }
+  ];
+  const active = sources.find(source => source.value);
+  return sources.map(source => ({ ...source, active: source === active }));
+}
+
+// 配置目录 (配置文件、加密的 API Key、模型列表缓存)
+export function getConfigDir() {
+  return path.dirname(config.path);
+}
+
+// 新保存的 API Key 的存储位置
+export function describeSecretStorage() {
+  return secrets.hasKeyring() ? '系统密钥环 (libsecret)' : `加密文件 ${secrets.file}`;
+}
+
+/**
+ * 当前生效的配置 (顶层配置 + 命名配置的覆盖，apiKey 按优先级从环境变量或存储中读取)
+ */
+export function getConfig() {
+  const config = getStoredConfig();
+  const active = getApiKeySources(config).find(source => source.active);
+  return { ...config, apiKey: active ? active.value : '', fallbacks: resolveFallbackKeys(config.fallbacks) };
+}
+
+// 运行时需要读取加密文件中的 key (主配置或备用模型的 key 保存在加密文件中，且没有被环境变量覆盖)
+function needsFileSecrets(stored) {
+  const inFile = (value) => {
+    const ref = parseSecretRef(value);
+    return Boolean(ref && ref.backend === 'file');
+  };
+
+  const mainOverridden = process.env[API_KEY_ENV] || (stored.apiKeyEnv && process.env[stored.apiKeyEnv]);
+  if (inFile(stored.apiKey) && !mainOverridden) return true;
+  return (Array.isArray(stored.fallbacks) ? stored.fallbacks : [])
+    .some(fallback => fallback && inFile(fallback.apiKey) && !(fallback.apiKeyEnv && process.env[fallback.apiKeyEnv]));
+}
+
+/**
+ * 需要时询问加密文件的口令 (系统密钥环不可用、未设置 GOODIFFER_PASSPHRASE 且在终端中运行)
+ * @param {boolean} forWrite - 将要保存 key (加密文件不存在时设置新口令)
+ * @param {boolean} quiet - 无法询问口令时不提示
+ */
+export async function unlockSecrets({ forWrite = false, quiet = false } = {}) {
+  // 已设置 GOODIFFER_PASSPHRASE: 校验口令 (错误时抛出异常)
+  if (!secrets.needsPassphrase()) {
+    secrets.readFile();
+    return;
+  }
+  if (forWrite) {
+    if (secrets.hasKeyring() || !process.stdin.isTTY) return;
+  } else {
+    // 只有当前使用的 key 保存在加密文件中、且没有被环境变量覆盖时才需要解锁
+    if (!needsFileSecrets(getStoredConfig())) return;
+    if (!process.stdin.isTTY) {
+      if (!quiet) logger.warning(`API Key 保存在加密文件中，请设置环境变量 ${PASSPHRASE_ENV} 解锁 (或通过 ${API_KEY_ENV} 提供 key)`);
+      return;
+    }
+  }
+
+  if (!secrets.hasFile()) {
+    logger.info(`系统密钥环不可用，API Key 将保存到加密文件 ${secrets.file}`);
+    const { passphrase } = await inquirer.prompt([
+      { type: 'password', name: 'passphrase', message: '设置加密口令:', mask: '*', validate: (input) => input ? true : '请输入口令' },
+      { type: 'password', name: 'confirm', message: '再次输入口令:', mask: '*', validate: (input, ans) => input === ans.passphrase ? true : '两次输入的口令不一致' }
+    ]);
+    secrets.unlock(passphrase);
+    logger.info(`之后可设置环境变量 ${PASSPHRASE_ENV} 免去输入口令`);
+    return;
+  }
+
+  await inquirer.prompt([{
+    type: 'password',
+    name: 'passphrase',
+    message: `输入 ${secrets.file} 的口令:`,
+    mask: '*',
+    validate: (input) => {
+      try {
+        secrets.unlock(input);
+        return true;
+      } catch (error) {
+        return error.message;
+      }
+    }
+  }]);
+}
+
+/**
+ * 将明文保存的 API Key (顶层配置和命名配置，含备用模型的 key) 迁移到系统密钥环或加密文件
+ * @returns {string[]} 迁移的配置名
+ */
+export function secureApiKeys() {
+  const migrated = [];
+  const isPlaintext = (values) => storedKeyRefs(values).some(stored => !parseSecretRef(stored));
+
+  const base = { apiKey: config.get('apiKey'), fallbacks: config.get('fallbacks') || [] };
+  if (isPlaintext(base)) {
+    if (base.apiKey && !parseSecretRef(base.apiKey)) {
+      config.set('apiKey', secrets.set('default', base.apiKey));
+    }
+    config.set('fallbacks', storeFallbackKeys('default', base.fallbacks, base.fallbacks));
+    migrated.push('default');
+  }
+
+  const profiles = listProfiles();
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (!isPlaintext(profile)) continue;
+    const secured = { ...profile };
+    if (profile.apiKey && !parseSecretRef(profile.apiKey)) {
+      secured.apiKey = secrets.set(name, profile.apiKey);
+    }
+    if (Array.isArray(profile.fallbacks)) {
+      secured.fallbacks = storeFallbackKeys(name, profile.fallbacks, profile.fallbacks);
+    }
+    profiles[name] = secured;
+    migrated.push(name);
+  }
+  config.set('profiles', profiles);
+  return migrated;
+}
+
+/**
+ * 写入配置项：有生效的命名配置时写入该配置，否则写入顶层配置
+ * apiKey 和备用模型的 apiKey 保存到系统密钥环或加密文件，配置中只记录引用
+ */
 export function setConfig(key, value) {
+  const active = getActiveProfile();
+  const owner = active ? active.name : 'default';
+  const previous = active ? listProfiles()[active.name][key] : config.get(key);
+  if (key === 'apiKey') {
+    value = value ? secrets.set(owner, value) : '';
+    // 后端变化或清除时删除旧的 key
+    if (previous && previous !== value) secrets.delete(previous);
+  } else if (key === 'fallbacks') {
+    value = storeFallbackKeys(owner, value, previous);
+  }
+
+  if (active && PROFILE_KEYS.includes(key)) {
+    const profiles = listProfiles();
+    config.set('profiles', { ...profiles, [active.name]: { ...profiles[active.name], [key]: value } });
+    return;
+  }
   config.set(key, value);
 }
 
 export function clearConfig() {
+  [getBaseConfig(), ...Object.values(listProfiles())]
+    .flatMap(storedKeyRefs)
+    .forEach(ref => secrets.delete(ref));
   config.clear();
 }
 
@@ -0,0 +1,210 @@
+/**
+ * API Key 的安全存储
+ * 优先保存到系统密钥环 (libsecret，通过 secret-tool)；不可用时保存到用口令加密的文件 (scrypt + AES-256-GCM)
+ * 配置文件中只保存引用 secret:<backend>:<account>
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { spawnSync } from 'child_process';
+
+// 加密文件的口令 (未设置时在终端中询问)
+export const PASSPHRASE_ENV = 'GOODIFFER_PASSPHRASE';
+
+// 密钥环条目的 service 属性
+const KEYRING_SERVICE = 'goodiffer';
+// secret-tool 超时 (密钥环被锁定时可能等待解锁对话框)
+const KEYRING_TIMEOUT = 30000;
+const SECRETS_FILE = 'secrets.enc';
+const REF_PATTERN = /^secret:(keyring|file):(.+)$/;
+
+/**
+ * 解析配置中的 secret 引用
+ * @returns {{ backend: string, account: string }|null} 不是引用 (明文 key) 时返回 null
+ */
+export function parseSecretRef(value) {
+  const match = typeof value === 'string' ? value.match(REF_PATTERN) : null;
+  return match ? { backend: match[1], account: match[2] } : null;
+}
+
+function runSecretTool(args, input) {
+  const result = spawnSync('secret-tool', args, { input, encoding: 'utf-8', timeout: KEYRING_TIMEOUT });
+  // 未安装或超时
+  return result.error ? null : result;
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+export class SecretStore {
+  /**
+   * @param {string} dir - 加密文件所在目录 (与配置文件相同)
+   */
+  constructor(dir) {
+    this.file = path.join(dir, SECRETS_FILE);
+    this.passphrase = process.env[PASSPHRASE_ENV] || null;
+    // 解密后的内容 { <account>: <key> }，未解锁时为 null
+    this.secrets = null;
+    this.keyring = undefined;
+    this.keyringCache = new Map();
+  }
+
+  /**
+   * 系统密钥环是否可用 (安装了 secret-tool 且能连接 Secret Service)
+   */
+  hasKeyring() {
+    if (this.keyring === undefined) {
+      const result = runSecretTool(['lookup', 'service', KEYRING_SERVICE, 'account', '__probe__']);
+      this.keyring = Boolean(result) && (result.status === 0 || !result.stderr.trim());
+    }
+    return this.keyring;
+  }
+
+  hasFile() {
+    return fs.existsSync(this.file);
+  }
+
+  // 读写加密文件前是否需要询问口令
+  needsPassphrase() {
+    return this.secrets === null && !this.passphrase;
+  }
+
+  /**
+   * 用口令解锁加密文件 (文件不存在时作为新文件的口令)
+   * 口令错误时抛出异常
+   */
+  unlock(passphrase) {
+    this.passphrase = passphrase;
+    this.secrets = null;
+    try {
+      this.readFile();
+    } catch (error) {
+      this.passphrase = null;
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {object|null} 未提供口令时返回 null
+   */
+  readFile() {
+    if (this.secrets) return this.secrets;
+    if (!this.hasFile()) {
+      this.secrets = {};
+      return this.secrets;
+    }
+    if (!this.passphrase) return null;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+      const key = deriveKey(this.passphrase, Buffer.from(data.salt, 'base64'));
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(data.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(data.tag, 'base64'));
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(data.data, 'base64')), decipher.final()]);
+      this.secrets = JSON.parse(plaintext.toString('utf-8'));
+    } catch {
+      throw new Error(`无法解密 ${this.file}: 口令错误或文件已损坏`);
+    }
+    return this.secrets;
+  }
+
+  writeFile(secrets) {
+    if (!this.passphrase) {
+      throw new Error(`系统密钥环不可用，请设置环境变量 ${PASSPHRASE_ENV} 作为加密文件的口令`);
+    }
+    if (Object.keys(secrets).length === 0) {
+      if (this.hasFile()) fs.unlinkSync(this.file);
+      this.secrets = {};
+      return;
+    }
+
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(this.passphrase, salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf-8'), cipher.final()]);
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify({
+      version: 1,
+      kdf: 'scrypt',
+      cipher: 'aes-256-gcm',
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    }, null, 2), { mode: 0o600 });
+    this.secrets = secrets;
+  }
+
+  /**
+   * 读取引用对应的 key
+   * @returns {string|null} 不存在或加密文件未解锁时返回 null
+   */
+  get(ref) {
+    const parsed = parseSecretRef(ref);
+    if (!parsed) return null;
+
+    if (parsed.backend === 'keyring') {
+      if (!this.keyringCache.has(parsed.account)) {
+        const result = runSecretTool(['lookup', 'service', KEYRING_SERVICE, 'account', parsed.account]);
+        this.keyringCache.set(parsed.account, result && result.status === 0 ? result.stdout.replace(/\n$/, '') || null : null);
+      }
+      return this.keyringCache.get(parsed.account);
+    }
+
+    const secrets = this.readFile();
+    return secrets ? secrets[parsed.account] ?? null : null;
+  }
+
+  /**
+   * 保存 key (密钥环优先)
+   * @returns {string} 写入配置的引用
+   */
+  set(account, value) {
+    if (this.hasKeyring()) {
+      const result = runSecretTool(['store', `--label=goodiffer API key (${account})`, 'service', KEYRING_SERVICE, 'account', account], value);
+      if (result && result.status === 0) {
+        this.keyringCache.set(account, value);
+        return `secret:keyring:${account}`;
+      }
+    }
+
+    const secrets = this.readFile();
+    if (!secrets) {
+      throw new Error(`加密文件 ${this.file} 未解锁，请设置环境变量 ${PASSPHRASE_ENV}`);
+    }
+    this.writeFile({ ...secrets, [account]: value });
+    return `secret:file:${account}`;
+  }
+
+  /**
+   * 删除引用对应的 key (加密文件未解锁时保留)
+   */
+  delete(ref) {
+    const parsed = parseSecretRef(ref);
+    if (!parsed) return;
+
+    if (parsed.backend === 'keyring') {
+      runSecretTool(['clear', 'service', KEYRING_SERVICE, 'account', parsed.account]);
+      this.keyringCache.delete(parsed.account);
+      return;
+    }
+
+    const secrets = this.readFile();
+    if (secrets && parsed.account in secrets) {
+      const { [parsed.account]: removed, ...rest } = secrets;
+      this.writeFile(rest);
+    }
+  }
+
+  // 存储位置的描述
+  describe(ref) {
+    const parsed = parseSecretRef(ref);
+    if (!parsed) return '配置文件 (明文)';
+    return parsed.backend === 'keyring' ? '系统密钥环 (libsecret)' : `加密文件 ${this.file}`;
+  }
+}
+
+export default SecretStore;
@@ -0,0 +1,121 @@
+/**
+ * Token 用量与费用估算
+ */
+
+// 默认价格表 (USD / 1M tokens)，按模型名前缀匹配，最长前缀优先
+// 可通过 goodiffer config set price.<model> <input>,<output> 覆盖
+export const DEFAULT_MODEL_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-5': { input: 1.25, output: 10 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-5-nano': { input: 0.05, output: 0.4 },
+  'gpt-5-codex': { input: 1.25, output: 10 },
+  'o1': { input: 15, output: 60 },
+  'o3': { input: 2, output: 8 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+  'o4-mini': { input: 1.1, output: 4.4 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-opus-4-5': { input: 5, output: 25 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-opus': { input: 15, output: 75 }
+};
+
+/**
+ * 将 OpenAI / Anthropic 的 usage 统一为
+ * { prompt_tokens, completion_tokens, reasoning_tokens }
+ * reasoning_tokens 已包含在 completion_tokens 中 (与 OpenAI 计费口径一致)
+ */
+export function normalizeUsage(raw) {
+  if (!raw) return null;
+
+  // Anthropic: input_tokens / output_tokens (缓存读写也按输入计)
+  if (raw.input_tokens !== undefined || raw.output_tokens !== undefined) {
+    return {
+      prompt_tokens: (raw.input_tokens || 0) +
+        (raw.cache_creation_input_tokens || 0) +
+        (raw.cache_read_input_tokens || 0),
+      completion_tokens: raw.output_tokens || 0,
+      reasoning_tokens: 0
+    };
+  }
+
+  // OpenAI: prompt_tokens / completion_tokens (+ completion_tokens_details.reasoning_tokens)
+  return {
+    prompt_tokens: raw.prompt_tokens || 0,
+    completion_tokens: raw.completion_tokens || 0,
+    reasoning_tokens: raw.completion_tokens_details?.reasoning_tokens || 0
+  };
+}
+
+/**
+ * 累加多个 usage (忽略空值)
+ */
+export function sumUsage(...items) {
+  const valid = items.filter(Boolean);
+  if (valid.length === 0) return null;
+
+  const total = {
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    reasoning_tokens: 0
+  };
+  for (const item of valid) {
+    total.prompt_tokens += item.prompt_tokens || 0;
+    total.completion_tokens += item.completion_tokens || 0;
+    total.reasoning_tokens += item.reasoning_tokens || 0;
+  }
+
+  const costs = valid.map(item => item.cost_usd).filter(c => typeof c === 'number');
+  if (costs.length > 0) {
+    total.cost_usd = costs.reduce((sum, c) => sum + c, 0);
+  }
+
+  return total;
+}
+
+/**
+ * 查找模型价格 (自定义价格优先，其次默认表；均按最长前缀匹配)
+ * @param {string} model
+ * @param {object} customPrices - { [modelPrefix]: { input, output } }
+ */
+export function findModelPrice(model, customPrices = {}) {
+  if (!model) return null;
+  const name = model.toLowerCase();
+
+  for (const table of [customPrices || {}, DEFAULT_MODEL_PRICES]) {
+    const match = Object.keys(table)
+      .filter(prefix => name.startsWith(prefix.toLowerCase()))
+      .sort((a, b) => b.length - a.length)[0];
+    if (match) return table[match];
+  }
+
+  return null;
+}
+
+/**
+ * 估算费用 (USD)，未找到价格时返回 null
+ */
+export function estimateCost(model, usage, customPrices = {}) {
+  if (!usage) return null;
+  const price = findModelPrice(model, customPrices);
+  if (!price) return null;
+
+  return (usage.prompt_tokens * price.input + usage.completion_tokens * price.output) / 1_000_000;
+}
+
+/**
+ * 格式化费用
+ */
+export function formatCost(cost) {
+  if (typeof cost !== 'number') return '未知 (未配置价格)';
+  if (cost > 0 && cost < 0.0001) return '<$0.0001';
+  return `$${cost.toFixed(4)}`;
+}
+
+export default estimateCost;
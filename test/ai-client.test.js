@@ -0,0 +1,152 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AIClient } from '../src/services/ai-client.js';
+import { reviewSchema } from '../src/services/review-validator.js';
+
+const DIMENSION_NAMES = reviewSchema.properties.dimensions.items.properties.name.enum;
+
+function validReview() {
+  return {
+    dimensions: DIMENSION_NAMES.map(name => ({ name, rating: 'acceptable', score: 80, summary: 'ok', issues: [] })),
+    findings: [],
+    overall_assessment: { correctness: 'patch is correct', explanation: 'ok', confidence_score: 0.9 },
+    repository_info: {}
+  };
+}
+
+// 修复请求返回指定内容的客户端，记录修复提示词
+function createClient(repairContent) {
+  const client = new AIClient({ provider: 'openai', apiKey: 'test', model: 'gpt-4.1' });
+  client.repairPrompts = [];
+  client.complete = async (prompt) => {
+    client.repairPrompts.push(prompt);
+    if (repairContent instanceof Error) throw repairContent;
+    return { content: repairContent, usage: null };
+  };
+  return client;
+}
+
+test('finalizeReview: 符合 schema 时不请求修复', async () => {
+  const client = createClient('');
+  const result = await client.finalizeReview(JSON.stringify(validReview()), 'AI', null);
+
+  assert.deepEqual(result.schema_repair, { needed: false, success: true, errors: [] });
+  assert.equal(client.repairPrompts.length, 0);
+});
+
+test('finalizeReview: 兼容 ```json 代码块', async () => {
+  const client = createClient('');
+  const result = await client.finalizeReview(`说明\n\`\`\`json\n${JSON.stringify(validReview())}\n\`\`\``, 'AI', null);
+
+  assert.equal(result.schema_repair.needed, false);
+});
+
+test('finalizeReview: 校验失败时带错误请求修复一次', async () => {
+  const invalid = { ...validReview(), overall_assessment: undefined };
+  const client = createClient(JSON.stringify(validReview()));
+  const result = await client.finalizeReview(JSON.stringify(invalid), 'AI', null);
+
+  assert.equal(client.repairPrompts.length, 1);
+  assert.match(client.repairPrompts[0], /缺少必填字段 "overall_assessment"/);
+  assert.deepEqual(result.schema_repair, {
+    needed: true,
+    success: true,
+    errors: ['/: 缺少必填字段 "overall_assessment"']
+  });
+});
+
+test('finalizeReview: 修复失败时退回原始结果并兜底整理', async () => {
+  const invalid = { ...validReview(), findings: [{ title: 'no location', priority: 9 }] };
+  const client = createClient(new Error('timeout'));
+  const result = await client.finalizeReview(JSON.stringify(invalid), 'AI', null);
+
+  assert.equal(result.schema_repair.needed, true);
+  assert.equal(result.schema_repair.success, false);
+  assert.deepEqual(result.findings, []);
+});
+
+test('finalizeReview: 原始输出和修复结果都无法解析时报错', async () => {
+  const client = createClient('still not json');
+  await assert.rejects(client.finalizeReview('not json', 'AI', null), /无法解析 AI 响应为 JSON/);
+});
+
+test('parseReviewJSON: 代码块无法解析时继续尝试花括号之间的内容', () => {
+  const client = createClient('');
+  const content = `结果如下\n\`\`\`json\n// review\n${JSON.stringify(validReview())}\n\`\`\``;
+
+  assert.deepEqual(client.parseReviewJSON(content), validReview());
+});
+
+test('parseReviewJSON: 顶层不是对象时报错', () => {
+  const client = createClient('');
+
+  assert.throws(() => client.parseReviewJSON('42'), /无法解析 AI 响应为 JSON: 顶层不是 JSON 对象/);
+  assert.throws(() => client.parseReviewJSON('"review"'), /顶层不是 JSON 对象/);
+  assert.throws(() => client.parseReviewJSON('[]'), /顶层不是 JSON 对象/);
+});
+
+test('finalizeReview: 输出不是 JSON 对象时请求修复', async () => {
+  const client = createClient(JSON.stringify(validReview()));
+  const result = await client.finalizeReview('"looks good"', 'AI', null);
+
+  assert.equal(client.repairPrompts.length, 1);
+  assert.deepEqual(result.schema_repair, {
+    needed: true,
+    success: true,
+    errors: ['无法解析 AI 响应为 JSON: 顶层不是 JSON 对象']
+  });
+});
+
+test('finalizeReview: 修复结果不是对象时退回原始结果', async () => {
+  const invalid = { ...validReview(), findings: [{ title: 'no location', priority: 9 }] };
+  const client = createClient('123');
+  const result = await client.finalizeReview(JSON.stringify(invalid), 'AI', null);
+
+  assert.equal(result.schema_repair.success, false);
+  assert.deepEqual(result.findings, []);
+});
+
+// 一直请求调用工具、直到 tool_choice 禁止调用工具的模型，记录每轮的请求体
+function createToolLoopClient(model) {
+  const client = new AIClient({ provider: 'openai', apiKey: 'test', model });
+  client.requests = [];
+  client.fetchWithRetry = async (url, init) => {
+    const body = JSON.parse(init.body);
+    client.requests.push(body);
+    const done = body.tool_choice === 'none' || body.tool_choice?.type === 'none';
+    const data = client.useAnthropicFormat
+      ? {
+        stop_reason: done ? 'end_turn' : 'tool_use',
+        content: done
+          ? [{ type: 'text', text: 'final' }]
+          : [{ type: 'tool_use', id: `t${client.requests.length}`, name: 'read_file', input: { path: 'a.js' } }]
+      }
+      : {
+        choices: [{
+          message: done
+            ? { content: 'final' }
+            : { content: null, tool_calls: [{ id: `t${client.requests.length}`, function: { name: 'read_file', arguments: '{"path":"a.js"}' } }] }
+        }]
+      };
+    return { ok: true, json: async () => data };
+  };
+  return client;
+}
+
+test('analyzeWithTools: OpenAI 格式最后一轮禁止调用工具并要求直接作答', async () => {
+  const client = createToolLoopClient('gpt-4.1');
+  const output = await client.analyzeWithTools('review', [], async () => 'content', null, 3);
+
+  assert.equal(output, 'final');
+  assert.deepEqual(client.requests.map(body => body.tool_choice), [undefined, undefined, 'none']);
+  assert.match(client.requests[2].messages.at(-1).content, /工具调用次数已用完/);
+});
+
+test('analyzeWithTools: Anthropic 格式最后一轮禁止调用工具并要求直接作答', async () => {
+  const client = createToolLoopClient('claude-sonnet-4-5');
+  const output = await client.analyzeWithTools('review', [], async () => 'content', null, 3);
+
+  assert.equal(output, 'final');
+  assert.deepEqual(client.requests.map(body => body.tool_choice), [undefined, undefined, { type: 'none' }]);
+  assert.match(client.requests[2].messages.at(-1).content.at(-1).text, /工具调用次数已用完/);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStreamProgress } from '../src/services/ai-stream.js';
+
+function collect(outputTool) {
+  const events = [];
+  const progress = createStreamProgress(event => events.push(event), outputTool);
+  const latest = () => events.filter(event => event.type === 'stream').at(-1);
+  return { progress, latest };
+}
+
+test('createStreamProgress: 不统计上下文工具参数中的 title', () => {
+  const { progress, latest } = collect('submit_code_review');
+  progress({ type: 'iteration', iteration: 1 });
+  progress({ type: 'delta', text: '{"query": "\\"title\\": \\"x\\"", "title": "grep"}', tool: 'search_code' });
+  progress({ type: 'iteration', iteration: 2 });
+  progress({ type: 'delta', text: '{"findings": [{"title": "[P1] 空指', tool: 'submit_code_review' });
+  progress({ type: 'delta', text: '针"}]}', tool: 'submit_code_review' });
+
+  assert.deepEqual(latest().findings, ['[P1] 空指针']);
+  assert.equal(latest().iteration, 2);
+});
+
+test('createStreamProgress: 每轮工具调用重新统计', () => {
+  const { progress, latest } = collect(null);
+  progress({ type: 'iteration', iteration: 1 });
+  progress({ type: 'delta', text: '{"title": "草稿"}', tool: null });
+  progress({ type: 'iteration', iteration: 2 });
+  progress({ type: 'delta', text: '{"findings": [{"title": "[P0] 越界"}]}', tool: null });
+
+  assert.deepEqual(latest().findings, ['[P0] 越界']);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTokens, splitDiffByFile, chunkDiff } from '../src/services/diff-splitter.js';
+
+function fileDiff(file, hunks) {
+  return [
+    `diff --git a/${file} b/${file}`,
+    'index 1111111..2222222 100644',
+    `--- a/${file}`,
+    `+++ b/${file}`,
+    ...hunks.map((lines, index) => [`@@ -${index * 10 + 1},1 +${index * 10 + 1},1 @@`, ...lines].join('\n'))
+  ].join('\n');
+}
+
+test('estimateTokens: ASCII 约 4 字符一个 token，非 ASCII 字符各算一个', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens('abcdefgh'), 2);
+  assert.equal(estimateTokens('abcde'), 2);
+  assert.equal(estimateTokens('中文ab'), 3);
+});
+
+test('splitDiffByFile: 按文件拆分并保留 hunk', () => {
+  const diff = [fileDiff('src/a.js', [['-a', '+b']]), fileDiff('src/b.js', [['-c', '+d'], ['-e', '+f']])].join('\n');
+  const files = splitDiffByFile(diff);
+
+  assert.deepEqual(files.map(f => f.file), ['src/a.js', 'src/b.js']);
+  assert.equal(files[0].hunks.length, 1);
+  assert.equal(files[1].hunks.length, 2);
+  assert.ok(files[1].header.startsWith('diff --git a/src/b.js b/src/b.js'));
+});
+
+test('chunkDiff: 预算足够时只有一块', () => {
+  const diff = [fileDiff('src/a.js', [['-a', '+b']]), fileDiff('lib/b.js', [['-c', '+d']])].join('\n');
+  const chunks = chunkDiff(diff, { maxTokens: 10000 });
+
+  assert.equal(chunks.length, 1);
+  assert.deepEqual(chunks[0].files, ['src/a.js', 'lib/b.js']);
+  assert.equal(chunks[0].diff, diff);
+});
+
+test('chunkDiff: 同一目录的文件放在同一块', () => {
+  const line = '+' + 'x'.repeat(200);
+  const diff = [
+    fileDiff('src/a.js', [[line]]),
+    fileDiff('lib/b.js', [[line]]),
+    fileDiff('src/c.js', [[line]])
+  ].join('\n');
+  const chunks = chunkDiff(diff, { maxTokens: 200 });
+
+  assert.deepEqual(chunks.map(chunk => chunk.files), [['src/a.js', 'src/c.js'], ['lib/b.js']]);
+});
+
+test('chunkDiff: 超出预算的文件按 hunk 拆分，每部分保留文件头', () => {
+  const line = '+' + 'x'.repeat(200);
+  const diff = fileDiff('src/big.js', [[line], [line], [line]]);
+  const chunks = chunkDiff(diff, { maxTokens: 100 });
+
+  assert.equal(chunks.length, 3);
+  for (const chunk of chunks) {
+    assert.deepEqual(chunk.files, ['src/big.js']);
+    assert.ok(chunk.diff.startsWith('diff --git a/src/big.js b/src/big.js'));
+  }
+});
+
+test('chunkDiff: 空 diff 和不含文件头的 diff', () => {
+  assert.deepEqual(chunkDiff(''), []);
+  assert.deepEqual(chunkDiff('plain text'), [{ diff: 'plain text', files: [], tokens: 3 }]);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRawDiff, parseNumstat, summarizeManifest } from '../src/services/git.js';
+
+test('parseRawDiff: 新增、修改、删除和重命名', () => {
+  const output = [
+    ':000000 100644 0000000 1111111 A', 'src/new.js',
+    ':100644 100755 2222222 3333333 M', 'bin/run.sh',
+    ':100644 000000 4444444 0000000 D', 'old.txt',
+    ':100644 100644 5555555 6666666 R087', 'src/a.js', 'src/b.js',
+    ''
+  ].join('\0');
+
+  assert.deepEqual(parseRawDiff(output), [
+    { path: 'src/new.js', oldPath: null, status: 'added', similarity: null, oldMode: null, newMode: '100644' },
+    { path: 'bin/run.sh', oldPath: null, status: 'modified', similarity: null, oldMode: '100644', newMode: '100755' },
+    { path: 'old.txt', oldPath: null, status: 'deleted', similarity: null, oldMode: '100644', newMode: null },
+    { path: 'src/b.js', oldPath: 'src/a.js', status: 'renamed', similarity: 87, oldMode: '100644', newMode: '100644' }
+  ]);
+});
+
+test('parseRawDiff: 空输出', () => {
+  assert.deepEqual(parseRawDiff(''), []);
+});
+
+test('parseNumstat: 普通文件、二进制文件和重命名', () => {
+  const output = ['3\t1\tsrc/new.js', '-\t-\tlogo.png', '2\t2\t', 'src/a.js', 'src/b.js', ''].join('\0');
+  const stats = parseNumstat(output);
+
+  assert.deepEqual([...stats.keys()], ['src/new.js', 'logo.png', 'src/b.js']);
+  assert.deepEqual(stats.get('src/new.js'), { insertions: 3, deletions: 1, binary: false });
+  assert.deepEqual(stats.get('logo.png'), { insertions: 0, deletions: 0, binary: true });
+  assert.deepEqual(stats.get('src/b.js'), { insertions: 2, deletions: 2, binary: false });
+});
+
+test('summarizeManifest: 汇总增删行数', () => {
+  const manifest = [{ insertions: 3, deletions: 1 }, { insertions: 0, deletions: 5 }];
+  assert.deepEqual(summarizeManifest(manifest), { filesChanged: 2, insertions: 3, deletions: 6 });
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFailOn, parseGatePolicy, describeGatePolicy, evaluateGate, CI_DEFAULT_POLICY } from '../src/services/review-gate.js';
+
+test('parseFailOn: 忽略大小写和空白', () => {
+  assert.deepEqual(parseFailOn(' P0, incorrect ,'), ['p0', 'incorrect']);
+});
+
+test('parseFailOn: 未知规则时报错', () => {
+  assert.throws(() => parseFailOn('p0,p5'), /未知的门禁规则: p5/);
+});
+
+test('parseGatePolicy: 解析阈值', () => {
+  assert.deepEqual(parseGatePolicy({ failOn: 'p1', maxP0: '0', minScore: 60 }), {
+    failOn: ['p1'],
+    maxP0: 0,
+    maxP1: null,
+    minScore: 60
+  });
+});
+
+test('parseGatePolicy: 没有条件时使用默认策略', () => {
+  assert.equal(parseGatePolicy({}), null);
+  assert.deepEqual(parseGatePolicy({}, CI_DEFAULT_POLICY).failOn, ['p0', 'incorrect']);
+});
+
+test('parseGatePolicy: 阈值必须是非负整数', () => {
+  assert.throws(() => parseGatePolicy({ maxP1: '-1' }), /--max-p1 必须是非负整数/);
+  assert.throws(() => parseGatePolicy({ minScore: '6.5' }), /--min-score 必须是非负整数/);
+});
+
+test('describeGatePolicy', () => {
+  const policy = parseGatePolicy({ failOn: 'p0,incorrect', minScore: 60 });
+  assert.equal(describeGatePolicy(policy), '--fail-on p0,incorrect --min-score 60');
+});
+
+test('evaluateGate: 优先级规则包含更高优先级的问题', () => {
+  const result = { findings: [{ title: 'A', priority: 0 }, { title: 'B', priority: 2 }] };
+
+  assert.equal(evaluateGate(result, parseGatePolicy({ failOn: 'p1' })).reasons.length, 1);
+  assert.deepEqual(evaluateGate(result, parseGatePolicy({ failOn: 'p2' })), {
+    passed: false,
+    reasons: ['2 个 P0-P2 问题: A; B']
+  });
+});
+
+test('evaluateGate: incorrect、数量上限和最低分', () => {
+  const result = {
+    findings: [{ title: 'A', priority: 1 }, { title: 'B', priority: 1 }],
+    dimensions: [{ name: 'Security & Compliance', score: 50 }, { name: 'Code Style & Formatting', score: 90 }],
+    overall_assessment: { correctness: 'patch is incorrect' }
+  };
+  const gate = evaluateGate(result, parseGatePolicy({ failOn: 'incorrect', maxP1: 1, minScore: 60 }));
+
+  assert.equal(gate.passed, false);
+  assert.deepEqual(gate.reasons, [
+    '整体结论为 patch is incorrect',
+    'P1 问题 2 个，超过上限 1',
+    '维度评分低于 60: Security & Compliance 50'
+  ]);
+});
+
+test('evaluateGate: 满足条件时通过', () => {
+  const result = { findings: [{ title: 'A', priority: 3 }], overall_assessment: { correctness: 'patch is correct' } };
+  assert.deepEqual(evaluateGate(result, parseGatePolicy({ failOn: 'p0,incorrect', maxP0: 0 })), { passed: true, reasons: [] });
+});
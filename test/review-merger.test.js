@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeReviewResults } from '../src/services/review-merger.js';
+
+function finding(title, file, priority, start = 1) {
+  return { title, priority, code_location: { absolute_file_path: file, line_range: { start, end: start } } };
+}
+
+test('mergeReviewResults: 只有一个结果时原样返回', () => {
+  const result = { summary: 'ok' };
+  assert.equal(mergeReviewResults([result]), result);
+});
+
+test('mergeReviewResults: findings 去重并按优先级排序', () => {
+  const merged = mergeReviewResults([
+    { findings: [finding('A', 'a.js', 2), finding('B', 'b.js', 0)] },
+    { findings: [finding('A', 'a.js', 2), finding('C', 'c.js', 1)] }
+  ]);
+
+  assert.deepEqual(merged.findings.map(f => f.title), ['B', 'C', 'A']);
+});
+
+test('mergeReviewResults: 维度分数按权重平均并重新评级', () => {
+  const merged = mergeReviewResults([
+    { dimensions: [{ name: 'Security & Compliance', score: 100, summary: 's1', issues: ['x'] }] },
+    { dimensions: [{ name: 'Security & Compliance', score: 60, summary: 's2', issues: ['x', 'y'] }] }
+  ], [3, 1]);
+
+  assert.deepEqual(merged.dimensions, [{
+    name: 'Security & Compliance',
+    rating: 'extraordinary',
+    score: 90,
+    summary: 's1 s2',
+    issues: ['x', 'y']
+  }]);
+});
+
+test('mergeReviewResults: 任一块为 incorrect 时整体为 incorrect', () => {
+  const merged = mergeReviewResults([
+    { overall_assessment: { correctness: 'patch is correct', explanation: 'fine', confidence_score: 0.9 } },
+    { overall_assessment: { correctness: 'patch is incorrect', explanation: 'broken', confidence_score: 0.6 } }
+  ]);
+
+  assert.deepEqual(merged.overall_assessment, {
+    correctness: 'patch is incorrect',
+    explanation: 'broken',
+    confidence_score: 0.6
+  });
+});
+
+test('mergeReviewResults: 任一块不符合 commit 描述时整体不符合', () => {
+  const merged = mergeReviewResults([
+    { commitMatch: true, commitMatchReason: 'ok' },
+    { commitMatch: false, commitMatchReason: 'mismatch' }
+  ]);
+
+  assert.equal(merged.commitMatch, false);
+  assert.equal(merged.commitMatchReason, 'mismatch');
+});
+
+test('mergeReviewResults: 累加各块的 usage', () => {
+  const merged = mergeReviewResults([
+    { usage: { prompt_tokens: 10, completion_tokens: 5, model: 'gpt-4.1' } },
+    { usage: { prompt_tokens: 20, completion_tokens: 1 } }
+  ]);
+
+  assert.equal(merged.usage.prompt_tokens, 30);
+  assert.equal(merged.usage.completion_tokens, 6);
+  assert.equal(merged.usage.model, 'gpt-4.1');
+});
@@ -0,0 +1,111 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadReviewPolicy, applyPolicyThresholds, applyPolicyToResult } from '../src/services/review-policy.js';
+
+let repoRoot;
+
+beforeEach(() => {
+  repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'goodiffer-policy-'));
+});
+
+afterEach(() => {
+  fs.rmSync(repoRoot, { recursive: true, force: true });
+});
+
+function writePolicy(content, name = '.goodiffer.yml') {
+  fs.writeFileSync(path.join(repoRoot, name), content);
+}
+
+test('loadReviewPolicy: 没有策略文件时返回 null', () => {
+  assert.equal(loadReviewPolicy(repoRoot), null);
+});
+
+test('loadReviewPolicy: 解析各字段', () => {
+  writePolicy([
+    'ignore: "dist/**"',
+    'dimensions:',
+    '  enabled: [security, Error]',
+    'thresholds:',
+    '  failOn: [p0, incorrect]',
+    '  maxP1: 3',
+    '  reportPriority: P2',
+    '  minConfidence: 0.5',
+    'rules:',
+    '  - 禁止直接拼接 SQL',
+    'maxDiffLines: 2000'
+  ].join('\n'));
+  const policy = loadReviewPolicy(repoRoot);
+
+  assert.equal(policy.path, '.goodiffer.yml');
+  assert.deepEqual(policy.ignore, ['dist/**']);
+  assert.deepEqual(policy.dimensions, ['Security & Compliance', 'Error Handling & Logging']);
+  assert.deepEqual(policy.gate, { failOn: 'p0,incorrect', maxP1: 3 });
+  assert.equal(policy.reportPriority, 2);
+  assert.equal(policy.minConfidence, 0.5);
+  assert.deepEqual(policy.rules, ['禁止直接拼接 SQL']);
+  assert.equal(policy.maxDiffLines, 2000);
+  assert.match(policy.hash, /^[0-9a-f]{12}$/);
+});
+
+test('loadReviewPolicy: 支持 .goodiffer.yaml，disabled 去掉对应维度', () => {
+  writePolicy('dimensions:\n  disabled: [Accessibility]\n', '.goodiffer.yaml');
+  const policy = loadReviewPolicy(repoRoot);
+
+  assert.equal(policy.path, '.goodiffer.yaml');
+  assert.equal(policy.dimensions.length, 7);
+  assert.ok(!policy.dimensions.includes('Accessibility & Internationalization'));
+});
+
+test('loadReviewPolicy: 策略内容变化时哈希变化', () => {
+  writePolicy('maxDiffLines: 100\n');
+  const first = loadReviewPolicy(repoRoot).hash;
+  writePolicy('maxDiffLines: 200\n');
+  assert.notEqual(loadReviewPolicy(repoRoot).hash, first);
+});
+
+test('loadReviewPolicy: 格式错误时报错', () => {
+  const cases = [
+    ['- a\n- b\n', /顶层必须是对象/],
+    ['unknown: 1\n', /不支持的字段 unknown/],
+    ['dimensions:\n  enabled: [Nope]\n', /维度 "Nope" 不存在/],
+    ['dimensions:\n  enabled: [Security]\n  disabled: [Security]\n', /至少需要启用一个维度/],
+    ['thresholds:\n  failOn: p9\n', /未知的门禁规则: p9/],
+    ['thresholds:\n  reportPriority: high\n', /reportPriority 必须是 p0-p3/],
+    ['thresholds:\n  minConfidence: 2\n', /minConfidence 必须是 0-1 之间的数字/],
+    ['maxDiffLines: -1\n', /maxDiffLines 必须是非负整数/],
+    ['ignore: [1]\n', /ignore 必须是字符串列表/]
+  ];
+
+  for (const [content, pattern] of cases) {
+    writePolicy(content);
+    assert.throws(() => loadReviewPolicy(repoRoot), pattern, content);
+  }
+});
+
+test('applyPolicyThresholds: 命令行已指定的条件优先', () => {
+  const policy = { gate: { failOn: 'p0', maxP1: 3 } };
+  assert.deepEqual(applyPolicyThresholds({ failOn: 'p1' }, policy), { failOn: 'p1', maxP1: 3 });
+  assert.deepEqual(applyPolicyThresholds({ failOn: 'p1' }, null), { failOn: 'p1' });
+});
+
+test('applyPolicyToResult: 按优先级、置信度和标注的维度过滤', () => {
+  writePolicy('dimensions:\n  disabled: [Code Style]\nthresholds:\n  reportPriority: p2\n  minConfidence: 0.5\n');
+  const policy = loadReviewPolicy(repoRoot);
+  const result = applyPolicyToResult({
+    dimensions: [{ name: 'Code Style & Formatting' }, { name: 'Security & Compliance' }],
+    findings: [
+      { title: 'keep', priority: 1, confidence_score: 0.9 },
+      { title: 'p3', priority: 3, confidence_score: 0.9 },
+      { title: 'low confidence', priority: 1, confidence_score: 0.2 },
+      { title: 'style', priority: 1, confidence_score: 0.9, dimension: 'Code Style & Formatting' },
+      { title: 'unlabeled', priority: 2, confidence_score: 0.6 }
+    ]
+  }, policy);
+
+  assert.deepEqual(result.dimensions.map(d => d.name), ['Security & Compliance']);
+  assert.deepEqual(result.findings.map(f => f.title), ['keep', 'unlabeled']);
+  assert.deepEqual(result.policy, { path: '.goodiffer.yml', filtered: 3 });
+});
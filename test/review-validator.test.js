@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reviewSchema, validateReview, normalizeReview } from '../src/services/review-validator.js';
+
+const DIMENSION_NAMES = reviewSchema.properties.dimensions.items.properties.name.enum;
+
+function validReview() {
+  return {
+    repository_info: { repository: 'demo' },
+    dimensions: DIMENSION_NAMES.map(name => ({ name, rating: 'acceptable', score: 80, summary: 'ok', issues: [] })),
+    findings: [{
+      title: '[P1] 空指针',
+      body: 'src/a.js:3 未判空',
+      confidence_score: 0.8,
+      priority: 1,
+      code_location: { absolute_file_path: 'src/a.js', line_range: { start: 3, end: 3 } }
+    }],
+    overall_assessment: { correctness: 'patch is correct', explanation: 'ok', confidence_score: 0.9 }
+  };
+}
+
+test('validateReview: 符合 schema', () => {
+  assert.deepEqual(validateReview(validReview()), { valid: true, errors: [] });
+});
+
+test('validateReview: 报告缺少的字段和越界的取值', () => {
+  const review = validReview();
+  delete review.overall_assessment;
+  review.findings[0].priority = 5;
+  review.dimensions[0].rating = 'great';
+  review.findings[0].dimension = 'Style';
+
+  const { valid, errors } = validateReview(review);
+  assert.equal(valid, false);
+  assert.ok(errors.includes('/: 缺少必填字段 "overall_assessment"'));
+  assert.ok(errors.includes('/findings/0/priority: must be <= 3'));
+  assert.ok(errors.includes('/dimensions/0/rating: 取值必须为 "extraordinary" | "acceptable" | "poor"'));
+  assert.ok(errors.some(error => error.startsWith('/findings/0/dimension: 取值必须为 "Code Style & Formatting"')));
+});
+
+test('normalizeReview: 补齐数组、限制取值范围，丢弃无法定位的 finding 和无效的维度标注', () => {
+  const review = normalizeReview({
+    dimensions: [{ name: 'Security & Compliance', score: 150 }, { score: 10 }],
+    findings: [
+      { title: 'A', priority: 7, confidence_score: -1, code_location: { absolute_file_path: 'a.js' }, dimension: 'Security & Compliance' },
+      { title: 'B', priority: 'x', code_location: { absolute_file_path: 'b.js' }, dimension: '安全' },
+      { title: 'no location', priority: 1 }
+    ]
+  });
+
+  assert.deepEqual(review.dimensions, [{ name: 'Security & Compliance', score: 100, issues: [] }]);
+  assert.deepEqual(review.findings.map(f => [f.title, f.priority, f.confidence_score, f.dimension]), [
+    ['A', 3, 0, 'Security & Compliance'],
+    ['B', 3, 0, undefined]
+  ]);
+  assert.deepEqual(review.associationRisks, []);
+});
+
+test('normalizeReview: 非对象输入返回空结果', () => {
+  assert.deepEqual(normalizeReview(null), { dimensions: [], findings: [], associationRisks: [] });
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toArtifactLocation, buildSarif, fingerprintFinding } from '../src/services/sarif-exporter.js';
+
+function finding(title, file, start, priority = 1) {
+  return { title, priority, code_location: { absolute_file_path: file, line_range: { start, end: start } } };
+}
+
+test('toArtifactLocation: 仓库内路径相对 %SRCROOT%，仓库外路径为 file:// URI', () => {
+  assert.deepEqual(toArtifactLocation('./src/a b.js', '/repo'), { uri: 'src/a%20b.js', uriBaseId: '%SRCROOT%' });
+  assert.deepEqual(toArtifactLocation('/repo/src/a.js', '/repo'), { uri: 'src/a.js', uriBaseId: '%SRCROOT%' });
+  assert.deepEqual(toArtifactLocation('/other/a.js', '/repo'), { uri: 'file:///other/a.js' });
+});
+
+test('buildSarif: finding 映射为带指纹的结果', () => {
+  const sarif = buildSarif([
+    { commit: { sha: 'abc' }, result: { findings: [finding('空指针', 'src/a.js', 10, 0)] } },
+    { commit: { sha: 'def' }, result: null }
+  ], { repoRoot: '/repo' });
+  const [result] = sarif.runs[0].results;
+
+  assert.equal(sarif.version, '2.1.0');
+  assert.equal(sarif.runs[0].results.length, 1);
+  assert.equal(result.ruleId, 'goodiffer/p0');
+  assert.equal(result.level, 'error');
+  assert.match(result.partialFingerprints['goodiffer/v1'], /^[0-9a-f]{64}$/);
+  assert.equal(result.properties.commit_sha, 'abc');
+});
+
+test('buildSarif: 指纹只取决于文件和标题', () => {
+  const fingerprints = [
+    finding('空指针', 'src/a.js', 10),
+    finding('空指针', 'src/a.js', 42, 0),
+    finding('空指针', 'src/b.js', 10),
+    finding('越界', 'src/a.js', 10)
+  ].map(f => buildSarif([{ commit: { sha: 'abc' }, result: { findings: [f] } }]).runs[0].results[0].partialFingerprints['goodiffer/v1']);
+
+  assert.equal(fingerprints[0], fingerprints[1]);
+  assert.equal(new Set(fingerprints).size, 3);
+});
+
+test('fingerprintFinding: 不同 checkout 目录下同一文件的指纹一致', () => {
+  const expected = fingerprintFinding(finding('空指针', 'src/a.js', 10));
+
+  assert.equal(fingerprintFinding(finding('空指针', './src/a.js', 10)), expected);
+  assert.equal(fingerprintFinding(finding('空指针', '/home/ci/repo/src/a.js', 10), '/home/ci/repo'), expected);
+  assert.equal(fingerprintFinding(finding('空指针', '/Users/dev/work/src/a.js', 10), '/Users/dev/work'), expected);
+});